@@ -0,0 +1,122 @@
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { geocodeAddress } = require('../utils/geocoding');
+
+// Fields a customer may set on a saved address
+const EDITABLE_FIELDS = [
+    'label',
+    'street',
+    'landmark',
+    'city',
+    'state',
+    'pincode',
+    'coordinates',
+    'deliveryInstructions',
+    'isDefault'
+];
+
+// Fields that move the address; changing one makes old coordinates stale
+const LOCATION_FIELDS = ['street', 'city', 'state', 'pincode'];
+
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const hasCoordinates = (point) =>
+    point != null && typeof point.lat === 'number' && typeof point.lng === 'number';
+
+// Apply the request to an address book entry. Coordinates sent by the
+// customer (a dropped pin) are kept; otherwise the address is geocoded.
+const applyAddress = async (user, address, body) => {
+    const moved = LOCATION_FIELDS.some(field => body[field] !== undefined && body[field] !== address[field]);
+
+    address.set(pickEditable(body));
+
+    if (hasCoordinates(body.coordinates)) {
+        address.geocodedBy = undefined;
+    } else if (moved || !hasCoordinates(address.coordinates)) {
+        const located = await geocodeAddress(address);
+        address.coordinates = located ? located.coordinates : undefined;
+        address.geocodedBy = located ? located.geocodedBy : undefined;
+    }
+
+    if (body.isDefault) {
+        user.addresses.forEach(other => {
+            if (!other._id.equals(address._id)) {
+                other.isDefault = false;
+            }
+        });
+    }
+};
+
+const findAddress = (user, addressId) => {
+    const address = user.addresses.id(addressId);
+
+    if (!address) {
+        throw new ErrorResponse('Address not found', 404);
+    }
+
+    return address;
+};
+
+// @desc    List the user's saved addresses
+// @route   GET /api/auth/addresses
+// @access  Private
+exports.getAddresses = async (req, res, next) => {
+    const user = await User.findById(req.user.id);
+
+    res.json({
+        success: true,
+        data: user.addresses
+    });
+};
+
+// @desc    Save a new address
+// @route   POST /api/auth/addresses
+// @access  Private
+exports.addAddress = async (req, res, next) => {
+    const user = await User.findById(req.user.id);
+
+    user.addresses.push({});
+    const address = user.addresses[user.addresses.length - 1];
+
+    await applyAddress(user, address, req.body);
+    await user.save();
+
+    res.status(201).json({
+        success: true,
+        data: address
+    });
+};
+
+// @desc    Update a saved address
+// @route   PUT /api/auth/addresses/:addressId
+// @access  Private
+exports.updateAddress = async (req, res, next) => {
+    const user = await User.findById(req.user.id);
+    const address = findAddress(user, req.params.addressId);
+
+    await applyAddress(user, address, req.body);
+    await user.save();
+
+    res.json({
+        success: true,
+        data: address
+    });
+};
+
+// @desc    Delete a saved address (the next one becomes the default)
+// @route   DELETE /api/auth/addresses/:addressId
+// @access  Private
+exports.deleteAddress = async (req, res, next) => {
+    const user = await User.findById(req.user.id);
+    const address = findAddress(user, req.params.addressId);
+
+    address.deleteOne();
+    await user.save();
+
+    res.json({
+        success: true,
+        data: {}
+    });
+};
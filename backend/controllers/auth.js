@@ -9,7 +9,7 @@ const sendEmail = require('../utils/sendEmail');
 // @route   POST /api/auth/register
 // @access  Public
 const register = async (req, res, next) => {
-    const { name, email, phone, password, role, address } = req.body;
+    const { name, email, phone, password, role, address, riderProfile } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -25,6 +25,7 @@ const register = async (req, res, next) => {
         password,
         role: role || 'customer',
         address,
+        riderProfile: role === 'delivery_partner' ? riderProfile : undefined,
         isVerified: true // Auto-verify for now since email is not configured
     });
 
@@ -299,7 +300,8 @@ const sendTokenResponse = (user, statusCode, res) => {
             phone: user.phone,
             role: user.role,
             isVerified: user.isVerified,
-            address: user.address
+            address: user.address,
+            addresses: user.addresses
         }
     });
 };
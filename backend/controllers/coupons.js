@@ -0,0 +1,218 @@
+const Coupon = require('../models/Coupon');
+const Shop = require('../models/Shop');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Fields a shop owner or admin may set on a coupon
+const EDITABLE_FIELDS = [
+    'code',
+    'title',
+    'description',
+    'type',
+    'value',
+    'maxDiscount',
+    'buyQuantity',
+    'getQuantity',
+    'products',
+    'minOrderAmount',
+    'firstOrderOnly',
+    'usageLimit',
+    'perUserLimit',
+    'validFrom',
+    'validUntil',
+    'isActive'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Load a coupon and make sure the requesting user manages it. Platform-wide
+// coupons belong to admins.
+const findManagedCoupon = async (req) => {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+        throw new ErrorResponse('Coupon not found', 404);
+    }
+
+    if (req.user.role !== 'admin' &&
+        !(coupon.shop && await Shop.exists({ _id: coupon.shop, owner: req.user.id }))) {
+        throw new ErrorResponse('Not authorized to manage this coupon', 401);
+    }
+
+    return coupon;
+};
+
+// Tell customers about a new coupon: past customers of the shop, or every
+// active customer for a platform-wide coupon
+const announceCoupon = async (coupon) => {
+    let customerIds;
+    let shopName;
+
+    if (coupon.shop) {
+        const shop = await Shop.findById(coupon.shop).select('name');
+        shopName = shop.name;
+        customerIds = await Order.distinct('customer', { shop: coupon.shop });
+    } else {
+        customerIds = await User.distinct('_id', { role: 'customer', isActive: true });
+    }
+
+    if (customerIds.length > 0) {
+        await Notification.createPromotionNotifications(customerIds, coupon, shopName);
+    }
+};
+
+// @desc    List coupons customers can use now, optionally for one shop
+// @route   GET /api/coupons/available
+// @access  Public
+exports.getAvailableCoupons = async (req, res, next) => {
+    const { shopId } = req.query;
+    const now = new Date();
+
+    const coupons = await Coupon.find({
+        isActive: true,
+        validFrom: { $lte: now },
+        $and: [
+            { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+            { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+            { $or: [{ shop: null }, ...(shopId ? [{ shop: shopId }] : [])] }
+        ]
+    })
+        .select('-usedCount -usageLimit -createdBy')
+        .populate('shop', 'name')
+        .sort('validUntil');
+
+    res.json({
+        success: true,
+        data: coupons
+    });
+};
+
+// @desc    List coupons the user manages
+// @route   GET /api/coupons/mine
+// @access  Private (Shop owners, Admin)
+exports.getMyCoupons = async (req, res, next) => {
+    const { page = 1, limit = 20, shopId } = req.query;
+
+    const query = {};
+
+    if (req.user.role !== 'admin') {
+        const shops = await Shop.find({ owner: req.user.id }).select('_id');
+        query.shop = { $in: shops.map(shop => shop._id) };
+    }
+
+    if (shopId) {
+        query.shop = query.shop ? { $in: query.shop.$in.filter(id => id.equals(shopId)) } : shopId;
+    }
+
+    const coupons = await Coupon.find(query)
+        .populate('shop', 'name')
+        .sort('-createdAt')
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+        success: true,
+        data: coupons,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1
+        }
+    });
+};
+
+// @desc    Get a coupon
+// @route   GET /api/coupons/:id
+// @access  Private (Shop owners, Admin)
+exports.getCoupon = async (req, res, next) => {
+    const coupon = await findManagedCoupon(req);
+
+    res.json({
+        success: true,
+        data: coupon
+    });
+};
+
+// @desc    Create a coupon (for a shop, or platform-wide by admins)
+// @route   POST /api/coupons
+// @access  Private (Shop owners, Admin)
+exports.createCoupon = async (req, res, next) => {
+    const { shop, notifyCustomers = false } = req.body;
+
+    if (!shop && req.user.role !== 'admin') {
+        return next(new ErrorResponse('Please select the shop this coupon is for', 400));
+    }
+
+    if (shop && req.user.role !== 'admin' && !(await Shop.exists({ _id: shop, owner: req.user.id }))) {
+        return next(new ErrorResponse('Not authorized to create coupons for this shop', 401));
+    }
+
+    const coupon = await Coupon.create({
+        ...pickEditable(req.body),
+        shop: shop || null,
+        createdBy: req.user.id
+    });
+
+    // There may be many customers to tell, so the request does not wait for them
+    if (notifyCustomers && coupon.isActive) {
+        announceCoupon(coupon)
+            .catch(err => console.error(`Coupon announcement error for coupon ${coupon._id}:`, err));
+    }
+
+    res.status(201).json({
+        success: true,
+        data: coupon
+    });
+};
+
+// @desc    Update a coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (Shop owners, Admin)
+exports.updateCoupon = async (req, res, next) => {
+    const coupon = await findManagedCoupon(req);
+
+    if (coupon.usedCount > 0 && req.body.code && req.body.code.toUpperCase() !== coupon.code) {
+        return next(new ErrorResponse('The code of a coupon that has been used cannot be changed', 400));
+    }
+
+    coupon.set(pickEditable(req.body));
+    await coupon.save();
+
+    res.json({
+        success: true,
+        data: coupon
+    });
+};
+
+// @desc    Delete a coupon (deactivated instead once it has been used)
+// @route   DELETE /api/coupons/:id
+// @access  Private (Shop owners, Admin)
+exports.deleteCoupon = async (req, res, next) => {
+    const coupon = await findManagedCoupon(req);
+
+    if (coupon.usedCount > 0) {
+        // Orders and redemptions still point at it
+        coupon.isActive = false;
+        await coupon.save();
+
+        return res.json({
+            success: true,
+            data: coupon
+        });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+        success: true,
+        data: {}
+    });
+};
@@ -0,0 +1,129 @@
+const DeliveryZone = require('../models/DeliveryZone');
+const Shop = require('../models/Shop');
+const ErrorResponse = require('../utils/errorResponse');
+const { findDeliveryZones } = require('../utils/serviceability');
+
+// Fields an admin may set on a zone
+const EDITABLE_FIELDS = [
+    'name',
+    'description',
+    'area',
+    'pincodes',
+    'deliveryCharge',
+    'isActive'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// @desc    List delivery zones (inactive ones for admins only)
+// @route   GET /api/delivery-zones
+// @access  Public
+exports.getDeliveryZones = async (req, res, next) => {
+    const query = req.user && req.user.role === 'admin' ? {} : { isActive: true };
+
+    const zones = await DeliveryZone.find(query).sort('name');
+
+    res.json({
+        success: true,
+        data: zones
+    });
+};
+
+// @desc    Find the active zones covering a location or pincode
+// @route   GET /api/delivery-zones/lookup
+// @access  Public
+exports.lookupDeliveryZones = async (req, res, next) => {
+    const { lat, lng, pincode } = req.query;
+    const destination = { pincode };
+
+    if (lat && lng) {
+        destination.coordinates = { lat: parseFloat(lat), lng: parseFloat(lng) };
+
+        if (isNaN(destination.coordinates.lat) || isNaN(destination.coordinates.lng)) {
+            return next(new ErrorResponse('Please provide a valid latitude and longitude', 400));
+        }
+    } else if (!pincode) {
+        return next(new ErrorResponse('Please provide a location or a pincode', 400));
+    }
+
+    const zones = await findDeliveryZones(destination);
+
+    res.json({
+        success: true,
+        data: zones
+    });
+};
+
+// @desc    Get a delivery zone with the shops serving it
+// @route   GET /api/delivery-zones/:id
+// @access  Public
+exports.getDeliveryZone = async (req, res, next) => {
+    const zone = await DeliveryZone.findById(req.params.id);
+
+    if (!zone) {
+        return next(new ErrorResponse('Delivery zone not found', 404));
+    }
+
+    const shops = await Shop.find({ deliveryZones: zone._id, isActive: true })
+        .select('name address.city deliveryOptions.coverage');
+
+    res.json({
+        success: true,
+        data: { ...zone.toJSON(), shops }
+    });
+};
+
+// @desc    Create a delivery zone
+// @route   POST /api/delivery-zones
+// @access  Private (Admin)
+exports.createDeliveryZone = async (req, res, next) => {
+    const zone = await DeliveryZone.create({
+        ...pickEditable(req.body),
+        createdBy: req.user.id
+    });
+
+    res.status(201).json({
+        success: true,
+        data: zone
+    });
+};
+
+// @desc    Update a delivery zone
+// @route   PUT /api/delivery-zones/:id
+// @access  Private (Admin)
+exports.updateDeliveryZone = async (req, res, next) => {
+    const zone = await DeliveryZone.findById(req.params.id);
+
+    if (!zone) {
+        return next(new ErrorResponse('Delivery zone not found', 404));
+    }
+
+    zone.set(pickEditable(req.body));
+    await zone.save();
+
+    res.json({
+        success: true,
+        data: zone
+    });
+};
+
+// @desc    Delete a delivery zone and remove it from the shops using it
+// @route   DELETE /api/delivery-zones/:id
+// @access  Private (Admin)
+exports.deleteDeliveryZone = async (req, res, next) => {
+    const zone = await DeliveryZone.findById(req.params.id);
+
+    if (!zone) {
+        return next(new ErrorResponse('Delivery zone not found', 404));
+    }
+
+    await Shop.updateMany({ deliveryZones: zone._id }, { $pull: { deliveryZones: zone._id } });
+    await zone.deleteOne();
+
+    res.json({
+        success: true,
+        data: {}
+    });
+};
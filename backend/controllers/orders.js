@@ -1,8 +1,19 @@
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const Shop = require('../models/Shop');
+const Checkout = require('../models/Checkout');
+const User = require('../models/User');
 const Notification = require('../models/Notification');
 const ErrorResponse = require('../utils/errorResponse');
+const { dispatcher } = require('../utils/dispatcher');
+const { assertTransition } = require('../utils/orderStatus');
+const { reserveStock, releaseStock, alertReservedStock, attachOrder } = require('../utils/inventory');
+const { buildQuote, quoteCart } = require('../utils/pricing');
+const { findUsableCoupon, redeemCoupon, releaseCoupon, releaseCheckoutCoupon } = require('../utils/promotions');
+const { bookSlot, bookEarliestSlot, releaseSlot } = require('../utils/deliverySlots');
+const { getOpenStatus } = require('../utils/businessHours');
+const { findDeliveryZones } = require('../utils/serviceability');
+const { geocodeAddress } = require('../utils/geocoding');
+const { SUB_SCORES, addShopRating } = require('../utils/ratings');
 
 // @desc    Get all orders (Admin only)
 // @route   GET /api/orders/admin/all
@@ -48,20 +59,26 @@ exports.getOrders = async (req, res, next) => {
 // @access  Private
 exports.getOrder = async (req, res, next) => {
     const order = await Order.findById(req.params.id)
-        .populate('user', 'name email phone address')
-        .populate('shop', 'name location phone email')
-        .populate('items.product', 'name price image description');
+        .populate('customer', 'name email phone address')
+        .populate('shop', 'name owner address contact')
+        .populate('items.product', 'name price mainImage description')
+        .populate('assignedRider', 'name phone riderProfile.vehicleType riderProfile.vehicleNumber');
     
     if (!order) {
         return next(new ErrorResponse('Order not found', 404));
     }
     
     // Check if user is authorized to view this order
-    if (req.user.role === 'customer' && order.user.toString() !== req.user.id) {
+    if (req.user.role === 'customer' && order.customer._id.toString() !== req.user.id) {
         return next(new ErrorResponse('Not authorized to view this order', 401));
     }
     
-    if (req.user.role === 'shop_owner' && order.shop.toString() !== req.user.shop.toString()) {
+    if (req.user.role === 'shop_owner' && order.shop.owner.toString() !== req.user.id) {
+        return next(new ErrorResponse('Not authorized to view this order', 401));
+    }
+    
+    if (req.user.role === 'delivery_partner' &&
+        (!order.assignedRider || order.assignedRider._id.toString() !== req.user.id)) {
         return next(new ErrorResponse('Not authorized to view this order', 401));
     }
     
@@ -71,90 +88,265 @@ exports.getOrder = async (req, res, next) => {
     });
 };
 
-// @desc    Create new order
+// Where a home delivery goes: a saved address picked by id, the address sent
+// with the cart, or the customer's default address. An address without
+// coordinates is geocoded so the shop's delivery area can be checked.
+const resolveDeliveryAddress = async (req) => {
+    const { deliveryType = 'home_delivery', deliveryAddress, addressId } = req.body;
+    
+    if (deliveryType !== 'home_delivery') {
+        return undefined;
+    }
+    
+    let address;
+    
+    if (addressId) {
+        const saved = req.user.addresses.id(addressId);
+        if (!saved) {
+            throw new ErrorResponse('Saved address not found', 404);
+        }
+        address = saved.toObject();
+    } else if (deliveryAddress) {
+        address = deliveryAddress;
+    } else {
+        const saved = req.user.addresses.find(entry => entry.isDefault);
+        address = saved ? saved.toObject() : req.user.toObject().address;
+    }
+    
+    const coordinates = address && address.coordinates;
+    
+    if (address && !(coordinates && typeof coordinates.lat === 'number' && typeof coordinates.lng === 'number')) {
+        const located = await geocodeAddress(address);
+        if (located) {
+            address = { ...address, coordinates: located.coordinates };
+        }
+    }
+    
+    return address;
+};
+
+// @desc    Preview the price of the cart without placing it
+// @route   POST /api/orders/quote
+// @access  Private (Customers)
+exports.getQuote = async (req, res, next) => {
+    const { items, paymentMethod, couponCode, deliveryType = 'home_delivery' } = req.body;
+    
+    if (!items || items.length === 0) {
+        return next(new ErrorResponse('Please add items to your order', 400));
+    }
+    
+    const deliveryAddress = await resolveDeliveryAddress(req);
+    
+    const quote = await quoteCart({
+        items,
+        deliveryType,
+        paymentMethod,
+        destination: deliveryAddress,
+        couponCode,
+        userId: req.user.id
+    });
+    
+    res.json({
+        success: true,
+        data: quote
+    });
+};
+
+// @desc    Create orders from the cart (one per shop, grouped under a checkout)
 // @route   POST /api/orders
 // @access  Private (Customers)
 exports.createOrder = async (req, res, next) => {
-    const { items, deliveryAddress, deliveryInstructions, paymentMethod } = req.body;
+    const {
+        items,
+        deliveryInstructions,
+        paymentMethod = 'cod',
+        deliveryType = 'home_delivery',
+        couponCode,
+        deliverySlots = {}
+    } = req.body;
     
     if (!items || items.length === 0) {
         return next(new ErrorResponse('Please add items to your order', 400));
     }
     
-    // Validate items and calculate total
-    let total = 0;
-    const orderItems = [];
+    const deliveryAddress = await resolveDeliveryAddress(req);
+    const coupon = couponCode ? await findUsableCoupon(couponCode, req.user.id) : null;
+    
+    // Reserve stock for every line up front; nothing is taken if any line
+    // fails. Stock alerts wait until the checkout has gone through.
+    const reservedLines = await reserveStock(items, { actor: req.user }, { alerts: false });
+    
+    const createdOrders = [];
+    let quote;
+    let checkout;
+    let redemption;
+    const bookedSlots = new Map();
     
-    for (const item of items) {
-        const product = await Product.findById(item.product);
+    try {
+        const shops = await Shop.find({ _id: { $in: reservedLines.map(line => line.product.shop) } });
+        const zones = deliveryType === 'home_delivery' ? await findDeliveryZones(deliveryAddress) : [];
         
-        if (!product) {
-            return next(new ErrorResponse(`Product ${item.product} not found`, 404));
+        // Same pricing as the quote endpoint, so the preview and the order agree
+        quote = buildQuote({
+            lines: reservedLines,
+            shops,
+            deliveryType,
+            paymentMethod,
+            destination: deliveryAddress,
+            zones,
+            coupon
+        });
+        
+        if (quote.issues.length > 0) {
+            throw new ErrorResponse(quote.issues.join('. '), 400);
         }
         
-        if (!product.isActive) {
-            return next(new ErrorResponse(`Product ${product.name} is not available`, 400));
+        // deliverySlots maps shop ids to the start of the chosen slot. Orders
+        // for a closed shop without one go into its earliest free slot (the
+        // quote has already rejected closed shops that don't take slots).
+        for (const shop of shops) {
+            const start = deliverySlots[shop._id.toString()];
+            if (start) {
+                bookedSlots.set(shop._id.toString(), await bookSlot(shop, start));
+            } else if (!getOpenStatus(shop).isOpenNow) {
+                bookedSlots.set(shop._id.toString(), await bookEarliestSlot(shop));
+            }
         }
         
-        if (product.stock < item.quantity) {
-            return next(new ErrorResponse(`Insufficient stock for ${product.name}`, 400));
+        checkout = await Checkout.create({
+            customer: req.user.id,
+            subtotal: quote.subtotal,
+            deliveryCharge: quote.deliveryCharge,
+            tax: quote.tax,
+            discount: quote.discount,
+            total: quote.total,
+            paymentMethod,
+            coupon: coupon && coupon._id
+        });
+        
+        if (coupon) {
+            redemption = await redeemCoupon(coupon, req.user.id, checkout._id, quote.discount);
         }
         
-        // Update product stock
-        product.stock -= item.quantity;
-        await product.save();
+        // Created one at a time so order numbers stay sequential
+        for (const shopQuote of quote.shops) {
+            const slot = bookedSlots.get(shopQuote.shop._id.toString());
+            
+            createdOrders.push(await Order.create({
+                customer: req.user.id,
+                shop: shopQuote.shop._id,
+                checkout: checkout._id,
+                items: shopQuote.items.map(item => ({
+                    product: item.product,
+                    quantity: item.quantity,
+                    price: item.price,
+                    total: item.total
+                })),
+                subtotal: shopQuote.subtotal,
+                deliveryCharge: shopQuote.deliveryCharge,
+                tax: shopQuote.tax,
+                discount: shopQuote.discount,
+                total: shopQuote.total,
+                deliveryType,
+                deliveryAddress,
+                deliveryInstructions: deliveryInstructions || (deliveryAddress && deliveryAddress.deliveryInstructions),
+                paymentMethod,
+                coupon: shopQuote.discount > 0 ? coupon._id : undefined,
+                deliverySlot: slot,
+                estimatedDeliveryTime: slot && slot.end
+            }));
+        }
         
-        orderItems.push({
-            product: item.product,
-            quantity: item.quantity,
-            price: product.price,
-            total: product.price * item.quantity
-        });
+        for (const order of createdOrders) {
+            await attachOrder(reservedLines.filter(line => line.product.shop.equals(order.shop)), order._id);
+        }
         
-        total += product.price * item.quantity;
+        checkout.orders = createdOrders.map(order => order._id);
+        await checkout.save();
+    } catch (err) {
+        // Undo everything so the cart can be retried as a whole
+        if (redemption) {
+            await releaseCoupon(redemption);
+        }
+        for (const [shopId, slot] of bookedSlots) {
+            await releaseSlot(shopId, slot);
+        }
+        if (checkout) {
+            await Order.deleteMany({ checkout: checkout._id });
+            await Checkout.deleteOne({ _id: checkout._id });
+        }
+        await releaseStock(items, { actor: req.user, note: 'Checkout could not be completed' }, { alerts: false });
+        throw err;
     }
     
-    // Add delivery fee
-    const deliveryFee = total > 500 ? 0 : 50;
-    total += deliveryFee;
+    await alertReservedStock(reservedLines);
     
-    // Create order
-    const order = await Order.create({
-        user: req.user.id,
-        items: orderItems,
-        total,
-        deliveryFee,
-        deliveryAddress: deliveryAddress || req.user.address,
-        deliveryInstructions,
-        paymentMethod,
-        shop: orderItems[0].product.shop // Assuming all items are from same shop
+    // Create notification for each shop owner. Online orders are announced
+    // once the payment goes through (see controllers/payments.js).
+    if (paymentMethod === 'cod') {
+        const owners = await Shop.find({ _id: { $in: createdOrders.map(order => order.shop) } }).select('owner');
+        
+        for (const order of createdOrders) {
+            await Notification.createOrderStatusNotification(
+                owners.find(shop => shop._id.equals(order.shop)).owner,
+                order._id,
+                'pending',
+                order.orderNumber
+            );
+        }
+    }
+    
+    const orders = await Order.find({ checkout: checkout._id })
+        .populate('shop', 'name address')
+        .populate('items.product', 'name price mainImage')
+        .sort('orderNumber');
+    
+    res.status(201).json({
+        success: true,
+        data: {
+            checkout,
+            orders
+        }
     });
+};
+
+// @desc    Get a checkout with all of its orders
+// @route   GET /api/orders/checkout/:checkoutId
+// @access  Private (Customers)
+exports.getCheckout = async (req, res, next) => {
+    const checkout = await Checkout.findById(req.params.checkoutId);
     
-    // Populate order details
-    const populatedOrder = await Order.findById(order._id)
-        .populate('user', 'name email phone')
-        .populate('shop', 'name location')
-        .populate('items.product', 'name price image');
+    if (!checkout) {
+        return next(new ErrorResponse('Checkout not found', 404));
+    }
     
-    // Create notification for shop owner
-    await Notification.createOrderStatusNotification(
-        populatedOrder.shop.owner,
-        order._id,
-        'pending',
-        order.orderNumber
-    );
+    if (checkout.customer.toString() !== req.user.id) {
+        return next(new ErrorResponse('Not authorized to view this checkout', 401));
+    }
     
-    res.status(201).json({
+    const orders = await Order.find({ checkout: checkout._id })
+        .populate('shop', 'name address')
+        .populate('items.product', 'name price mainImage')
+        .sort('orderNumber');
+    
+    res.json({
         success: true,
-        data: populatedOrder
+        data: {
+            checkout,
+            orders
+        }
     });
 };
 
-// @desc    Update order status
+// @desc    Update order status and/or assign a rider
 // @route   PUT /api/orders/:id/status
-// @access  Private (Shop owners)
+// @access  Private (Shop owners, Admin)
 exports.updateOrderStatus = async (req, res, next) => {
-    const { status } = req.body;
+    const { status, riderId, note } = req.body;
+    
+    if (!status && !riderId) {
+        return next(new ErrorResponse('Please provide a status or a rider to assign', 400));
+    }
     
     const order = await Order.findById(req.params.id);
     
@@ -163,31 +355,92 @@ exports.updateOrderStatus = async (req, res, next) => {
     }
     
     // Make sure shop owner owns this order
-    if (order.shop.toString() !== req.user.shop.toString()) {
+    if (req.user.role !== 'admin' && !(await Shop.exists({ _id: order.shop, owner: req.user.id }))) {
         return next(new ErrorResponse('Not authorized to update this order', 401));
     }
     
-    order.status = status;
-    order.statusHistory.push({
-        status,
-        updatedBy: req.user.id,
-        updatedAt: Date.now()
-    });
+    // Check everything before changing anything, so a rejected request
+    // leaves the order and its rider offer as they were
+    if (status) {
+        if (status === 'confirmed' && order.paymentMethod === 'online' && order.paymentStatus !== 'paid') {
+            return next(new ErrorResponse('This order cannot be confirmed until it has been paid', 409));
+        }
+        
+        assertTransition(order, status, req.user.role);
+    }
     
-    await order.save();
+    let rider = null;
     
-    // Create notification for customer
-    await Notification.createOrderStatusNotification(
-        order.user,
-        order._id,
-        status,
-        order.orderNumber
-    );
+    // Assign or reassign a delivery partner
+    if (riderId) {
+        if (order.deliveryType !== 'home_delivery') {
+            return next(new ErrorResponse('Riders can only be assigned to home delivery orders', 400));
+        }
+        
+        if (['out_for_delivery', 'delivered', 'cancelled', 'refunded'].includes(order.status)) {
+            return next(new ErrorResponse(`Cannot assign a rider to an order that is ${order.status}`, 400));
+        }
+        
+        rider = await User.findOne({
+            _id: riderId,
+            role: 'delivery_partner',
+            isActive: true
+        });
+        
+        if (!rider) {
+            return next(new ErrorResponse(`Delivery partner ${riderId} not found`, 404));
+        }
+        
+        order.offerToRider(rider._id, req.user.id);
+    }
+    
+    if (status) {
+        if (status === 'cancelled') {
+            order.cancellationReason = note;
+        }
+        await order.updateStatus(status, req.user, note);
+        
+        if (status === 'cancelled') {
+            await releaseStock(order.items, { actor: req.user, order: order._id, note });
+            await releaseSlot(order.shop, order.deliverySlot);
+            await releaseCheckoutCoupon(order.checkout);
+        }
+    } else {
+        await order.save();
+    }
+    
+    // The manual offer replaces any automatic one, whose timer must not expire it
+    if (rider) {
+        dispatcher.cancelOffer(order._id);
+    }
+    
+    if (status) {
+        // Create notification for customer
+        await Notification.createOrderStatusNotification(
+            order.customer,
+            order._id,
+            status,
+            order.orderNumber
+        );
+    }
+    
+    if (riderId) {
+        await Notification.createRiderOfferNotification(
+            order.assignedRider,
+            order._id,
+            order.orderNumber
+        );
+    } else if (status === 'ready_for_pickup' && !order.assignedRider) {
+        // Hand the order to automatic dispatch
+        dispatcher.dispatchOrder(order._id)
+            .catch(err => console.error(`Dispatch error for order ${order._id}:`, err));
+    }
     
     const populatedOrder = await Order.findById(order._id)
-        .populate('user', 'name email phone')
-        .populate('shop', 'name location')
-        .populate('items.product', 'name price image');
+        .populate('customer', 'name email phone')
+        .populate('shop', 'name address')
+        .populate('items.product', 'name price mainImage')
+        .populate('assignedRider', 'name phone');
     
     res.json({
         success: true,
@@ -199,6 +452,8 @@ exports.updateOrderStatus = async (req, res, next) => {
 // @route   PUT /api/orders/:id/cancel
 // @access  Private (Customers)
 exports.cancelOrder = async (req, res, next) => {
+    const { reason } = req.body;
+    
     const order = await Order.findById(req.params.id);
     
     if (!order) {
@@ -206,37 +461,24 @@ exports.cancelOrder = async (req, res, next) => {
     }
     
     // Make sure user owns this order
-    if (order.user.toString() !== req.user.id) {
+    if (order.customer.toString() !== req.user.id) {
         return next(new ErrorResponse('Not authorized to cancel this order', 401));
     }
     
-    // Check if order can be cancelled
-    if (['delivered', 'cancelled'].includes(order.status)) {
-        return next(new ErrorResponse('Order cannot be cancelled', 400));
-    }
-    
-    order.status = 'cancelled';
-    order.statusHistory.push({
-        status: 'cancelled',
-        updatedBy: req.user.id,
-        updatedAt: Date.now()
-    });
-    
-    await order.save();
+    // The state machine only lets customers cancel before preparation starts
+    order.cancellationReason = reason;
+    await order.updateStatus('cancelled', req.user, reason);
     
-    // Restore product stock
-    for (const item of order.items) {
-        const product = await Product.findById(item.product);
-        if (product) {
-            product.stock += item.quantity;
-            await product.save();
-        }
-    }
+    // Restore product stock, free the delivery slot and, once the whole
+    // checkout is cancelled, give back the coupon
+    await releaseStock(order.items, { actor: req.user, order: order._id, note: reason });
+    await releaseSlot(order.shop, order.deliverySlot);
+    await releaseCheckoutCoupon(order.checkout);
     
     const populatedOrder = await Order.findById(order._id)
-        .populate('user', 'name email phone')
-        .populate('shop', 'name location')
-        .populate('items.product', 'name price image');
+        .populate('customer', 'name email phone')
+        .populate('shop', 'name address')
+        .populate('items.product', 'name price mainImage');
     
     res.json({
         success: true,
@@ -369,16 +611,25 @@ exports.getOrderStats = async (req, res, next) => {
     });
 };
 
-// @desc    Rate order
+// @desc    Rate a delivered order, with optional sub-scores
 // @route   POST /api/orders/:id/rate
 // @access  Private (Customers)
 exports.rateOrder = async (req, res, next) => {
-    const { rating, review } = req.body;
+    const { rating, review, scores = {} } = req.body;
     
-    if (rating < 1 || rating > 5) {
+    if (!(rating >= 1 && rating <= 5)) {
         return next(new ErrorResponse('Rating must be between 1 and 5', 400));
     }
     
+    for (const [score, value] of Object.entries(scores)) {
+        if (!SUB_SCORES.includes(score)) {
+            return next(new ErrorResponse(`Unknown rating score ${score}`, 400));
+        }
+        if (value != null && !(value >= 1 && value <= 5)) {
+            return next(new ErrorResponse(`The ${score} score must be between 1 and 5`, 400));
+        }
+    }
+    
     const order = await Order.findById(req.params.id);
     
     if (!order) {
@@ -386,7 +637,7 @@ exports.rateOrder = async (req, res, next) => {
     }
     
     // Make sure user owns this order
-    if (order.user.toString() !== req.user.id) {
+    if (order.customer.toString() !== req.user.id) {
         return next(new ErrorResponse('Not authorized to rate this order', 401));
     }
     
@@ -395,33 +646,27 @@ exports.rateOrder = async (req, res, next) => {
         return next(new ErrorResponse('Order must be delivered before rating', 400));
     }
     
-    // Check if already rated
-    if (order.rating) {
-        return next(new ErrorResponse('Order already rated', 400));
+    if (order.deliveryType === 'pickup' && scores.deliverySpeed != null) {
+        return next(new ErrorResponse('Pickup orders have no delivery speed to rate', 400));
     }
     
-    order.rating = rating;
-    order.review = review;
-    order.ratedAt = Date.now();
-    
-    await order.save();
+    // The unrated check is part of the update, so a double submit cannot
+    // count twice towards the shop
+    const rated = await Order.findOneAndUpdate(
+        { _id: order._id, rating: { $exists: false } },
+        { $set: { rating, review, ratingScores: scores, isRated: true, ratedAt: new Date() } },
+        { new: true, runValidators: true }
+    );
     
-    // Update shop rating
-    const shop = await Shop.findById(order.shop);
-    if (shop) {
-        const shopOrders = await Order.find({
-            shop: order.shop,
-            rating: { $exists: true }
-        });
-        
-        const totalRating = shopOrders.reduce((sum, order) => sum + order.rating, 0);
-        shop.rating = totalRating / shopOrders.length;
-        await shop.save();
+    if (!rated) {
+        return next(new ErrorResponse('Order already rated', 400));
     }
     
+    await addShopRating(order.shop, { rating, scores });
+    
     const populatedOrder = await Order.findById(order._id)
-        .populate('user', 'name email phone')
-        .populate('shop', 'name location')
+        .populate('customer', 'name email phone')
+        .populate('shop', 'name location rating totalRatings ratingScores')
         .populate('items.product', 'name price image');
     
     res.json({
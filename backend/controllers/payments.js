@@ -0,0 +1,286 @@
+const Payment = require('../models/Payment');
+const Checkout = require('../models/Checkout');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Notification = require('../models/Notification');
+const ErrorResponse = require('../utils/errorResponse');
+const { getPaymentProvider } = require('../utils/payments');
+const { releaseStock } = require('../utils/inventory');
+const { releaseSlot } = require('../utils/deliverySlots');
+const { releaseCheckoutCoupon } = require('../utils/promotions');
+
+// Recorded as the actor when a webhook changes an order's status
+const SYSTEM_ACTOR = { _id: undefined, role: 'system' };
+
+// Payment status a provider event moves to, and the statuses it may move from
+const EVENT_TRANSITIONS = {
+    'payment.authorized': { to: 'authorized', from: ['requires_payment'] },
+    'payment.succeeded': { to: 'paid', from: ['requires_payment', 'authorized'] },
+    'payment.failed': { to: 'failed', from: ['requires_payment', 'authorized'] }
+};
+
+// Open a full refund for an order that was paid for after it was cancelled,
+// for the shop to review like any other
+const openRefundForCancelled = async (order) => {
+    const reason = 'Cancelled before the payment went through';
+    const refund = new Refund({
+        order: order._id,
+        customer: order.customer,
+        shop: order.shop._id,
+        type: 'full',
+        items: [],
+        amount: order.total,
+        reason
+    });
+    refund.record('requested', SYSTEM_ACTOR, reason);
+
+    try {
+        await refund.save();
+    } catch (err) {
+        // The customer asked for it already
+        if (err.code === 11000) {
+            return;
+        }
+        throw err;
+    }
+
+    await Notification.createRefundNotification(
+        order.shop.owner,
+        order._id,
+        order.orderNumber,
+        'requested',
+        refund.amount
+    );
+};
+
+// The customer has paid: confirm their orders and tell the shops about them.
+// Orders the customer cancelled while the payment was in flight are marked
+// refund_due instead, and a refund is opened for them.
+const completeCheckout = async (payment) => {
+    await Checkout.updateOne({ _id: payment.checkout }, { paymentStatus: 'paid' });
+    await Order.updateMany({ checkout: payment.checkout, status: { $ne: 'cancelled' } }, { paymentStatus: 'paid' });
+    await Order.updateMany({ checkout: payment.checkout, status: 'cancelled' }, { paymentStatus: 'refund_due' });
+
+    const cancelled = await Order.find({ checkout: payment.checkout, status: 'cancelled' })
+        .populate('shop', 'owner');
+
+    for (const order of cancelled) {
+        if (order.total > 0) {
+            await openRefundForCancelled(order);
+        }
+    }
+
+    const orders = await Order.find({ checkout: payment.checkout, status: { $ne: 'cancelled' } })
+        .populate('shop', 'owner');
+
+    for (const order of orders) {
+        if (order.status === 'pending') {
+            await order.updateStatus('confirmed', SYSTEM_ACTOR, 'Payment received');
+
+            await Notification.createOrderStatusNotification(
+                order.customer,
+                order._id,
+                'confirmed',
+                order.orderNumber
+            );
+        }
+
+        await Notification.createOrderStatusNotification(
+            order.shop.owner,
+            order._id,
+            order.status,
+            order.orderNumber
+        );
+    }
+};
+
+// The orders were never paid for, so cancel them and put the stock and coupon back
+const failCheckout = async (payment) => {
+    await Checkout.updateOne({ _id: payment.checkout }, { paymentStatus: 'failed' });
+
+    const orders = await Order.find({ checkout: payment.checkout });
+
+    for (const order of orders) {
+        order.paymentStatus = 'failed';
+
+        if (order.status !== 'pending') {
+            await order.save();
+            continue;
+        }
+
+        order.cancellationReason = 'Payment failed';
+        await order.updateStatus('cancelled', SYSTEM_ACTOR, payment.failureReason || 'Payment failed');
+        await releaseStock(order.items, { actor: SYSTEM_ACTOR, order: order._id, note: 'Payment failed' });
+        await releaseSlot(order.shop, order.deliverySlot);
+
+        await Notification.createOrderStatusNotification(
+            order.customer,
+            order._id,
+            'cancelled',
+            order.orderNumber
+        );
+    }
+
+    await releaseCheckoutCoupon(payment.checkout);
+};
+
+// Apply a verified provider event. Claiming the event id and changing the
+// payment status happen in one update, so a redelivered or out-of-order
+// event changes nothing. Resolves to the updated payment, or null if the
+// event was ignored.
+const applyPaymentEvent = async (event) => {
+    const transition = EVENT_TRANSITIONS[event.type];
+
+    if (!transition) {
+        return null;
+    }
+
+    const update = { status: transition.to };
+
+    if (transition.to === 'paid') {
+        update.paidAt = new Date();
+    }
+
+    if (transition.to === 'failed') {
+        update.failureReason = event.data.reason;
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+        {
+            intentId: event.data.intentId,
+            status: { $in: transition.from },
+            processedEvents: { $ne: event.id }
+        },
+        {
+            $set: update,
+            $push: { processedEvents: event.id }
+        },
+        { new: true }
+    );
+
+    if (!payment) {
+        return null;
+    }
+
+    if (payment.status === 'authorized') {
+        // Funds are held; capture them straight away
+        const result = await getPaymentProvider().capture(payment.intentId, payment.amount);
+
+        if (result.status === 'succeeded') {
+            return applyPaymentEvent({
+                id: `${event.id}:capture`,
+                type: 'payment.succeeded',
+                data: { intentId: payment.intentId }
+            });
+        }
+    } else if (payment.status === 'paid') {
+        await completeCheckout(payment);
+    } else if (payment.status === 'failed') {
+        await failCheckout(payment);
+    }
+
+    return payment;
+};
+
+// @desc    Start an online payment for a checkout
+// @route   POST /api/payments/intent
+// @access  Private (Customers)
+exports.createPaymentIntent = async (req, res, next) => {
+    const { checkoutId } = req.body;
+
+    const checkout = await Checkout.findById(checkoutId);
+
+    if (!checkout || checkout.customer.toString() !== req.user.id) {
+        return next(new ErrorResponse('Checkout not found', 404));
+    }
+
+    if (checkout.paymentMethod !== 'online') {
+        return next(new ErrorResponse('This checkout is paid on delivery', 400));
+    }
+
+    if (checkout.paymentStatus !== 'pending') {
+        return next(new ErrorResponse(`This checkout is already ${checkout.paymentStatus}`, 409));
+    }
+
+    const provider = getPaymentProvider();
+
+    // Reuse an open intent so retrying does not start a second payment
+    let payment = await Payment.findOne({
+        checkout: checkout._id,
+        provider: provider.name,
+        status: 'requires_payment'
+    }).select('+clientSecret');
+
+    if (!payment) {
+        const intent = await provider.createIntent({
+            amount: checkout.total,
+            currency: 'INR',
+            reference: checkout._id.toString()
+        });
+
+        payment = await Payment.create({
+            checkout: checkout._id,
+            customer: req.user.id,
+            provider: provider.name,
+            intentId: intent.id,
+            amount: checkout.total,
+            clientSecret: intent.clientSecret
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        data: payment
+    });
+};
+
+// @desc    Receive payment events from the provider
+// @route   POST /api/payments/webhook
+// @access  Public (signed by the provider)
+exports.handleWebhook = async (req, res, next) => {
+    const event = getPaymentProvider().verifyWebhook(String(req.rawBody || ''), req.headers);
+
+    const payment = await applyPaymentEvent(event);
+
+    // Always acknowledge a verified event so the provider stops retrying it
+    res.json({
+        success: true,
+        data: {
+            received: true,
+            applied: Boolean(payment)
+        }
+    });
+};
+
+// @desc    Complete or fail a mock payment as the gateway would
+// @route   POST /api/payments/:intentId/simulate
+// @access  Private (Customers, mock provider only)
+exports.simulatePayment = async (req, res, next) => {
+    const { outcome = 'succeeded', reason } = req.body;
+    const provider = getPaymentProvider();
+
+    if (!provider.simulateWebhook) {
+        return next(new ErrorResponse('Payments can only be simulated with the mock provider', 404));
+    }
+
+    if (!EVENT_TRANSITIONS[`payment.${outcome}`]) {
+        return next(new ErrorResponse('Outcome must be one of authorized, succeeded or failed', 400));
+    }
+
+    const existing = await Payment.findOne({ intentId: req.params.intentId });
+
+    if (!existing || existing.customer.toString() !== req.user.id) {
+        return next(new ErrorResponse('Payment not found', 404));
+    }
+
+    // Goes through signature verification exactly like a real webhook
+    const webhook = provider.simulateWebhook(existing.intentId, `payment.${outcome}`, { reason });
+    const event = provider.verifyWebhook(webhook.rawBody, webhook.headers);
+
+    const payment = await applyPaymentEvent(event);
+
+    res.json({
+        success: true,
+        data: payment || existing
+    });
+};
@@ -1,6 +1,40 @@
 const Product = require('../models/Product');
 const Shop = require('../models/Shop');
+const InventoryMovement = require('../models/InventoryMovement');
+const StockSubscription = require('../models/StockSubscription');
+const PriceHistory = require('../models/PriceHistory');
 const ErrorResponse = require('../utils/errorResponse');
+const { recordMovement, changeStock, checkStockCount, setStock } = require('../utils/inventory');
+const { lowStockQuery, checkStockAlert } = require('../utils/stockAlerts');
+const { recordPrice, recordPriceChange } = require('../utils/priceAlerts');
+
+// Manual stock movements and the direction each moves stock in
+// (0: either way, given by the sign of the quantity)
+const MANUAL_MOVEMENTS = {
+    receipt: 1,
+    return: 1,
+    damage: -1,
+    adjustment: 0
+};
+
+// Limits on "notify me" subscriptions per customer
+const SUBSCRIPTIONS_PER_HOUR = 20;
+const MAX_ACTIVE_SUBSCRIPTIONS = 50;
+
+// Load a product and make sure the requesting user runs its shop (or is an admin)
+const findManagedProduct = async (req) => {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+        throw new ErrorResponse('Product not found', 404);
+    }
+
+    if (req.user.role !== 'admin' && !(await Shop.exists({ _id: product.shop, owner: req.user.id }))) {
+        throw new ErrorResponse('Not authorized to manage this product', 401);
+    }
+
+    return product;
+};
 
 // @desc    Get all products
 // @route   GET /api/products
@@ -66,6 +100,12 @@ exports.createProduct = async (req, res, next) => {
     
     const product = await Product.create(req.body);
     
+    if (product.stock > 0) {
+        await recordMovement(product, product.stock, { type: 'receipt', actor: req.user, note: 'Opening stock' });
+    }
+    
+    await recordPrice(product, req.user);
+    
     res.status(201).json({
         success: true,
         data: product
@@ -76,22 +116,34 @@ exports.createProduct = async (req, res, next) => {
 // @route   PUT /api/products/:id
 // @access  Private (Shop owners)
 exports.updateProduct = async (req, res, next) => {
-    let product = await Product.findById(req.params.id);
+    let product = await findManagedProduct(req);
     
-    if (!product) {
-        return next(new ErrorResponse('Product not found', 404));
-    }
+    // Stock only changes through the inventory ledger, and only once the
+    // rest of the update has passed validation
+    const { stock, ...changes } = req.body;
     
-    // Make sure user owns the product
-    if (product.shop.toString() !== req.user.shop.toString()) {
-        return next(new ErrorResponse('Not authorized to update this product', 401));
+    if (stock !== undefined) {
+        checkStockCount(Number(stock));
     }
     
-    product = await Product.findByIdAndUpdate(req.params.id, req.body, {
+    const previous = product;
+    
+    product = await Product.findByIdAndUpdate(req.params.id, changes, {
         new: true,
         runValidators: true
     });
     
+    if (stock !== undefined) {
+        ({ product } = await setStock(product._id, Number(stock), { actor: req.user, note: 'Edited with the product' }));
+    }
+    
+    await recordPriceChange(product, previous, req.user);
+    
+    // A new minimum can put the product below it without stock moving
+    if (changes.minStock !== undefined) {
+        await checkStockAlert(product);
+    }
+    
     res.json({
         success: true,
         data: product
@@ -154,6 +206,50 @@ exports.getShopProducts = async (req, res, next) => {
     });
 };
 
+// @desc    Reorder list: the user's products at or below their minimum stock
+// @route   GET /api/products/shop/low-stock
+// @access  Private (Shop owners, Admin)
+exports.getLowStockProducts = async (req, res, next) => {
+    const { page = 1, limit = 50, shopId, status } = req.query;
+    
+    const query = {};
+    
+    if (req.user.role !== 'admin') {
+        const shops = await Shop.find({ owner: req.user.id }).select('_id');
+        query.shop = { $in: shops.map(shop => shop._id) };
+    }
+    
+    if (shopId) {
+        query.shop = query.shop ? { $in: query.shop.$in.filter(id => id.equals(shopId)) } : shopId;
+    }
+    
+    if (status === 'out_of_stock') {
+        query.stock = 0;
+    } else if (status === 'low_stock') {
+        query.stock = { $gt: 0 };
+    }
+    
+    const products = await Product.find(lowStockQuery(query))
+        .populate('shop', 'name')
+        .sort('stock name')
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+    
+    const total = await Product.countDocuments(lowStockQuery(query));
+    
+    res.json({
+        success: true,
+        data: products,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1
+        }
+    });
+};
+
 // @desc    Search products
 // @route   GET /api/products/search
 // @access  Public
@@ -231,95 +327,259 @@ exports.getProductsByCategory = async (req, res, next) => {
     });
 };
 
-// @desc    Update product stock
+// @desc    Change product stock: set the count, or record a receipt, return,
+//          damage or adjustment by quantity
 // @route   PUT /api/products/:id/stock
 // @access  Private (Shop owners)
 exports.updateStock = async (req, res, next) => {
-    const { stock } = req.body;
+    const { stock, quantity, type = 'adjustment', note } = req.body;
     
-    const product = await Product.findById(req.params.id);
+    const product = await findManagedProduct(req);
+    const context = { actor: req.user, note };
+    let result;
     
-    if (!product) {
-        return next(new ErrorResponse('Product not found', 404));
+    if (stock !== undefined) {
+        result = await setStock(product._id, Number(stock), context);
+    } else {
+        const direction = MANUAL_MOVEMENTS[type];
+        const amount = Number(quantity);
+        
+        if (direction === undefined) {
+            return next(new ErrorResponse(`Type must be one of ${Object.keys(MANUAL_MOVEMENTS).join(', ')}`, 400));
+        }
+        
+        if (!Number.isInteger(amount) || amount === 0 || (direction !== 0 && amount < 0)) {
+            return next(new ErrorResponse('Quantity must be a whole number other than 0 (positive unless adjusting)', 400));
+        }
+        
+        result = await changeStock(product._id, direction === 0 ? amount : direction * amount, { ...context, type });
     }
     
-    // Make sure user owns the product
-    if (product.shop.toString() !== req.user.shop.toString()) {
-        return next(new ErrorResponse('Not authorized to update this product', 401));
+    res.json({
+        success: true,
+        data: result.product,
+        movement: result.movement
+    });
+};
+
+// @desc    Get a product's stock movements, newest first
+// @route   GET /api/products/:id/stock/history
+// @access  Private (Shop owners)
+exports.getStockHistory = async (req, res, next) => {
+    const { page = 1, limit = 50, type, from, to } = req.query;
+    
+    const product = await findManagedProduct(req);
+    const query = { product: product._id };
+    
+    if (type) {
+        query.type = type;
     }
     
-    product.stock = stock;
-    await product.save();
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+    
+    const movements = await InventoryMovement.find(query)
+        .populate('actor', 'name role')
+        .populate('order', 'orderNumber')
+        .sort('-createdAt')
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+    
+    const total = await InventoryMovement.countDocuments(query);
+    
+    // Stock the ledger explains; any difference predates the ledger or was
+    // written around it
+    const [ledger] = await InventoryMovement.aggregate([
+        { $match: { product: product._id } },
+        { $group: { _id: null, total: { $sum: '$quantity' } } }
+    ]);
+    const ledgerStock = ledger ? ledger.total : 0;
     
     res.json({
         success: true,
-        data: product
+        data: movements,
+        summary: {
+            stock: product.stock,
+            ledgerStock,
+            unexplained: product.stock - ledgerStock
+        },
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1
+        }
     });
 };
 
-// @desc    Toggle product status
-// @route   PUT /api/products/:id/status
+// @desc    Reconcile stock against a physical count
+// @route   POST /api/products/:id/stock/reconcile
 // @access  Private (Shop owners)
-exports.toggleProductStatus = async (req, res, next) => {
-    const product = await Product.findById(req.params.id);
+exports.reconcileStock = async (req, res, next) => {
+    const { counted, note } = req.body;
+    
+    const product = await findManagedProduct(req);
+    
+    const { product: updated, movement } = await setStock(
+        product._id,
+        Number(counted),
+        { actor: req.user, note: note || 'Physical count' },
+        { reconcile: true }
+    );
+    
+    res.json({
+        success: true,
+        data: updated,
+        movement,
+        discrepancy: movement.quantity
+    });
+};
+
+// @desc    Get a product's price over the last `days` days
+// @route   GET /api/products/:id/price-history
+// @access  Public
+exports.getPriceHistory = async (req, res, next) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    
+    const product = await Product.findById(req.params.id).select('price originalPrice');
     
     if (!product) {
         return next(new ErrorResponse('Product not found', 404));
     }
     
-    // Make sure user owns the product
-    if (product.shop.toString() !== req.user.shop.toString()) {
-        return next(new ErrorResponse('Not authorized to update this product', 401));
-    }
+    const changes = await PriceHistory.find({ product: product._id, createdAt: { $gte: since } })
+        .select('price originalPrice createdAt')
+        .sort('createdAt');
     
-    product.isActive = !product.isActive;
-    await product.save();
+    // The price already in force when the period started
+    const before = await PriceHistory.findOne({ product: product._id, createdAt: { $lt: since } })
+        .select('price originalPrice createdAt')
+        .sort('-createdAt');
+    
+    const points = before ? [before, ...changes] : changes;
+    const prices = [...points.map(point => point.price), product.price];
     
     res.json({
         success: true,
-        data: product
+        data: points,
+        summary: {
+            current: product.price,
+            lowest: Math.min(...prices),
+            highest: Math.max(...prices),
+            since
+        }
     });
 };
 
-// @desc    Update product rating
-// @route   POST /api/products/:id/rating
+// @desc    Whether the current user is waiting for this product
+// @route   GET /api/products/:id/notify-me
 // @access  Private (Customers)
-exports.updateProductRating = async (req, res, next) => {
-    const { rating, review } = req.body;
-    
-    if (rating < 1 || rating > 5) {
-        return next(new ErrorResponse('Rating must be between 1 and 5', 400));
-    }
+exports.getStockSubscription = async (req, res, next) => {
+    const subscription = await StockSubscription.findOne(
+        StockSubscription.activeQuery({ user: req.user.id, product: req.params.id })
+    );
     
+    res.json({
+        success: true,
+        data: {
+            subscribed: Boolean(subscription),
+            expiresAt: subscription ? subscription.expiresAt : null
+        }
+    });
+};
+
+// @desc    Ask to be notified when an out-of-stock product is back
+// @route   POST /api/products/:id/notify-me
+// @access  Private (Customers)
+exports.subscribeToStock = async (req, res, next) => {
     const product = await Product.findById(req.params.id);
     
-    if (!product) {
+    if (!product || !product.isActive) {
         return next(new ErrorResponse('Product not found', 404));
     }
     
-    // Check if user has already rated this product
-    const existingRating = product.ratings.find(
-        r => r.user.toString() === req.user.id
-    );
+    if (product.stockStatus !== 'out_of_stock') {
+        return next(new ErrorResponse('This product is in stock', 400));
+    }
     
-    if (existingRating) {
-        // Update existing rating
-        existingRating.rating = rating;
-        existingRating.review = review;
-        existingRating.updatedAt = Date.now();
-    } else {
-        // Add new rating
-        product.ratings.push({
-            user: req.user.id,
-            rating,
-            review
+    const now = new Date();
+    const existing = await StockSubscription.findOne({ user: req.user.id, product: product._id });
+    
+    // Asking again while waiting just pushes the expiry back
+    if (existing && !existing.cancelledAt && existing.expiresAt > now) {
+        await existing.renew();
+        
+        return res.json({
+            success: true,
+            data: existing
         });
     }
     
-    // Calculate average rating
-    const totalRating = product.ratings.reduce((sum, item) => sum + item.rating, 0);
-    product.rating = totalRating / product.ratings.length;
+    // Cancelled subscriptions are kept until they expire, so unsubscribing
+    // does not make room for more requests this hour
+    const recent = await StockSubscription.countDocuments({
+        user: req.user.id,
+        requestedAt: { $gte: new Date(now.getTime() - 60 * 60 * 1000) }
+    });
+    
+    if (recent >= SUBSCRIPTIONS_PER_HOUR) {
+        return next(new ErrorResponse('Too many stock alerts requested. Please try again later', 429));
+    }
+    
+    if (await StockSubscription.countDocuments(StockSubscription.activeQuery({ user: req.user.id }, now)) >= MAX_ACTIVE_SUBSCRIPTIONS) {
+        return next(new ErrorResponse(`You can wait for up to ${MAX_ACTIVE_SUBSCRIPTIONS} products at a time`, 400));
+    }
+    
+    let subscription;
+    
+    if (existing) {
+        subscription = await existing.renew();
+    } else {
+        subscription = await StockSubscription.create({ user: req.user.id, product: product._id });
+    }
+    
+    res.status(201).json({
+        success: true,
+        data: subscription
+    });
+};
+
+// @desc    Stop waiting for a product
+// @route   DELETE /api/products/:id/notify-me
+// @access  Private (Customers)
+exports.unsubscribeFromStock = async (req, res, next) => {
+    await StockSubscription.updateOne(
+        { user: req.user.id, product: req.params.id, cancelledAt: null },
+        { cancelledAt: new Date() }
+    );
+    
+    res.json({
+        success: true,
+        data: {}
+    });
+};
+
+// @desc    Toggle product status
+// @route   PUT /api/products/:id/status
+// @access  Private (Shop owners)
+exports.toggleProductStatus = async (req, res, next) => {
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+        return next(new ErrorResponse('Product not found', 404));
+    }
+    
+    // Make sure user owns the product
+    if (product.shop.toString() !== req.user.shop.toString()) {
+        return next(new ErrorResponse('Not authorized to update this product', 401));
+    }
     
+    product.isActive = !product.isActive;
     await product.save();
     
     res.json({
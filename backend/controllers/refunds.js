@@ -0,0 +1,420 @@
+const Refund = require('../models/Refund');
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+const Payment = require('../models/Payment');
+const Notification = require('../models/Notification');
+const ErrorResponse = require('../utils/errorResponse');
+const { getPaymentProvider } = require('../utils/payments');
+
+// Refunds that still count against what is left to refund on an order
+const OPEN_STATUSES = ['requested', 'approved'];
+
+// Recorded as the actor when an approved refund moves the order to refunded
+const SYSTEM_ACTOR = { _id: undefined, role: 'system' };
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Work out the refund lines and amount for a request. Without `items` the
+// request is for everything not already refunded or requested.
+const buildRefund = (order, items, existing) => {
+    const alreadyClaimed = round(existing.reduce((sum, refund) => sum + refund.amount, 0));
+    const claimedQuantity = (itemId) => existing
+        .flatMap(refund => refund.items)
+        .filter(line => line.item.equals(itemId))
+        .reduce((sum, line) => sum + line.quantity, 0);
+
+    if (!items || items.length === 0) {
+        const amount = round(order.total - alreadyClaimed);
+
+        if (amount <= 0) {
+            throw new ErrorResponse('This order has already been refunded in full', 400);
+        }
+
+        return { type: 'full', items: [], amount };
+    }
+
+    const lines = items.map(({ itemId, quantity }) => {
+        const item = order.items.id(itemId);
+        const count = Number(quantity);
+
+        if (!item) {
+            throw new ErrorResponse(`Item ${itemId} is not part of this order`, 400);
+        }
+
+        if (!Number.isInteger(count) || count < 1) {
+            throw new ErrorResponse('Quantity must be a whole number of at least 1', 400);
+        }
+
+        const remaining = item.quantity - claimedQuantity(item._id);
+
+        if (count > remaining) {
+            throw new ErrorResponse(`Only ${remaining} of this item can still be refunded`, 400);
+        }
+
+        // Priced from the line total so discounts on the line carry over
+        return {
+            item: item._id,
+            product: item.product,
+            quantity: count,
+            amount: round(item.total * count / item.quantity)
+        };
+    });
+
+    return {
+        type: 'partial',
+        items: lines,
+        amount: Math.min(round(lines.reduce((sum, line) => sum + line.amount, 0)), round(order.total - alreadyClaimed))
+    };
+};
+
+// Load a refund and make sure the requesting user may see it
+const findRefund = async (req) => {
+    const refund = await Refund.findById(req.params.id);
+
+    if (!refund) {
+        throw new ErrorResponse('Refund not found', 404);
+    }
+
+    const allowed = req.user.role === 'admin' ||
+        (req.user.role === 'customer' && refund.customer.toString() === req.user.id) ||
+        (req.user.role === 'shop_owner' && await Shop.exists({ _id: refund.shop, owner: req.user.id }));
+
+    if (!allowed) {
+        throw new ErrorResponse('Not authorized to access this refund', 401);
+    }
+
+    return refund;
+};
+
+// Send the money back the way it came. Online payments are refunded through
+// the provider; cash refunds stay pending until an admin settles them. Any
+// failure leaves the payout `failed`, for an admin to retry.
+const payOut = async (refund, actor) => {
+    if (refund.payout.method === 'manual') {
+        return refund;
+    }
+
+    try {
+        const order = await Order.findById(refund.order);
+        const payment = await Payment.findOne({ checkout: order.checkout, status: { $in: ['paid', 'refunded'] } });
+
+        if (!payment) {
+            throw new Error('No completed payment found for this order');
+        }
+
+        const result = await getPaymentProvider().refund(payment.intentId, refund.amount);
+
+        if (result.status !== 'succeeded') {
+            throw new Error(`Provider returned ${result.status}`);
+        }
+
+        refund.payout.status = 'completed';
+        refund.payout.providerRefundId = result.id;
+        refund.payout.failureReason = undefined;
+        refund.payout.completedAt = new Date();
+        refund.record('payout_completed', actor);
+
+        const refundedAmount = round((payment.refundedAmount || 0) + refund.amount);
+        payment.refundedAmount = refundedAmount;
+        if (refundedAmount >= payment.amount) {
+            payment.status = 'refunded';
+        }
+        await payment.save();
+    } catch (err) {
+        refund.payout.status = 'failed';
+        refund.payout.failureReason = err.message;
+        refund.record('payout_failed', actor, err.message);
+    }
+
+    return refund.save();
+};
+
+// @desc    Request a refund for an order, in full or for some lines
+// @route   POST /api/refunds
+// @access  Private (Customers)
+exports.requestRefund = async (req, res, next) => {
+    const { orderId, items, reason, evidence = [] } = req.body;
+
+    const order = await Order.findById(orderId);
+
+    if (!order || order.customer.toString() !== req.user.id) {
+        return next(new ErrorResponse('Order not found', 404));
+    }
+
+    if (!['delivered', 'cancelled'].includes(order.status)) {
+        return next(new ErrorResponse('Refunds can only be requested for delivered or cancelled orders', 400));
+    }
+
+    // Cash is only collected on delivery, so a cancelled COD order was never paid.
+    // refund_due orders were paid for after they had been cancelled.
+    const paid = ['paid', 'refund_due'].includes(order.paymentStatus) ||
+        (order.paymentMethod === 'cod' && order.status === 'delivered');
+
+    if (!paid) {
+        return next(new ErrorResponse('Nothing has been paid for this order', 400));
+    }
+
+    const existing = await Refund.find({ order: order._id, status: { $in: OPEN_STATUSES } });
+
+    if (existing.some(refund => refund.status === 'requested')) {
+        return next(new ErrorResponse('A refund for this order is already waiting for review', 409));
+    }
+
+    const refund = new Refund({
+        order: order._id,
+        customer: req.user.id,
+        shop: order.shop,
+        ...buildRefund(order, items, existing),
+        reason,
+        evidence
+    });
+    refund.record('requested', req.user, reason);
+
+    try {
+        await refund.save();
+    } catch (err) {
+        // Another request for the order was saved since the check above
+        if (err.code === 11000) {
+            return next(new ErrorResponse('A refund for this order is already waiting for review', 409));
+        }
+        throw err;
+    }
+
+    const shop = await Shop.findById(order.shop).select('owner');
+
+    await Notification.createRefundNotification(
+        shop.owner,
+        order._id,
+        order.orderNumber,
+        'requested',
+        refund.amount
+    );
+
+    res.status(201).json({
+        success: true,
+        data: refund
+    });
+};
+
+// @desc    List refunds (own for customers, own shops for shop owners, all for admins)
+// @route   GET /api/refunds
+// @access  Private
+exports.getRefunds = async (req, res, next) => {
+    const { page = 1, limit = 20, status, orderId, payoutStatus } = req.query;
+
+    const query = {};
+
+    if (req.user.role === 'customer') {
+        query.customer = req.user.id;
+    } else if (req.user.role === 'shop_owner') {
+        const shops = await Shop.find({ owner: req.user.id }).select('_id');
+        query.shop = { $in: shops.map(shop => shop._id) };
+    }
+
+    if (status) {
+        query.status = status;
+    }
+
+    if (orderId) {
+        query.order = orderId;
+    }
+
+    if (payoutStatus) {
+        query['payout.status'] = payoutStatus;
+    }
+
+    const refunds = await Refund.find(query)
+        .populate('order', 'orderNumber total paymentMethod')
+        .populate('customer', 'name email')
+        .populate('shop', 'name')
+        .sort('-createdAt')
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await Refund.countDocuments(query);
+
+    res.json({
+        success: true,
+        data: refunds,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1
+        }
+    });
+};
+
+// @desc    Get a refund with its history
+// @route   GET /api/refunds/:id
+// @access  Private
+exports.getRefund = async (req, res, next) => {
+    const refund = await findRefund(req);
+
+    await refund.populate([
+        { path: 'order', select: 'orderNumber items total paymentMethod paymentStatus status' },
+        { path: 'history.by', select: 'name role' }
+    ]);
+
+    res.json({
+        success: true,
+        data: refund
+    });
+};
+
+// @desc    Approve a refund and pay it out
+// @route   PUT /api/refunds/:id/approve
+// @access  Private (Shop owners, Admin)
+exports.approveRefund = async (req, res, next) => {
+    const { note } = req.body;
+
+    const found = await findRefund(req);
+
+    if (found.status !== 'requested') {
+        return next(new ErrorResponse(`This refund has already been ${found.status}`, 409));
+    }
+
+    const order = await Order.findById(found.order);
+    const method = order.paymentMethod === 'online' ? 'original_payment' : 'manual';
+
+    // Conditional on the status so a refund cannot be approved twice
+    const refund = await Refund.findOneAndUpdate(
+        { _id: found._id, status: 'requested' },
+        {
+            $set: {
+                status: 'approved',
+                reviewedBy: req.user.id,
+                reviewedAt: new Date(),
+                reviewNote: note,
+                payout: { method, status: 'pending' }
+            },
+            $push: {
+                history: { action: 'approved', by: req.user.id, role: req.user.role, note }
+            }
+        },
+        { new: true }
+    );
+
+    if (!refund) {
+        return next(new ErrorResponse('This refund has already been reviewed', 409));
+    }
+
+    try {
+        order.refundedAmount = round((order.refundedAmount || 0) + refund.amount);
+        order.refundReason = refund.reason.slice(0, 200);
+
+        if (order.refundedAmount >= order.total) {
+            order.paymentStatus = 'refunded';
+            await order.updateStatus('refunded', SYSTEM_ACTOR, note || 'Refund approved');
+        } else {
+            await order.save();
+        }
+    } catch (err) {
+        // Nothing was paid out, so put the refund back up for review
+        await Refund.updateOne(
+            { _id: refund._id, status: 'approved' },
+            {
+                $set: { status: 'requested' },
+                $unset: { reviewedBy: '', reviewedAt: '', reviewNote: '', payout: '' },
+                $pop: { history: 1 }
+            }
+        );
+        throw err;
+    }
+
+    await payOut(refund, req.user);
+
+    await Notification.createRefundNotification(
+        order.customer,
+        order._id,
+        order.orderNumber,
+        'approved',
+        refund.amount
+    );
+
+    res.json({
+        success: true,
+        data: refund
+    });
+};
+
+// @desc    Reject a refund
+// @route   PUT /api/refunds/:id/reject
+// @access  Private (Shop owners, Admin)
+exports.rejectRefund = async (req, res, next) => {
+    const { note } = req.body;
+
+    if (!note) {
+        return next(new ErrorResponse('Please explain why the refund is rejected', 400));
+    }
+
+    const found = await findRefund(req);
+
+    if (found.status !== 'requested') {
+        return next(new ErrorResponse(`This refund has already been ${found.status}`, 409));
+    }
+
+    // Conditional on the status so a refund being approved cannot also be rejected
+    const refund = await Refund.findOneAndUpdate(
+        { _id: found._id, status: 'requested' },
+        {
+            $set: {
+                status: 'rejected',
+                reviewedBy: req.user.id,
+                reviewedAt: new Date(),
+                reviewNote: note
+            },
+            $push: {
+                history: { action: 'rejected', by: req.user.id, role: req.user.role, note }
+            }
+        },
+        { new: true }
+    );
+
+    if (!refund) {
+        return next(new ErrorResponse('This refund has already been reviewed', 409));
+    }
+
+    const order = await Order.findById(refund.order).select('orderNumber');
+
+    await Notification.createRefundNotification(
+        refund.customer,
+        refund.order,
+        order.orderNumber,
+        'rejected',
+        refund.amount
+    );
+
+    res.json({
+        success: true,
+        data: refund
+    });
+};
+
+// @desc    Retry a failed payout, or record a cash refund as settled
+// @route   PUT /api/refunds/:id/payout
+// @access  Private (Admin)
+exports.settlePayout = async (req, res, next) => {
+    const { note } = req.body;
+
+    let refund = await findRefund(req);
+
+    if (refund.status !== 'approved' || refund.payout.status === 'completed') {
+        return next(new ErrorResponse('This refund has no payout waiting', 409));
+    }
+
+    if (refund.payout.method === 'manual') {
+        refund.payout.status = 'completed';
+        refund.payout.completedAt = new Date();
+        refund.record('payout_completed', req.user, note);
+        await refund.save();
+    } else {
+        refund = await payOut(refund, req.user);
+    }
+
+    res.json({
+        success: true,
+        data: refund
+    });
+};
@@ -0,0 +1,311 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const ErrorResponse = require('../utils/errorResponse');
+const { recalculateProductRating } = require('../utils/ratings');
+
+// Reports from this many customers take a review down until an admin looks at it
+const REPORTS_TO_FLAG = 3;
+
+// Fields the author may set on a review
+const EDITABLE_FIELDS = ['rating', 'title', 'text', 'photos'];
+
+const SORTS = {
+    recent: '-createdAt',
+    helpful: '-helpfulCount -createdAt',
+    rating_high: '-rating -createdAt',
+    rating_low: 'rating -createdAt'
+};
+
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const findReview = async (id) => {
+    const review = await Review.findById(id);
+
+    if (!review) {
+        throw new ErrorResponse('Review not found', 404);
+    }
+
+    return review;
+};
+
+// @desc    Get the published reviews of a product with its rating breakdown
+// @route   GET /api/reviews/product/:productId
+// @access  Public
+exports.getProductReviews = async (req, res, next) => {
+    const { page = 1, limit = 10, sort = 'recent' } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.productId)) {
+        return next(new ErrorResponse('Product not found', 404));
+    }
+
+    const query = { product: req.params.productId, status: 'published' };
+
+    const reviews = await Review.find(query)
+        .select('-helpfulVotes -reports -moderation')
+        .populate('user', 'name')
+        .sort(SORTS[sort] || SORTS.recent)
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await Review.countDocuments(query);
+
+    const breakdown = await Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(req.params.productId), status: 'published' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+        success: true,
+        data: reviews,
+        breakdown: Object.fromEntries([5, 4, 3, 2, 1].map(stars => [
+            stars,
+            (breakdown.find(entry => entry._id === stars) || { count: 0 }).count
+        ])),
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1
+        }
+    });
+};
+
+// @desc    Get the current user's reviews
+// @route   GET /api/reviews/mine
+// @access  Private (Customers)
+exports.getMyReviews = async (req, res, next) => {
+    const reviews = await Review.find({ user: req.user.id })
+        .select('-helpfulVotes -reports')
+        .populate('product', 'name mainImage')
+        .sort('-createdAt');
+
+    res.json({
+        success: true,
+        data: reviews
+    });
+};
+
+// @desc    Review a product from a delivered order
+// @route   POST /api/reviews
+// @access  Private (Customers)
+exports.createReview = async (req, res, next) => {
+    const { product: productId, order: orderId } = req.body;
+
+    const product = await Product.findById(productId);
+
+    if (!product) {
+        return next(new ErrorResponse('Product not found', 404));
+    }
+
+    if (await Review.exists({ user: req.user.id, product: product._id })) {
+        return next(new ErrorResponse('You have already reviewed this product. Edit your review instead', 400));
+    }
+
+    // Only customers who received the product can review it
+    const order = await Order.findOne({
+        ...(orderId ? { _id: orderId } : {}),
+        customer: req.user.id,
+        status: 'delivered',
+        'items.product': product._id
+    }).sort('-createdAt');
+
+    if (!order) {
+        return next(new ErrorResponse('You can only review products from your delivered orders', 400));
+    }
+
+    const review = await Review.create({
+        ...pickEditable(req.body),
+        product: product._id,
+        shop: product.shop,
+        user: req.user.id,
+        order: order._id
+    });
+
+    await recalculateProductRating(review.product);
+
+    res.status(201).json({
+        success: true,
+        data: review
+    });
+};
+
+// @desc    Edit own review
+// @route   PUT /api/reviews/:id
+// @access  Private (Customers)
+exports.updateReview = async (req, res, next) => {
+    const review = await findReview(req.params.id);
+
+    if (review.user.toString() !== req.user.id) {
+        return next(new ErrorResponse('Not authorized to edit this review', 401));
+    }
+
+    if (review.status === 'removed') {
+        return next(new ErrorResponse('This review was removed by a moderator and cannot be edited', 400));
+    }
+
+    review.set(pickEditable(req.body));
+    review.editedAt = new Date();
+    await review.save();
+
+    await recalculateProductRating(review.product);
+
+    res.json({
+        success: true,
+        data: review
+    });
+};
+
+// @desc    Delete a review
+// @route   DELETE /api/reviews/:id
+// @access  Private (Author, Admin)
+exports.deleteReview = async (req, res, next) => {
+    const review = await findReview(req.params.id);
+
+    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+        return next(new ErrorResponse('Not authorized to delete this review', 401));
+    }
+
+    await review.deleteOne();
+    await recalculateProductRating(review.product);
+
+    res.json({
+        success: true,
+        data: {}
+    });
+};
+
+// @desc    Mark a review as helpful, or take the vote back
+// @route   POST /api/reviews/:id/helpful
+// @access  Private
+exports.toggleHelpful = async (req, res, next) => {
+    const review = await findReview(req.params.id);
+
+    if (review.user.toString() === req.user.id) {
+        return next(new ErrorResponse('You cannot vote on your own review', 400));
+    }
+
+    const voted = review.helpfulVotes.some(id => id.toString() === req.user.id);
+
+    // Update the vote list and the count together so they cannot disagree
+    const updated = await Review.findOneAndUpdate(
+        { _id: review._id, helpfulVotes: voted ? req.user.id : { $ne: req.user.id } },
+        voted
+            ? { $pull: { helpfulVotes: req.user.id }, $inc: { helpfulCount: -1 } }
+            : { $addToSet: { helpfulVotes: req.user.id }, $inc: { helpfulCount: 1 } },
+        { new: true }
+    ) || review;
+
+    res.json({
+        success: true,
+        data: {
+            helpful: !voted,
+            helpfulCount: updated.helpfulCount
+        }
+    });
+};
+
+// @desc    Report a review for moderation
+// @route   POST /api/reviews/:id/report
+// @access  Private
+exports.reportReview = async (req, res, next) => {
+    const { reason, note } = req.body;
+    const review = await findReview(req.params.id);
+
+    if (review.user.toString() === req.user.id) {
+        return next(new ErrorResponse('You cannot report your own review', 400));
+    }
+
+    if (review.reports.some(report => report.user.toString() === req.user.id)) {
+        return next(new ErrorResponse('You have already reported this review', 400));
+    }
+
+    review.reports.push({ user: req.user.id, reason, note });
+
+    const flagged = review.status === 'published' && review.reports.length >= REPORTS_TO_FLAG;
+
+    if (flagged) {
+        review.status = 'flagged';
+    }
+
+    await review.save();
+
+    if (flagged) {
+        await recalculateProductRating(review.product);
+    }
+
+    res.json({
+        success: true,
+        data: {}
+    });
+};
+
+// @desc    Moderation queue: flagged reviews, or published ones with reports
+// @route   GET /api/reviews/moderation
+// @access  Private (Admin)
+exports.getModerationQueue = async (req, res, next) => {
+    const { page = 1, limit = 20, status = 'flagged' } = req.query;
+
+    const query = status === 'reported'
+        ? { status: 'published', 'reports.0': { $exists: true } }
+        : { status };
+
+    const reviews = await Review.find(query)
+        .populate('user', 'name email')
+        .populate('product', 'name')
+        .populate('reports.user', 'name')
+        .sort('updatedAt')
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+        success: true,
+        data: reviews,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1
+        }
+    });
+};
+
+// @desc    Publish or remove a review
+// @route   PUT /api/reviews/:id/moderate
+// @access  Private (Admin)
+exports.moderateReview = async (req, res, next) => {
+    const { action, note } = req.body;
+
+    if (!['publish', 'remove'].includes(action)) {
+        return next(new ErrorResponse('Action must be publish or remove', 400));
+    }
+
+    const review = await findReview(req.params.id);
+
+    review.status = action === 'publish' ? 'published' : 'removed';
+    review.moderation = {
+        moderatedBy: req.user.id,
+        moderatedAt: new Date(),
+        note
+    };
+
+    // Reports have been dealt with; new ones start counting afresh
+    if (action === 'publish') {
+        review.reports = [];
+    }
+
+    await review.save();
+    await recalculateProductRating(review.product);
+
+    res.json({
+        success: true,
+        data: review
+    });
+};
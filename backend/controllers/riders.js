@@ -0,0 +1,350 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const LocationBreadcrumb = require('../models/LocationBreadcrumb');
+const Notification = require('../models/Notification');
+const ErrorResponse = require('../utils/errorResponse');
+const { dispatcher } = require('../utils/dispatcher');
+const { estimateArrival } = require('../utils/eta');
+const { publish } = require('../utils/orderEvents');
+
+// Order statuses during which an accepted job is tracked on the map
+const TRACKED_STATUSES = ['confirmed', 'preparing', 'ready_for_pickup', 'out_for_delivery'];
+
+// Load an order and make sure it is assigned to the requesting rider
+const findAssignedOrder = async (req) => {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        throw new ErrorResponse('Order not found', 404);
+    }
+
+    if (!order.assignedRider || order.assignedRider.toString() !== req.user.id) {
+        throw new ErrorResponse('This job is not assigned to you', 403);
+    }
+
+    return order;
+};
+
+const populateJob = (query) => query
+    .populate('customer', 'name phone')
+    .populate('shop', 'name address contact')
+    .populate('items.product', 'name');
+
+// @desc    Get rider profile
+// @route   GET /api/riders/profile
+// @access  Private (Delivery partners)
+exports.getRiderProfile = async (req, res, next) => {
+    const rider = await User.findById(req.user.id);
+
+    res.json({
+        success: true,
+        data: rider
+    });
+};
+
+// @desc    Update rider profile
+// @route   PUT /api/riders/profile
+// @access  Private (Delivery partners)
+exports.updateRiderProfile = async (req, res, next) => {
+    const { vehicleType, vehicleNumber, activeZone } = req.body;
+
+    const fieldsToUpdate = {};
+    if (vehicleType !== undefined) fieldsToUpdate['riderProfile.vehicleType'] = vehicleType;
+    if (vehicleNumber !== undefined) fieldsToUpdate['riderProfile.vehicleNumber'] = vehicleNumber;
+    if (activeZone !== undefined) fieldsToUpdate['riderProfile.activeZone'] = activeZone;
+
+    const rider = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
+        new: true,
+        runValidators: true
+    });
+
+    res.json({
+        success: true,
+        data: rider
+    });
+};
+
+// @desc    Go online or offline
+// @route   PUT /api/riders/availability
+// @access  Private (Delivery partners)
+exports.updateAvailability = async (req, res, next) => {
+    const { isOnline } = req.body;
+
+    if (typeof isOnline !== 'boolean') {
+        return next(new ErrorResponse('Please provide isOnline as true or false', 400));
+    }
+
+    const fieldsToUpdate = { 'riderProfile.isOnline': isOnline };
+    if (isOnline) {
+        fieldsToUpdate['riderProfile.lastOnlineAt'] = Date.now();
+    }
+
+    const rider = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
+        new: true,
+        runValidators: true
+    });
+
+    res.json({
+        success: true,
+        data: rider
+    });
+};
+
+// @desc    Report the rider's current position
+// @route   PUT /api/riders/location
+// @access  Private (Delivery partners)
+exports.updateLocation = async (req, res, next) => {
+    const lat = parseFloat(req.body.lat);
+    const lng = parseFloat(req.body.lng);
+    const { accuracy, heading, speed } = req.body;
+
+    if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return next(new ErrorResponse('Please provide a valid latitude and longitude', 400));
+    }
+
+    const recordedAt = new Date();
+
+    const rider = await User.findByIdAndUpdate(req.user.id, {
+        'riderProfile.lastLocation': {
+            type: 'Point',
+            coordinates: [lng, lat]
+        },
+        'riderProfile.lastLocationAt': recordedAt
+    }, {
+        new: true,
+        runValidators: true
+    });
+
+    // Leave a breadcrumb on every order the rider is currently carrying
+    const activeOrders = await Order.find({
+        assignedRider: req.user.id,
+        'riderAssignment.status': 'accepted',
+        status: { $in: TRACKED_STATUSES }
+    }).populate('shop', 'address.coordinates');
+
+    if (activeOrders.length > 0) {
+        await LocationBreadcrumb.insertMany(activeOrders.map(order => ({
+            order: order._id,
+            rider: req.user.id,
+            coordinates: { lat, lng },
+            accuracy,
+            heading,
+            speed,
+            recordedAt
+        })));
+    }
+
+    for (const order of activeOrders) {
+        const estimate = estimateArrival({
+            riderPosition: { lat, lng },
+            shopPosition: order.shop && order.shop.address.coordinates,
+            destination: order.deliveryAddress && order.deliveryAddress.coordinates,
+            pickedUp: order.status === 'out_for_delivery',
+            vehicleType: rider.riderProfile.vehicleType,
+            now: recordedAt.getTime()
+        });
+
+        if (estimate) {
+            await Order.updateOne({ _id: order._id }, { estimatedDeliveryTime: estimate.eta });
+        }
+
+        publish(order._id, 'location', {
+            lat,
+            lng,
+            heading,
+            recordedAt,
+            eta: estimate ? estimate.eta : null,
+            distanceKm: estimate ? estimate.distanceKm : null
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            location: rider.riderProfile.lastLocation,
+            trackedOrders: activeOrders.map(order => order._id)
+        }
+    });
+};
+
+// @desc    Get jobs offered to the rider
+// @route   GET /api/riders/jobs/offers
+// @access  Private (Delivery partners)
+exports.getOfferedJobs = async (req, res, next) => {
+    const orders = await populateJob(Order.find({
+        assignedRider: req.user.id,
+        'riderAssignment.status': 'offered'
+    })).sort('riderAssignment.offeredAt');
+
+    res.json({
+        success: true,
+        count: orders.length,
+        data: orders
+    });
+};
+
+// @desc    Get jobs accepted by the rider
+// @route   GET /api/riders/jobs
+// @access  Private (Delivery partners)
+exports.getMyJobs = async (req, res, next) => {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = {
+        assignedRider: req.user.id,
+        'riderAssignment.status': 'accepted'
+    };
+
+    if (status) {
+        query.status = status;
+    }
+
+    const orders = await populateJob(Order.find(query))
+        .sort('-createdAt')
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+        success: true,
+        data: orders,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1
+        }
+    });
+};
+
+// @desc    Accept an offered job
+// @route   PUT /api/riders/jobs/:id/accept
+// @access  Private (Delivery partners)
+exports.acceptJob = async (req, res, next) => {
+    const order = await findAssignedOrder(req);
+
+    if (order.riderAssignment.status !== 'offered') {
+        return next(new ErrorResponse('This job is no longer open for acceptance', 400));
+    }
+
+    if (['delivered', 'cancelled', 'refunded'].includes(order.status)) {
+        return next(new ErrorResponse(`Order is already ${order.status}`, 400));
+    }
+
+    // Conditional on the offer still being ours, so an accept racing the
+    // offer's expiry cannot take a job that has moved on to another rider
+    const accepted = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            assignedRider: req.user.id,
+            'riderAssignment.status': 'offered',
+            status: { $nin: ['delivered', 'cancelled', 'refunded'] }
+        },
+        { $set: { 'riderAssignment.status': 'accepted', 'riderAssignment.respondedAt': new Date() } }
+    );
+
+    if (!accepted) {
+        return next(new ErrorResponse('This job is no longer open for acceptance', 409));
+    }
+
+    dispatcher.cancelOffer(order._id);
+
+    res.json({
+        success: true,
+        data: await populateJob(Order.findById(order._id))
+    });
+};
+
+// @desc    Decline an offered job
+// @route   PUT /api/riders/jobs/:id/decline
+// @access  Private (Delivery partners)
+exports.declineJob = async (req, res, next) => {
+    const order = await findAssignedOrder(req);
+
+    if (order.riderAssignment.status !== 'offered') {
+        return next(new ErrorResponse('Only offered jobs can be declined', 400));
+    }
+
+    const declined = await Order.findOneAndUpdate(
+        { _id: order._id, assignedRider: req.user.id, 'riderAssignment.status': 'offered' },
+        {
+            $set: {
+                assignedRider: null,
+                'riderAssignment.status': 'declined',
+                'riderAssignment.respondedAt': new Date()
+            },
+            $addToSet: { declinedRiders: req.user.id }
+        }
+    );
+
+    if (!declined) {
+        return next(new ErrorResponse('Only offered jobs can be declined', 409));
+    }
+
+    // Offer the job to the next-nearest rider
+    dispatcher.cancelOffer(order._id);
+    dispatcher.dispatchOrder(order._id)
+        .catch(err => console.error(`Dispatch error for order ${order._id}:`, err));
+
+    res.json({
+        success: true,
+        message: 'Job declined'
+    });
+};
+
+// @desc    Mark order as picked up from the shop
+// @route   PUT /api/riders/jobs/:id/pickup
+// @access  Private (Delivery partners)
+exports.markPickedUp = async (req, res, next) => {
+    const order = await findAssignedOrder(req);
+
+    if (order.riderAssignment.status !== 'accepted') {
+        return next(new ErrorResponse('Accept the job before picking it up', 400));
+    }
+
+    if (order.status !== 'ready_for_pickup') {
+        return next(new ErrorResponse('Order is not ready for pickup yet', 409));
+    }
+
+    order.riderAssignment.pickedUpAt = Date.now();
+
+    await order.updateStatus('out_for_delivery', req.user);
+
+    await Notification.createOrderStatusNotification(
+        order.customer,
+        order._id,
+        order.status,
+        order.orderNumber
+    );
+
+    res.json({
+        success: true,
+        data: await populateJob(Order.findById(order._id))
+    });
+};
+
+// @desc    Mark order as delivered to the customer
+// @route   PUT /api/riders/jobs/:id/deliver
+// @access  Private (Delivery partners)
+exports.markDelivered = async (req, res, next) => {
+    const order = await findAssignedOrder(req);
+
+    if (order.status !== 'out_for_delivery') {
+        return next(new ErrorResponse('Order must be picked up before it can be delivered', 409));
+    }
+
+    await order.updateStatus('delivered', req.user);
+
+    await Notification.createOrderStatusNotification(
+        order.customer,
+        order._id,
+        order.status,
+        order.orderNumber
+    );
+
+    res.json({
+        success: true,
+        data: await populateJob(Order.findById(order._id))
+    });
+};
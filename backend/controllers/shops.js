@@ -1,6 +1,30 @@
 const Shop = require('../models/Shop');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../utils/asyncHandler');
+const { getAvailableSlots } = require('../utils/deliverySlots');
+const DeliveryZone = require('../models/DeliveryZone');
+const { findServiceableShops, findNearbyShops } = require('../utils/serviceability');
+const { recalculateShopRating } = require('../utils/ratings');
+
+// Ratings only change through rated orders (see utils/ratings.js)
+const RATING_FIELDS = ['rating', 'totalRatings', 'ratingSum', 'ratingScores'];
+
+const withoutRatings = (body) => Object.fromEntries(
+    Object.entries(body).filter(([field]) => !RATING_FIELDS.includes(field))
+);
+
+// Shops can only opt into active delivery zones
+const checkDeliveryZones = async (zoneIds) => {
+    if (!Array.isArray(zoneIds) || zoneIds.length === 0) {
+        return;
+    }
+
+    const found = await DeliveryZone.countDocuments({ _id: { $in: zoneIds }, isActive: true });
+
+    if (found !== new Set(zoneIds.map(String)).size) {
+        throw new ErrorResponse('Please select active delivery zones', 400);
+    }
+};
 
 // @desc    Get all shops
 // @route   GET /api/shops
@@ -12,7 +36,7 @@ const getShops = asyncHandler(async (req, res, next) => {
     const reqQuery = { ...req.query };
 
     // Fields to exclude
-    const removeFields = ['select', 'sort', 'page', 'limit'];
+    const removeFields = ['select', 'sort', 'page', 'limit', 'openNow'];
 
     // Loop over removeFields and delete them from reqQuery
     removeFields.forEach(param => delete reqQuery[param]);
@@ -45,17 +69,50 @@ const getShops = asyncHandler(async (req, res, next) => {
     const limit = parseInt(req.query.limit, 10) || 25;
     const startIndex = (page - 1) * limit;
     const endIndex = page * limit;
-    const total = await Shop.countDocuments();
+    let hasNextPage;
+    let shops;
+
+    if (req.query.openNow === 'true') {
+        // Opening hours are evaluated in code, so stream the shops in order
+        // and stop once this page, and whether another follows, is known.
+        // Shops under a temporary closure are already left out by the query.
+        const now = new Date();
+        query = query.and([{
+            $nor: [{ 'temporaryClosure.from': { $lte: now }, 'temporaryClosure.until': { $gt: now } }]
+        }]);
+
+        let skipped = 0;
+        shops = [];
+        hasNextPage = false;
+
+        for await (const shop of query.cursor()) {
+            if (!shop.isOpenNow) {
+                continue;
+            }
 
-    query = query.skip(startIndex).limit(limit);
+            if (skipped < startIndex) {
+                skipped++;
+            } else if (shops.length < limit) {
+                shops.push(shop);
+            } else {
+                hasNextPage = true;
+                break;
+            }
+        }
+    } else {
+        const total = await Shop.countDocuments();
+        hasNextPage = endIndex < total;
+
+        query = query.skip(startIndex).limit(limit);
 
-    // Executing query
-    const shops = await query;
+        // Executing query
+        shops = await query;
+    }
 
     // Pagination result
     const pagination = {};
 
-    if (endIndex < total) {
+    if (hasNextPage) {
         pagination.next = {
             page: page + 1,
             limit
@@ -83,6 +140,7 @@ const getShops = asyncHandler(async (req, res, next) => {
 const getShop = asyncHandler(async (req, res, next) => {
     const shop = await Shop.findById(req.params.id)
         .populate('owner', 'name email phone')
+        .populate('deliveryZones', 'name pincodes deliveryCharge isActive')
         .populate({
             path: 'products',
             select: 'name price stock isAvailable images mainImage'
@@ -105,7 +163,9 @@ const createShop = asyncHandler(async (req, res, next) => {
     // Add owner to req.body
     req.body.owner = req.user.id;
 
-    const shop = await Shop.create(req.body);
+    await checkDeliveryZones(req.body.deliveryZones);
+
+    const shop = await Shop.create(withoutRatings(req.body));
 
     res.status(201).json({
         success: true,
@@ -128,7 +188,9 @@ const updateShop = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse(`User ${req.user.id} is not authorized to update this shop`, 401));
     }
 
-    shop = await Shop.findByIdAndUpdate(req.params.id, req.body, {
+    await checkDeliveryZones(req.body.deliveryZones);
+
+    shop = await Shop.findByIdAndUpdate(req.params.id, withoutRatings(req.body), {
         new: true,
         runValidators: true
     });
@@ -275,25 +337,50 @@ const getNearbyShops = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('Please provide latitude and longitude', 400));
     }
 
-    const shops = await Shop.find({
-        isActive: true,
-        'address.coordinates': {
-            $near: {
-                $geometry: {
-                    type: 'Point',
-                    coordinates: [parseFloat(lng), parseFloat(lat)]
-                },
-                $maxDistance: parseFloat(radius) * 1000 // Convert km to meters
-            }
-        }
-    })
-    .populate('owner', 'name email phone')
-    .limit(20);
+    const point = { lat: parseFloat(lat), lng: parseFloat(lng) };
+
+    if (isNaN(point.lat) || isNaN(point.lng)) {
+        return next(new ErrorResponse('Please provide a valid latitude and longitude', 400));
+    }
+
+    // Shops within the radius, plus shops whose delivery zones cover the point
+    const results = (await findNearbyShops(point, parseFloat(radius) || 10)).slice(0, 20);
 
     res.status(200).json({
         success: true,
-        count: shops.length,
-        data: shops
+        count: results.length,
+        data: results.map(({ shop, distanceKm, deliversHere }) => ({ ...shop.toJSON(), distanceKm, deliversHere }))
+    });
+});
+
+// @desc    Get shops that deliver to a location or pincode (defaults to the user's address)
+// @route   GET /api/shops/serviceable
+// @access  Public
+const getServiceableShops = asyncHandler(async (req, res, next) => {
+    const { lat, lng, pincode } = req.query;
+    const savedAddress = req.user && req.user.address;
+    let destination;
+
+    if (lat && lng) {
+        destination = { coordinates: { lat: parseFloat(lat), lng: parseFloat(lng) }, pincode };
+    } else if (pincode) {
+        destination = { pincode };
+    } else if (savedAddress) {
+        destination = { coordinates: savedAddress.coordinates, pincode: savedAddress.pincode };
+    } else {
+        return next(new ErrorResponse('Please provide a location or a pincode', 400));
+    }
+
+    if (destination.coordinates && (isNaN(destination.coordinates.lat) || isNaN(destination.coordinates.lng))) {
+        return next(new ErrorResponse('Please provide a valid latitude and longitude', 400));
+    }
+
+    const results = await findServiceableShops(destination);
+
+    res.status(200).json({
+        success: true,
+        count: results.length,
+        data: results.map(({ shop, distanceKm }) => ({ ...shop.toJSON(), distanceKm }))
     });
 });
 
@@ -321,34 +408,40 @@ const toggleShopStatus = asyncHandler(async (req, res, next) => {
     });
 });
 
-// @desc    Update shop rating
-// @route   POST /api/shops/:id/rating
-// @access  Private
-const updateShopRating = asyncHandler(async (req, res, next) => {
-    const { rating } = req.body;
-
-    if (!rating || rating < 1 || rating > 5) {
-        return next(new ErrorResponse('Please provide a valid rating between 1 and 5', 400));
+// @desc    Rebuild the shop's rating from its rated orders
+// @route   POST /api/shops/:id/rating/recalculate
+// @access  Private (Admin)
+const recalculateRating = asyncHandler(async (req, res, next) => {
+    if (!(await Shop.exists({ _id: req.params.id }))) {
+        return next(new ErrorResponse(`Shop not found with id of ${req.params.id}`, 404));
     }
 
-    const shop = await Shop.findById(req.params.id);
+    await recalculateShopRating(req.params.id);
+
+    const shop = await Shop.findById(req.params.id).select('name rating totalRatings ratingScores');
+
+    res.status(200).json({
+        success: true,
+        data: shop
+    });
+});
+
+// @desc    Get the shop's delivery slots that still have room
+// @route   GET /api/shops/:id/delivery-slots
+// @access  Public
+const getDeliverySlots = asyncHandler(async (req, res, next) => {
+    const shop = await Shop.findById(req.params.id).select('name businessHours deliverySlots');
 
     if (!shop) {
         return next(new ErrorResponse(`Shop not found with id of ${req.params.id}`, 404));
     }
 
-    // Update rating
-    const newTotalRatings = shop.totalRatings + 1;
-    const newRating = ((shop.rating * shop.totalRatings) + rating) / newTotalRatings;
-
-    shop.rating = newRating;
-    shop.totalRatings = newTotalRatings;
-
-    await shop.save();
+    const slots = await getAvailableSlots(shop);
 
     res.status(200).json({
         success: true,
-        data: shop
+        count: slots.length,
+        data: slots
     });
 });
 
@@ -363,6 +456,8 @@ module.exports = {
     searchShops,
     getShopsByCategory,
     getNearbyShops,
+    getServiceableShops,
     toggleShopStatus,
-    updateShopRating
+    recalculateRating,
+    getDeliverySlots
 };
@@ -0,0 +1,122 @@
+const Order = require('../models/Order');
+const LocationBreadcrumb = require('../models/LocationBreadcrumb');
+const ErrorResponse = require('../utils/errorResponse');
+const { subscribe } = require('../utils/orderEvents');
+
+// Once an order reaches one of these there is nothing left to track
+const FINAL_STATUSES = ['delivered', 'cancelled', 'refunded'];
+
+// Keep the initial payload small; the map only needs the recent path
+const TRAIL_LIMIT = 200;
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Load an order the requesting user is allowed to track
+const findTrackableOrder = async (req) => {
+    const order = await Order.findById(req.params.id)
+        .populate('shop', 'name address.coordinates')
+        .populate('assignedRider', 'name phone riderProfile.vehicleType riderProfile.vehicleNumber');
+
+    if (!order) {
+        throw new ErrorResponse('Order not found', 404);
+    }
+
+    if (req.user.role !== 'admin' && order.customer.toString() !== req.user.id) {
+        throw new ErrorResponse('Not authorized to track this order', 401);
+    }
+
+    return order;
+};
+
+const buildSnapshot = async (order) => {
+    const breadcrumbs = await LocationBreadcrumb.find({ order: order._id })
+        .sort('-recordedAt')
+        .limit(TRAIL_LIMIT)
+        .select('coordinates heading recordedAt');
+
+    const trail = breadcrumbs.reverse().map(crumb => ({
+        lat: crumb.coordinates.lat,
+        lng: crumb.coordinates.lng,
+        heading: crumb.heading,
+        recordedAt: crumb.recordedAt
+    }));
+
+    const riderAccepted = order.assignedRider && order.riderAssignment.status === 'accepted';
+
+    return {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        rider: riderAccepted ? {
+            name: order.assignedRider.name,
+            phone: order.assignedRider.phone,
+            vehicleType: order.assignedRider.riderProfile.vehicleType,
+            vehicleNumber: order.assignedRider.riderProfile.vehicleNumber
+        } : null,
+        shopLocation: order.shop ? order.shop.address.coordinates : null,
+        destination: order.deliveryAddress ? order.deliveryAddress.coordinates : null,
+        riderLocation: trail.length > 0 ? trail[trail.length - 1] : null,
+        trail,
+        eta: order.estimatedDeliveryTime || null
+    };
+};
+
+// @desc    Get current tracking state of an order
+// @route   GET /api/orders/:id/tracking
+// @access  Private (Customers, Admin)
+exports.getOrderTracking = async (req, res, next) => {
+    const order = await findTrackableOrder(req);
+
+    res.json({
+        success: true,
+        data: await buildSnapshot(order)
+    });
+};
+
+// @desc    Stream live rider position, status and ETA (Server-Sent Events)
+// @route   GET /api/orders/:id/tracking/stream
+// @access  Private (Customers, Admin)
+exports.streamOrderTracking = async (req, res, next) => {
+    const order = await findTrackableOrder(req);
+
+    // Load everything before the headers go out, so errors still reach the
+    // error handler; once streaming there is nothing left to fail
+    const snapshot = await buildSnapshot(order);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('snapshot', snapshot);
+
+    if (FINAL_STATUSES.includes(order.status)) {
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    let unsubscribe;
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    unsubscribe = subscribe(order._id, ({ type, payload }) => {
+        send(type, payload);
+
+        if (type === 'status' && FINAL_STATUSES.includes(payload.status)) {
+            close();
+            res.end();
+        }
+    });
+
+    req.on('close', close);
+};
@@ -0,0 +1,72 @@
+const WishlistItem = require('../models/WishlistItem');
+const Product = require('../models/Product');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Most products a customer can keep on their wishlist
+const MAX_WISHLIST_ITEMS = 100;
+
+// @desc    Get the current user's wishlist, newest first
+// @route   GET /api/wishlist
+// @access  Private
+exports.getWishlist = async (req, res, next) => {
+    const items = await WishlistItem.find({ user: req.user.id })
+        .populate({
+            path: 'product',
+            select: 'name price originalPrice unit mainImage images stock minStock isAvailable isActive shop',
+            populate: { path: 'shop', select: 'name' }
+        })
+        .sort('-createdAt');
+
+    res.json({
+        success: true,
+        // Deleted products drop off the list
+        data: items.filter(item => item.product)
+    });
+};
+
+// @desc    Add a product to the wishlist
+// @route   POST /api/wishlist
+// @access  Private
+exports.addToWishlist = async (req, res, next) => {
+    const product = await Product.findById(req.body.product);
+
+    if (!product || !product.isActive) {
+        return next(new ErrorResponse('Product not found', 404));
+    }
+
+    const existing = await WishlistItem.findOne({ user: req.user.id, product: product._id });
+
+    if (existing) {
+        return res.json({
+            success: true,
+            data: existing
+        });
+    }
+
+    if (await WishlistItem.countDocuments({ user: req.user.id }) >= MAX_WISHLIST_ITEMS) {
+        return next(new ErrorResponse(`Your wishlist can hold up to ${MAX_WISHLIST_ITEMS} products`, 400));
+    }
+
+    const item = await WishlistItem.create({
+        user: req.user.id,
+        product: product._id,
+        referencePrice: product.price
+    });
+
+    res.status(201).json({
+        success: true,
+        data: item
+    });
+};
+
+// @desc    Remove a product from the wishlist
+// @route   DELETE /api/wishlist/:productId
+// @access  Private
+exports.removeFromWishlist = async (req, res, next) => {
+    await WishlistItem.deleteOne({ user: req.user.id, product: req.params.productId });
+
+    res.json({
+        success: true,
+        data: {}
+    });
+};
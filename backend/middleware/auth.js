@@ -49,6 +49,15 @@ const protect = async (req, res, next) => {
     }
 };
 
+// Accept the JWT as a ?token= query parameter. EventSource cannot send
+// headers, so streaming routes use this before protect.
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
     return (req, res, next) => {
@@ -130,6 +139,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
     protect,
+    tokenFromQuery,
     authorize,
     isShopOwner,
     isCustomer,
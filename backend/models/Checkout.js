@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Groups the per-shop orders created from one cart so the customer gets a
+// single confirmation and a single payment.
+const checkoutSchema = new mongoose.Schema({
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    orders: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    }],
+    subtotal: {
+        type: Number,
+        required: true,
+        min: [0, 'Subtotal cannot be negative']
+    },
+    deliveryCharge: {
+        type: Number,
+        default: 0,
+        min: [0, 'Delivery charge cannot be negative']
+    },
+    tax: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax cannot be negative']
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative']
+    },
+    total: {
+        type: Number,
+        required: true,
+        min: [0, 'Total cannot be negative']
+    },
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+    },
+    paymentMethod: {
+        type: String,
+        enum: ['cod', 'online'],
+        default: 'cod'
+    },
+    paymentStatus: {
+        type: String,
+        enum: ['pending', 'paid', 'failed', 'refunded'],
+        default: 'pending'
+    }
+}, {
+    timestamps: true
+});
+
+checkoutSchema.index({ customer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Checkout', checkoutSchema);
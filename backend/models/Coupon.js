@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Please provide a coupon code'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,20}$/, 'Coupon codes are 3-20 letters, digits, dashes or underscores']
+    },
+    title: {
+        type: String,
+        required: [true, 'Please provide a title'],
+        maxlength: [100, 'Title cannot be more than 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    // null means the coupon is valid at every shop
+    shop: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['flat', 'percentage', 'free_delivery', 'buy_x_get_y'],
+        required: [true, 'Please select a discount type']
+    },
+    // Rupees off for `flat`, percent off for `percentage`
+    value: {
+        type: Number,
+        min: [0, 'Value cannot be negative'],
+        required: [
+            function() { return ['flat', 'percentage'].includes(this.type); },
+            'Please provide a discount value'
+        ],
+        validate: {
+            validator: function(value) { return this.type !== 'percentage' || value <= 100; },
+            message: 'A percentage discount cannot be more than 100'
+        }
+    },
+    // Upper limit for a percentage discount
+    maxDiscount: {
+        type: Number,
+        min: [0, 'Maximum discount cannot be negative']
+    },
+    // Buy `buyQuantity`, get `getQuantity` more free (cheapest units are free)
+    buyQuantity: {
+        type: Number,
+        min: [1, 'Buy quantity must be at least 1'],
+        required: [function() { return this.type === 'buy_x_get_y'; }, 'Please provide the buy quantity']
+    },
+    getQuantity: {
+        type: Number,
+        min: [1, 'Get quantity must be at least 1'],
+        required: [function() { return this.type === 'buy_x_get_y'; }, 'Please provide the free quantity']
+    },
+    // Products a buy-X-get-Y coupon applies to; empty means all products
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    minOrderAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum order amount cannot be negative']
+    },
+    firstOrderOnly: {
+        type: Boolean,
+        default: false
+    },
+    // null means unlimited
+    usageLimit: {
+        type: Number,
+        min: [1, 'Usage limit must be at least 1'],
+        default: null
+    },
+    perUserLimit: {
+        type: Number,
+        min: [1, 'Per-user limit must be at least 1'],
+        default: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    validFrom: {
+        type: Date,
+        default: Date.now
+    },
+    validUntil: {
+        type: Date,
+        validate: {
+            validator: function(value) { return !value || !this.validFrom || value > this.validFrom; },
+            message: 'Coupon must end after it starts'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+couponSchema.index({ shop: 1, isActive: 1 });
+couponSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
+
+module.exports = mongoose.model('Coupon', couponSchema);
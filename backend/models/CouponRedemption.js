@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon, counted against its per-user limit
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    checkout: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Checkout',
+        required: true
+    },
+    discount: {
+        type: Number,
+        required: true
+    },
+    // Which of the user's perUserLimit uses this is, from 1
+    use: {
+        type: Number,
+        required: true,
+        min: 1
+    }
+}, {
+    timestamps: true
+});
+
+// One document per use, so a use cannot be taken twice
+couponRedemptionSchema.index({ coupon: 1, user: 1, use: 1 }, { unique: true });
+couponRedemptionSchema.index({ checkout: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Booking counter for one delivery slot of a shop. Documents are created on
+// the first booking; a slot with no document has nothing booked.
+const deliverySlotSchema = new mongoose.Schema({
+    shop: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        required: true
+    },
+    start: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        required: true
+    },
+    booked: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+deliverySlotSchema.index({ shop: 1, start: 1 }, { unique: true });
+
+// Past slots are only kept for a week
+deliverySlotSchema.index({ end: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// GeoJSON polygon, coordinates as [lng, lat]
+const areaSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Polygon', 'MultiPolygon'],
+        required: true
+    },
+    coordinates: {
+        type: [],
+        required: true
+    }
+}, { _id: false });
+
+// A named delivery area drawn by admins. Shops opt into zones in addition
+// to, or instead of, their delivery radius (Shop.deliveryOptions.coverage).
+const deliveryZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a zone name'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Zone name cannot be more than 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    area: {
+        type: areaSchema,
+        default: undefined
+    },
+    // Addresses in these pincodes are in the zone even without coordinates
+    pincodes: {
+        type: [{
+            type: String,
+            match: [/^\d{6}$/, 'Please provide valid 6-digit pincodes']
+        }],
+        validate: {
+            validator: function(pincodes) { return Boolean(this.area) || pincodes.length > 0; },
+            message: 'Please draw the zone area or list its pincodes'
+        }
+    },
+    // Flat delivery charge inside the zone; null keeps the shop's own pricing
+    deliveryCharge: {
+        type: Number,
+        min: [0, 'Delivery charge cannot be negative'],
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+deliveryZoneSchema.index({ area: '2dsphere' });
+deliveryZoneSchema.index({ pincodes: 1 });
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One change to a product's stock. Every write to Product.stock goes
+// through utils/inventory.js, which records a movement for it, so the
+// ledger explains the current count.
+const inventoryMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    shop: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['sale', 'cancellation_restock', 'adjustment', 'damage', 'receipt', 'return'],
+        required: true
+    },
+    // Signed change in stock
+    quantity: {
+        type: Number,
+        required: true
+    },
+    // Stock right after this movement
+    balance: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // null for changes made by the system (e.g. a failed payment)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    actorRole: {
+        type: String,
+        enum: ['customer', 'shop_owner', 'delivery_partner', 'admin', 'system'],
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    note: {
+        type: String,
+        maxlength: [300, 'Note cannot be more than 300 characters']
+    },
+    // Set on adjustments made to match a physical count
+    reconciliation: {
+        counted: Number,
+        expected: Number
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ shop: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
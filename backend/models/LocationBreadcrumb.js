@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const locationBreadcrumbSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    coordinates: {
+        lat: {
+            type: Number,
+            required: true,
+            min: -90,
+            max: 90
+        },
+        lng: {
+            type: Number,
+            required: true,
+            min: -180,
+            max: 180
+        }
+    },
+    accuracy: {
+        type: Number, // in meters, as reported by the device
+        min: 0
+    },
+    heading: {
+        type: Number,
+        min: 0,
+        max: 360
+    },
+    speed: {
+        type: Number, // in m/s, as reported by the device
+        min: 0
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for replaying an order's trail
+locationBreadcrumbSchema.index({ order: 1, recordedAt: 1 });
+
+// Trails are only useful while an order is fresh
+locationBreadcrumbSchema.index({ recordedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LocationBreadcrumb', locationBreadcrumbSchema);
@@ -1,4 +1,25 @@
 const mongoose = require('mongoose');
+const NotificationPreference = require('./NotificationPreference');
+const { publish, hasSubscribers } = require('../utils/notificationEvents');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// How sending a notification over one channel went
+const channelStatusSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed', 'skipped'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastAttemptAt: Date,
+    nextAttemptAt: Date,
+    sentAt: Date,
+    error: String
+}, { _id: false });
 
 const notificationSchema = new mongoose.Schema({
     user: {
@@ -10,6 +31,7 @@ const notificationSchema = new mongoose.Schema({
         type: String,
         enum: [
             'stock_alert',
+            'low_stock',
             'order_status',
             'delivery_update',
             'price_drop',
@@ -76,6 +98,16 @@ const notificationSchema = new mongoose.Schema({
     scheduledFor: {
         type: Date
     },
+    // Per-channel outcome, filled in by utils/notificationDispatcher.js
+    deliveryStatus: {
+        email: channelStatusSchema,
+        sms: channelStatusSchema,
+        push: channelStatusSchema
+    },
+    // Earliest retry of a channel that failed; unset when none is waiting
+    nextAttemptAt: {
+        type: Date
+    },
     expiresAt: {
         type: Date
     }
@@ -87,6 +119,7 @@ const notificationSchema = new mongoose.Schema({
 notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ type: 1, isSent: 1 });
 notificationSchema.index({ scheduledFor: 1, isSent: 1 });
+notificationSchema.index({ isSent: 1, nextAttemptAt: 1 });
 notificationSchema.index({ expiresAt: 1 });
 
 // Pre-save middleware to set default expiration
@@ -98,6 +131,38 @@ notificationSchema.pre('save', function(next) {
     next();
 });
 
+// Remember which saves create the notification, for the post-save hook
+notificationSchema.pre('save', function(next) {
+    this.$locals.wasNew = this.isNew;
+    next();
+});
+
+// Push new notifications and the unread count to the user's open streams
+const publishCreated = async (Notification, notifications) => {
+    const users = [...new Set(notifications.map(notification => notification.user.toString()))]
+        .filter(hasSubscribers);
+
+    for (const userId of users) {
+        notifications
+            .filter(notification => notification.user.toString() === userId)
+            .forEach(notification => publish(userId, 'notification', notification));
+
+        await Notification.publishUnreadCount(userId);
+    }
+};
+
+notificationSchema.post('save', function(doc) {
+    if (doc.$locals.wasNew) {
+        publishCreated(doc.constructor, [doc])
+            .catch(err => console.error('Notification stream error:', err));
+    }
+});
+
+notificationSchema.post('insertMany', function(docs) {
+    publishCreated(this, docs)
+        .catch(err => console.error('Notification stream error:', err));
+});
+
 // Virtual for notification age
 notificationSchema.virtual('age').get(function() {
     return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24));
@@ -123,9 +188,84 @@ notificationSchema.methods.markAsSent = function() {
     return this.save();
 };
 
+// Static method to apply users' preferences to notifications about to be
+// created. Types a user turned off, and promotions over their weekly cap,
+// are dropped. Channels they turned off are cleared. Anything not urgent or
+// essential that arrives in their quiet hours is scheduled for when they end.
+notificationSchema.statics.applyPreferences = async function(notifications) {
+    if (notifications.length === 0) {
+        return [];
+    }
+
+    const now = new Date();
+    const preferences = await NotificationPreference.forUsers(notifications.map(notification => notification.user));
+
+    const promotedUsers = notifications
+        .filter(notification => notification.type === 'promotion')
+        .map(notification => new mongoose.Types.ObjectId(String(notification.user)));
+
+    const recentPromotions = new Map((promotedUsers.length > 0
+        ? await this.aggregate([
+            {
+                $match: {
+                    user: { $in: promotedUsers },
+                    type: 'promotion',
+                    createdAt: { $gte: new Date(now.getTime() - WEEK) }
+                }
+            },
+            { $group: { _id: '$user', count: { $sum: 1 } } }
+        ])
+        : []
+    ).map(entry => [entry._id.toString(), entry.count]));
+
+    return notifications.filter(notification => {
+        const key = notification.user.toString();
+        const preference = preferences.get(key);
+
+        if (!preference.allows(notification.type)) {
+            return false;
+        }
+
+        if (notification.type === 'promotion') {
+            const sent = recentPromotions.get(key) || 0;
+
+            if (sent >= preference.promotions.maxPerWeek) {
+                return false;
+            }
+
+            recentPromotions.set(key, sent + 1);
+        }
+
+        notification.deliveryMethod = preference.channelsFor(notification.type, notification.deliveryMethod);
+
+        if (notification.priority !== 'urgent' && !NotificationPreference.isEssential(notification.type)) {
+            const quietUntil = preference.quietUntil(now);
+
+            if (quietUntil && !(notification.scheduledFor > quietUntil)) {
+                notification.scheduledFor = quietUntil;
+            }
+        }
+
+        return true;
+    });
+};
+
+// Static method to create a notification as its user's preferences allow.
+// Resolves to null when they would rather not get it.
+notificationSchema.statics.notify = async function(notification) {
+    const [allowed] = await this.applyPreferences([notification]);
+    return allowed ? await this.create(allowed) : null;
+};
+
+// Static method to create many notifications as their users' preferences allow
+notificationSchema.statics.notifyMany = async function(notifications) {
+    const allowed = await this.applyPreferences(notifications);
+    return allowed.length > 0 ? await this.insertMany(allowed) : [];
+};
+
 // Static method to create stock alert notification
 notificationSchema.statics.createStockAlert = async function(userId, productId, shopId, productName) {
-    return await this.create({
+    return await this.notify({
         user: userId,
         type: 'stock_alert',
         title: 'Product Back in Stock!',
@@ -143,6 +283,52 @@ notificationSchema.statics.createStockAlert = async function(userId, productId,
     });
 };
 
+// Static method to warn a shop owner that a product is running out
+notificationSchema.statics.createLowStockAlert = async function(ownerId, product) {
+    const outOfStock = product.stock === 0;
+
+    return await this.notify({
+        user: ownerId,
+        type: 'low_stock',
+        title: outOfStock ? `Out of stock - ${product.name}` : `Low stock - ${product.name}`,
+        message: outOfStock
+            ? `${product.name} has sold out and is no longer available to customers. Restock it soon.`
+            : `Only ${product.stock} ${product.unit} of ${product.name} left (minimum ${product.minStock}). Time to reorder.`,
+        data: {
+            productId: product._id,
+            shopId: product.shop,
+            quantity: product.stock
+        },
+        priority: outOfStock ? 'high' : 'medium',
+        deliveryMethod: {
+            email: true,
+            push: true
+        }
+    });
+};
+
+// Static method to send a shop owner the daily list of products to reorder
+notificationSchema.statics.createLowStockDigest = async function(ownerId, shop, products) {
+    const outOfStock = products.filter(product => product.stock === 0).length;
+    const names = products.slice(0, 5).map(product => `${product.name} (${product.stock})`).join(', ');
+    const more = products.length > 5 ? ` and ${products.length - 5} more` : '';
+
+    return await this.notify({
+        user: ownerId,
+        type: 'low_stock',
+        title: `${products.length} products to reorder at ${shop.name}`.slice(0, 100),
+        message: `${outOfStock} out of stock, ${products.length - outOfStock} running low: ${names}${more}.`.slice(0, 500),
+        data: {
+            shopId: shop._id,
+            quantity: products.length
+        },
+        priority: 'low',
+        deliveryMethod: {
+            email: true
+        }
+    });
+};
+
 // Static method to create order status notification
 notificationSchema.statics.createOrderStatusNotification = async function(userId, orderId, status, orderNumber) {
     const statusMessages = {
@@ -153,7 +339,7 @@ notificationSchema.statics.createOrderStatusNotification = async function(userId
         'delivered': 'Your order has been delivered successfully!'
     };
 
-    return await this.create({
+    return await this.notify({
         user: userId,
         type: 'order_status',
         title: `Order ${orderNumber} - ${status.replace('_', ' ').toUpperCase()}`,
@@ -169,11 +355,93 @@ notificationSchema.statics.createOrderStatusNotification = async function(userId
     });
 };
 
+// Static method to offer a delivery job to a rider
+notificationSchema.statics.createRiderOfferNotification = async function(riderId, orderId, orderNumber) {
+    return await this.notify({
+        user: riderId,
+        type: 'delivery_update',
+        title: `New delivery job - ${orderNumber}`,
+        message: `You have been offered the delivery of order ${orderNumber}. Accept or decline it from your jobs list.`,
+        data: {
+            orderId: orderId
+        },
+        priority: 'high',
+        deliveryMethod: {
+            sms: true,
+            push: true
+        }
+    });
+};
+
+// Static method to alert an admin that an order could not be dispatched
+notificationSchema.statics.createDispatchEscalation = async function(adminId, orderId, orderNumber, reason) {
+    return await this.notify({
+        user: adminId,
+        type: 'system_alert',
+        title: `Dispatch needed - ${orderNumber}`,
+        message: `Order ${orderNumber} is ready but has no rider. ${reason}. Please assign one manually.`,
+        data: {
+            orderId: orderId
+        },
+        priority: 'urgent',
+        deliveryMethod: {
+            email: true,
+            push: true
+        }
+    });
+};
+
+// Static method to tell a customer or shop owner about a refund
+notificationSchema.statics.createRefundNotification = async function(userId, orderId, orderNumber, status, amount) {
+    const statusMessages = {
+        'requested': `A refund of ₹${amount} has been requested for order ${orderNumber}. Please review it.`,
+        'approved': `Your refund of ₹${amount} for order ${orderNumber} has been approved.`,
+        'rejected': `Your refund request for order ${orderNumber} has been rejected.`
+    };
+
+    return await this.notify({
+        user: userId,
+        type: 'order_status',
+        title: `Refund ${status} - ${orderNumber}`,
+        message: statusMessages[status],
+        data: {
+            orderId: orderId,
+            price: amount
+        },
+        priority: status === 'requested' ? 'high' : 'medium',
+        deliveryMethod: {
+            email: true,
+            push: true
+        }
+    });
+};
+
+// Static method to announce a coupon to a list of customers
+notificationSchema.statics.createPromotionNotifications = async function(userIds, coupon, shopName) {
+    const where = shopName ? ` at ${shopName}` : '';
+
+    return await this.notifyMany(userIds.map(userId => ({
+        user: userId,
+        type: 'promotion',
+        title: coupon.title,
+        message: `Use code ${coupon.code}${where}. ${coupon.description || ''}`.trim(),
+        data: {
+            shopId: coupon.shop || undefined
+        },
+        priority: 'low',
+        deliveryMethod: {
+            push: true
+        },
+        // insertMany skips the pre-save default, so set the expiry here
+        expiresAt: coupon.validUntil || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+    })));
+};
+
 // Static method to create price drop notification
 notificationSchema.statics.createPriceDropNotification = async function(userId, productId, productName, oldPrice, newPrice) {
     const discount = Math.round(((oldPrice - newPrice) / oldPrice) * 100);
     
-    return await this.create({
+    return await this.notify({
         user: userId,
         type: 'price_drop',
         title: 'Price Drop Alert!',
@@ -191,6 +459,13 @@ notificationSchema.statics.createPriceDropNotification = async function(userId,
     });
 };
 
+// Static method to send the user's open streams their unread count
+notificationSchema.statics.publishUnreadCount = async function(userId) {
+    if (hasSubscribers(userId.toString())) {
+        publish(userId.toString(), 'unread-count', { unreadCount: await this.getUnreadCount(userId) });
+    }
+};
+
 // Static method to get unread notifications count
 notificationSchema.statics.getUnreadCount = async function(userId) {
     return await this.countDocuments({
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const { isValidTimezone, parseTime, zonedParts, zonedTime } = require('../utils/businessHours');
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+// Notifications about the user's own orders and jobs, which they cannot
+// turn off (only choose the channels for) and which quiet hours do not hold
+const ESSENTIAL_TYPES = ['order_status', 'delivery_update', 'system_alert'];
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in HH:MM format'];
+
+const typeSettingsSchema = new mongoose.Schema({
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    email: {
+        type: Boolean,
+        default: true
+    },
+    sms: {
+        type: Boolean,
+        default: true
+    },
+    push: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+// How a user wants to be notified. Users without one get the defaults: every
+// type on every channel, no quiet hours, 3 promotions a week.
+const notificationPreferenceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    // Channels turned off here are never used, whatever the type
+    channels: {
+        email: {
+            type: Boolean,
+            default: true
+        },
+        sms: {
+            type: Boolean,
+            default: true
+        },
+        push: {
+            type: Boolean,
+            default: true
+        }
+    },
+    // Notification.type -> settings; types not listed use the defaults
+    types: {
+        type: Map,
+        of: typeSettingsSchema,
+        default: () => ({})
+    },
+    quietHours: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        start: {
+            type: String,
+            match: TIME_FORMAT,
+            default: '22:00'
+        },
+        end: {
+            type: String,
+            match: TIME_FORMAT,
+            default: '07:00'
+        },
+        // IANA time zone the hours are in; defaults to the server's TZ
+        timezone: {
+            type: String,
+            validate: [isValidTimezone, 'Please provide a valid time zone, e.g. Asia/Kolkata']
+        }
+    },
+    promotions: {
+        maxPerWeek: {
+            type: Number,
+            default: 3,
+            min: [0, 'Promotions per week cannot be negative'],
+            max: [50, 'Promotions per week cannot be more than 50']
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// Whether the user wants notifications of this type at all
+notificationPreferenceSchema.methods.allows = function(type) {
+    const settings = this.types.get(type);
+    return ESSENTIAL_TYPES.includes(type) || !settings || settings.enabled;
+};
+
+// The channels among `requested` ({ email, sms, push }) the user accepts for this type
+notificationPreferenceSchema.methods.channelsFor = function(type, requested = {}) {
+    const settings = this.types.get(type);
+
+    return Object.fromEntries(CHANNELS.map(channel => [
+        channel,
+        Boolean(requested[channel]) && this.channels[channel] && (!settings || settings[channel])
+    ]));
+};
+
+// When the quiet hours around `now` end, or null outside quiet hours
+notificationPreferenceSchema.methods.quietUntil = function(now = new Date()) {
+    const { enabled, start, end, timezone } = this.quietHours;
+    const startMinutes = parseTime(start);
+    const endMinutes = parseTime(end);
+
+    if (!enabled || startMinutes === endMinutes) {
+        return null;
+    }
+
+    const timeZone = timezone || process.env.TZ || 'Asia/Kolkata';
+    const local = zonedParts(now, timeZone);
+    const minutes = (local.hour % 24) * 60 + local.minute;
+
+    const quiet = startMinutes < endMinutes
+        ? minutes >= startMinutes && minutes < endMinutes
+        : minutes >= startMinutes || minutes < endMinutes;
+
+    if (!quiet) {
+        return null;
+    }
+
+    // Quiet hours running past midnight end tomorrow
+    const endsTomorrow = endMinutes <= minutes;
+    return zonedTime(local.year, local.month, local.day, endMinutes + (endsTomorrow ? 24 * 60 : 0), timeZone);
+};
+
+// Preferences for each of `userIds`, keyed by id. Users who never saved
+// any get an unsaved document with the defaults.
+notificationPreferenceSchema.statics.forUsers = async function(userIds) {
+    const ids = [...new Set(userIds.map(id => id.toString()))];
+    const saved = await this.find({ user: { $in: ids } });
+
+    return new Map(ids.map(id => [
+        id,
+        saved.find(preference => preference.user.toString() === id) || new this({ user: id })
+    ]));
+};
+
+// Whether the type is sent even in quiet hours and cannot be turned off
+notificationPreferenceSchema.statics.isEssential = (type) => ESSENTIAL_TYPES.includes(type);
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
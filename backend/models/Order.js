@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { publish } = require('../utils/orderEvents');
+const { assertTransition } = require('../utils/orderStatus');
 
 const orderItemSchema = new mongoose.Schema({
     product: {
@@ -27,6 +29,33 @@ const orderItemSchema = new mongoose.Schema({
     }
 });
 
+const statusHistorySchema = new mongoose.Schema({
+    from: {
+        type: String
+    },
+    status: {
+        type: String,
+        required: true
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    role: {
+        type: String
+    },
+    note: {
+        type: String,
+        maxlength: [200, 'Note cannot be more than 200 characters']
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
 const orderSchema = new mongoose.Schema({
     orderNumber: {
         type: String,
@@ -42,6 +71,11 @@ const orderSchema = new mongoose.Schema({
         ref: 'Shop',
         required: true
     },
+    // Parent checkout when one cart was split into orders per shop
+    checkout: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Checkout'
+    },
     items: [orderItemSchema],
     subtotal: {
         type: Number,
@@ -68,6 +102,11 @@ const orderSchema = new mongoose.Schema({
         required: true,
         min: [0, 'Total cannot be negative']
     },
+    // Coupon that contributed to `discount`
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+    },
     status: {
         type: String,
         enum: [
@@ -82,14 +121,16 @@ const orderSchema = new mongoose.Schema({
         ],
         default: 'pending'
     },
+    statusHistory: [statusHistorySchema],
     paymentMethod: {
         type: String,
         enum: ['cod', 'online'],
         default: 'cod'
     },
+    // refund_due: paid for after it was cancelled, so the money is owed back
     paymentStatus: {
         type: String,
-        enum: ['pending', 'paid', 'failed', 'refunded'],
+        enum: ['pending', 'paid', 'failed', 'refund_due', 'refunded'],
         default: 'pending'
     },
     deliveryType: {
@@ -98,7 +139,9 @@ const orderSchema = new mongoose.Schema({
         required: true
     },
     deliveryAddress: {
+        label: String,
         street: String,
+        landmark: String,
         city: String,
         state: String,
         pincode: String,
@@ -111,6 +154,42 @@ const orderSchema = new mongoose.Schema({
         type: String,
         maxlength: [300, 'Delivery instructions cannot be more than 300 characters']
     },
+    assignedRider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    riderAssignment: {
+        status: {
+            type: String,
+            enum: ['offered', 'accepted', 'declined', 'expired']
+        },
+        assignedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        offeredAt: Date,
+        respondedAt: Date,
+        pickedUpAt: Date
+    },
+    // Riders who declined the job or let the offer expire
+    declinedRiders: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    dispatch: {
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        lastAttemptAt: Date,
+        escalatedAt: Date
+    },
+    // Booked delivery window; empty for as-soon-as-possible orders
+    deliverySlot: {
+        start: Date,
+        end: Date
+    },
     estimatedDeliveryTime: {
         type: Date
     },
@@ -129,11 +208,36 @@ const orderSchema = new mongoose.Schema({
         type: String,
         maxlength: [200, 'Refund reason cannot be more than 200 characters']
     },
+    // Sum of approved refunds (see models/Refund.js)
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Refunded amount cannot be negative']
+    },
     rating: {
         type: Number,
         min: 1,
         max: 5
     },
+    // Optional 1-5 scores for parts of the experience
+    ratingScores: {
+        packaging: {
+            type: Number,
+            min: 1,
+            max: 5
+        },
+        freshness: {
+            type: Number,
+            min: 1,
+            max: 5
+        },
+        deliverySpeed: {
+            type: Number,
+            min: 1,
+            max: 5
+        }
+    },
+    ratedAt: Date,
     review: {
         type: String,
         maxlength: [500, 'Review cannot be more than 500 characters']
@@ -149,8 +253,10 @@ const orderSchema = new mongoose.Schema({
 // Index for order tracking
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ customer: 1, createdAt: -1 });
+orderSchema.index({ checkout: 1 });
 orderSchema.index({ shop: 1, status: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ assignedRider: 1, 'riderAssignment.status': 1 });
 
 // Pre-save middleware to generate order number
 orderSchema.pre('save', async function(next) {
@@ -170,10 +276,33 @@ orderSchema.pre('save', async function(next) {
         
         const sequence = (orderCount + 1).toString().padStart(4, '0');
         this.orderNumber = `ORD${year}${month}${day}${sequence}`;
+        
+        if (this.statusHistory.length === 0) {
+            this.statusHistory.push({
+                status: this.status,
+                changedBy: this.customer,
+                role: 'customer'
+            });
+        }
     }
     next();
 });
 
+// Let live tracking streams know about status changes
+orderSchema.pre('save', function(next) {
+    this.$locals.statusChanged = !this.isNew && this.isModified('status');
+    next();
+});
+
+orderSchema.post('save', function(doc) {
+    if (doc.$locals.statusChanged) {
+        publish(doc._id, 'status', {
+            status: doc.status,
+            updatedAt: doc.updatedAt
+        });
+    }
+});
+
 // Virtual for order summary
 orderSchema.virtual('itemCount').get(function() {
     return this.items.reduce((total, item) => total + item.quantity, 0);
@@ -184,12 +313,19 @@ orderSchema.virtual('orderAge').get(function() {
     return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24));
 });
 
-// Instance method to update order status
-orderSchema.methods.updateStatus = function(newStatus, notes = '') {
+// Instance method to update order status. Rejects transitions the state
+// machine does not allow for the actor's role and records the change.
+orderSchema.methods.updateStatus = async function(newStatus, actor, note = '') {
+    assertTransition(this, newStatus, actor.role);
+    
+    this.statusHistory.push({
+        from: this.status,
+        status: newStatus,
+        changedBy: actor._id,
+        role: actor.role,
+        note: note || undefined
+    });
     this.status = newStatus;
-    if (notes) {
-        this.orderNotes = notes;
-    }
     
     // Set delivery time when status changes to delivered
     if (newStatus === 'delivered') {
@@ -199,6 +335,17 @@ orderSchema.methods.updateStatus = function(newStatus, notes = '') {
     return this.save();
 };
 
+// Instance method to offer the order to a rider (also used for reassignment)
+orderSchema.methods.offerToRider = function(riderId, assignedBy) {
+    this.assignedRider = riderId;
+    this.riderAssignment = {
+        status: 'offered',
+        assignedBy,
+        offeredAt: new Date()
+    };
+    return this;
+};
+
 // Static method to get order statistics
 orderSchema.statics.getStats = async function(shopId, startDate, endDate) {
     const matchStage = {
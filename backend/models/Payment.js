@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One payment attempt for a checkout at the payment provider
+const paymentSchema = new mongoose.Schema({
+    checkout: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Checkout',
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    intentId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative']
+    },
+    // Handed to the client to confirm the payment with the provider
+    clientSecret: {
+        type: String,
+        select: false
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        enum: ['requires_payment', 'authorized', 'paid', 'failed', 'refunded'],
+        default: 'requires_payment'
+    },
+    failureReason: {
+        type: String,
+        maxlength: [200, 'Failure reason cannot be more than 200 characters']
+    },
+    paidAt: Date,
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Webhook event ids already applied, so redelivered events are ignored
+    processedEvents: [{
+        type: String
+    }]
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ checkout: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
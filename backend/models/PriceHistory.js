@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A product's price from `createdAt` until the next entry. Written by
+// utils/priceAlerts.js whenever a product is created or repriced, and
+// backfilled from the product's creation on the first change of a product
+// that has no history yet.
+const priceHistorySchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    shop: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        required: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    originalPrice: {
+        type: Number,
+        min: 0
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -77,6 +77,16 @@ const productSchema = new mongoose.Schema({
         default: 5,
         min: [0, 'Minimum stock cannot be negative']
     },
+    // Worst stock level the shop owner has been alerted about since stock
+    // was last above minStock (see utils/stockAlerts.js)
+    stockAlert: {
+        level: {
+            type: String,
+            enum: ['low_stock', 'out_of_stock', null],
+            default: null
+        },
+        alertedAt: Date
+    },
     isAvailable: {
         type: Boolean,
         default: true
@@ -167,9 +177,9 @@ productSchema.index({ shop: 1, category: 1 });
 // Index for availability and price
 productSchema.index({ isAvailable: 1, price: 1 });
 
-// Virtual for average rating
+// Virtual for average rating (`rating` already holds the average)
 productSchema.virtual('averageRating').get(function() {
-    return this.totalRatings > 0 ? (this.rating / this.totalRatings).toFixed(1) : 0;
+    return this.totalRatings > 0 ? this.rating.toFixed(1) : 0;
 });
 
 // Virtual for discount percentage
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A browser the user allowed to show push notifications, as returned by
+// PushManager.subscribe(). Removed when the user turns push off there, or
+// once the push service reports it gone.
+const pushSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    endpoint: {
+        type: String,
+        required: [true, 'Please provide the subscription endpoint'],
+        unique: true,
+        match: [/^https:\/\//, 'The subscription endpoint must be an https URL']
+    },
+    keys: {
+        p256dh: {
+            type: String,
+            required: [true, 'Please provide the subscription keys']
+        },
+        auth: {
+            type: String,
+            required: [true, 'Please provide the subscription keys']
+        }
+    },
+    userAgent: {
+        type: String,
+        maxlength: 300
+    }
+}, {
+    timestamps: true
+});
+
+pushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
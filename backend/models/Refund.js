@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const refundLineSchema = new mongoose.Schema({
+    // _id of the line in order.items
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative']
+    }
+}, {
+    _id: false
+});
+
+const refundHistorySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected', 'payout_completed', 'payout_failed'],
+        required: true
+    },
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    role: {
+        type: String
+    },
+    note: {
+        type: String,
+        maxlength: [500, 'Note cannot be more than 500 characters']
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+// A refund request and everything that happened to it. Refunds are never
+// deleted and `history` is only appended to, so the collection doubles as
+// the refund ledger.
+const refundSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    shop: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        required: true
+    },
+    // `full` refunds whatever is left of the order total; `partial`
+    // refunds the listed lines only
+    type: {
+        type: String,
+        enum: ['full', 'partial'],
+        required: true
+    },
+    items: [refundLineSchema],
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Refund amount must be positive']
+    },
+    reason: {
+        type: String,
+        required: [true, 'Please give a reason for the refund'],
+        maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    // Photo URLs
+    evidence: {
+        type: [String],
+        validate: [list => list.length <= 5, 'No more than 5 photos can be attached']
+    },
+    status: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected'],
+        default: 'requested'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: {
+        type: String,
+        maxlength: [500, 'Review note cannot be more than 500 characters']
+    },
+    // Set once approved. Online payments go back through the payment
+    // provider; cash on delivery is settled by the shop.
+    payout: {
+        method: {
+            type: String,
+            enum: ['original_payment', 'manual']
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'completed', 'failed']
+        },
+        providerRefundId: String,
+        failureReason: String,
+        completedAt: Date
+    },
+    history: [refundHistorySchema]
+}, {
+    timestamps: true
+});
+
+refundSchema.index({ order: 1, status: 1 });
+// At most one refund per order waits for review, however requests interleave
+refundSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { status: 'requested' } });
+refundSchema.index({ shop: 1, status: 1, createdAt: -1 });
+refundSchema.index({ customer: 1, createdAt: -1 });
+refundSchema.index({ 'payout.status': 1 });
+
+// Instance method to append to the ledger
+refundSchema.methods.record = function(action, actor, note = '') {
+    this.history.push({
+        action,
+        by: actor._id,
+        role: actor.role,
+        note: note || undefined
+    });
+    return this;
+};
+
+module.exports = mongoose.model('Refund', refundSchema);
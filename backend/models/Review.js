@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Most photos a review can carry
+const MAX_PHOTOS = 5;
+
+const reportSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['spam', 'offensive', 'fake', 'irrelevant', 'other'],
+        required: [true, 'Please select a reason']
+    },
+    note: {
+        type: String,
+        maxlength: [300, 'Note cannot be more than 300 characters']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A customer's review of a product they received. Only `published` reviews
+// are shown and counted in the product and shop ratings; reported reviews
+// wait in the admin moderation queue as `flagged`.
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    shop: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The delivered order the product came in
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Please provide a rating'],
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5']
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title cannot be more than 100 characters']
+    },
+    text: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Review cannot be more than 2000 characters']
+    },
+    photos: {
+        type: [String],
+        validate: {
+            validator: (photos) => photos.length <= MAX_PHOTOS,
+            message: `A review can have up to ${MAX_PHOTOS} photos`
+        }
+    },
+    status: {
+        type: String,
+        enum: ['published', 'flagged', 'removed'],
+        default: 'published'
+    },
+    helpfulVotes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    helpfulCount: {
+        type: Number,
+        default: 0
+    },
+    reports: [reportSchema],
+    moderation: {
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        moderatedAt: Date,
+        note: {
+            type: String,
+            maxlength: [300, 'Note cannot be more than 300 characters']
+        }
+    },
+    editedAt: Date
+}, {
+    timestamps: true
+});
+
+// One review per customer per product
+reviewSchema.index({ user: 1, product: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ shop: 1, status: 1 });
+reviewSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
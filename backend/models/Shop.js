@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const { getOpenStatus, isValidTimezone } = require('../utils/businessHours');
+
+// Running total of one rating sub-score
+const ratingTallySchema = new mongoose.Schema({
+    sum: {
+        type: Number,
+        default: 0
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    average: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
 
 const shopSchema = new mongoose.Schema({
     owner: {
@@ -81,6 +98,38 @@ const shopSchema = new mongoose.Schema({
         saturday: { open: String, close: String, isOpen: { type: Boolean, default: true } },
         sunday: { open: String, close: String, isOpen: { type: Boolean, default: false } }
     },
+    // IANA time zone the business hours are in; defaults to the server's TZ
+    timezone: {
+        type: String,
+        validate: [isValidTimezone, 'Please provide a valid time zone, e.g. Asia/Kolkata']
+    },
+    // Holidays (isOpen false) or changed hours for single dates
+    specialHours: [{
+        date: {
+            type: String,
+            required: true,
+            match: [/^\d{4}-\d{2}-\d{2}$/, 'Dates must be in YYYY-MM-DD format']
+        },
+        open: String,
+        close: String,
+        isOpen: {
+            type: Boolean,
+            default: false
+        },
+        note: {
+            type: String,
+            maxlength: [100, 'Note cannot be more than 100 characters']
+        }
+    }],
+    // Closed for a while, e.g. renovation or stock-taking
+    temporaryClosure: {
+        from: Date,
+        until: Date,
+        reason: {
+            type: String,
+            maxlength: [200, 'Reason cannot be more than 200 characters']
+        }
+    },
     images: [{
         type: String,
         default: []
@@ -107,6 +156,17 @@ const shopSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Sum of the order ratings behind `rating`, kept so it can be updated
+    // incrementally (see utils/ratings.js)
+    ratingSum: {
+        type: Number,
+        default: 0
+    },
+    ratingScores: {
+        packaging: { type: ratingTallySchema, default: () => ({}) },
+        freshness: { type: ratingTallySchema, default: () => ({}) },
+        deliverySpeed: { type: ratingTallySchema, default: () => ({}) }
+    },
     deliveryOptions: {
         homeDelivery: {
             type: Boolean,
@@ -131,6 +191,48 @@ const shopSchema = new mongoose.Schema({
             type: Number,
             default: 0,
             min: 0
+        },
+        // Where the shop delivers: within deliveryRadius, in its
+        // deliveryZones, or both
+        coverage: {
+            type: String,
+            enum: ['radius', 'zones', 'both'],
+            default: 'radius'
+        }
+    },
+    deliveryZones: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliveryZone'
+    }],
+    // Bookable delivery windows, cut from the business hours
+    deliverySlots: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        slotMinutes: {
+            type: Number,
+            default: 60,
+            min: [15, 'Slots must be at least 15 minutes'],
+            max: [240, 'Slots cannot be longer than 4 hours']
+        },
+        // Orders the shop can deliver in one slot
+        capacity: {
+            type: Number,
+            default: 10,
+            min: [1, 'Slot capacity must be at least 1']
+        },
+        // How long before a slot starts it stops taking orders
+        leadMinutes: {
+            type: Number,
+            default: 30,
+            min: 0
+        },
+        daysAhead: {
+            type: Number,
+            default: 2,
+            min: 0,
+            max: 7
         }
     },
     paymentMethods: {
@@ -158,6 +260,14 @@ const shopSchema = new mongoose.Schema({
 // Index for location-based queries
 shopSchema.index({ "address.coordinates": "2dsphere" });
 
+// Indexes for the serviceability lookups: the bounding box around a
+// destination and the pincode fallback
+shopSchema.index({ "address.coordinates.lat": 1, "address.coordinates.lng": 1 });
+shopSchema.index({ "address.pincode": 1 });
+
+// Index for finding the shops serving a delivery zone
+shopSchema.index({ deliveryZones: 1 });
+
 // Index for search functionality
 shopSchema.index({ 
     name: "text", 
@@ -166,9 +276,18 @@ shopSchema.index({
     tags: "text"
 });
 
-// Virtual for average rating
+// Virtual for average rating (`rating` already holds the average)
 shopSchema.virtual('averageRating').get(function() {
-    return this.totalRatings > 0 ? (this.rating / this.totalRatings).toFixed(1) : 0;
+    return this.totalRatings > 0 ? this.rating.toFixed(1) : 0;
+});
+
+// Open/closed state right now, from the business hours and overrides
+shopSchema.virtual('isOpenNow').get(function() {
+    return this.businessHours ? getOpenStatus(this).isOpenNow : undefined;
+});
+
+shopSchema.virtual('nextOpensAt').get(function() {
+    return this.businessHours ? getOpenStatus(this).nextOpensAt : undefined;
 });
 
 // Ensure virtual fields are serialized
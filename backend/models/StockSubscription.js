@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// How long a "notify me" request waits for the product to come back
+const SUBSCRIPTION_DAYS = 30;
+
+const expiryFromNow = () => new Date(Date.now() + SUBSCRIPTION_DAYS * 24 * 60 * 60 * 1000);
+
+// A customer waiting for an out-of-stock product. Deleted once the back in
+// stock alert is sent, or by MongoDB when it expires. Unsubscribing only
+// cancels it, so it still counts towards the customer's hourly limit.
+const stockSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        default: expiryFromNow
+    },
+    // When the customer last asked for the alert
+    requestedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set when the customer stops waiting
+    cancelledAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One subscription per customer per product
+stockSubscriptionSchema.index({ user: 1, product: 1 }, { unique: true });
+stockSubscriptionSchema.index({ product: 1 });
+stockSubscriptionSchema.index({ user: 1, requestedAt: -1 });
+stockSubscriptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Subscriptions still waiting for their product at `now`
+stockSubscriptionSchema.statics.activeQuery = (query = {}, now = new Date()) => ({
+    ...query,
+    cancelledAt: null,
+    expiresAt: { $gt: now }
+});
+
+// Keep waiting for another full period, taking back a cancellation
+stockSubscriptionSchema.methods.renew = function() {
+    this.expiresAt = expiryFromNow();
+    this.requestedAt = new Date();
+    this.cancelledAt = null;
+    return this.save();
+};
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -3,6 +3,58 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 
+// Most addresses a customer can keep in the address book
+const MAX_SAVED_ADDRESSES = 10;
+
+// An entry in the customer's address book
+const savedAddressSchema = new mongoose.Schema({
+    // "Home", "Office", "Parents" ...
+    label: {
+        type: String,
+        required: [true, 'Please label the address'],
+        trim: true,
+        maxlength: [30, 'Label cannot be more than 30 characters']
+    },
+    street: {
+        type: String,
+        required: [true, 'Please provide the street address'],
+        trim: true
+    },
+    landmark: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Landmark cannot be more than 100 characters']
+    },
+    city: {
+        type: String,
+        required: [true, 'Please provide the city'],
+        trim: true
+    },
+    state: {
+        type: String,
+        trim: true
+    },
+    pincode: {
+        type: String,
+        required: [true, 'Please provide the pincode'],
+        match: [/^\d{6}$/, 'Please provide a valid 6-digit pincode']
+    },
+    coordinates: {
+        lat: Number,
+        lng: Number
+    },
+    // Geocoder that placed the coordinates; unset when the customer did
+    geocodedBy: String,
+    deliveryInstructions: {
+        type: String,
+        maxlength: [300, 'Delivery instructions cannot be more than 300 characters']
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+});
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -32,7 +84,7 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['customer', 'shop_owner', 'admin'],
+        enum: ['customer', 'shop_owner', 'delivery_partner', 'admin'],
         default: 'customer'
     },
     address: {
@@ -45,6 +97,43 @@ const userSchema = new mongoose.Schema({
             lng: Number
         }
     },
+    addresses: {
+        type: [savedAddressSchema],
+        validate: {
+            validator: (addresses) => addresses.length <= MAX_SAVED_ADDRESSES,
+            message: `You can save up to ${MAX_SAVED_ADDRESSES} addresses`
+        }
+    },
+    riderProfile: {
+        // Only populated for delivery partners
+        vehicleType: {
+            type: String,
+            enum: ['bicycle', 'scooter', 'motorcycle', 'car']
+        },
+        vehicleNumber: {
+            type: String,
+            trim: true,
+            maxlength: [20, 'Vehicle number cannot be more than 20 characters']
+        },
+        activeZone: {
+            type: String,
+            trim: true
+        },
+        isOnline: Boolean,
+        lastOnlineAt: Date,
+        // Last known position as GeoJSON so dispatch can run $geoNear on it
+        lastLocation: {
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: {
+                type: [Number], // [lng, lat]
+                default: undefined
+            }
+        },
+        lastLocationAt: Date
+    },
     profileImage: {
         type: String,
         default: null
@@ -65,15 +154,39 @@ const userSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Index for nearest-rider dispatch
+userSchema.index({ 'riderProfile.lastLocation': '2dsphere' });
+
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) {
-        next();
+        return next();
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Keep exactly one default address and mirror it into `address`, which
+// delivery and serviceability fall back to
+userSchema.pre('save', function(next) {
+    if (!this.isModified('addresses')) {
+        return next();
+    }
+
+    if (this.addresses.length > 0 && !this.addresses.some(address => address.isDefault)) {
+        this.addresses[0].isDefault = true;
+    }
+
+    const defaultAddress = this.addresses.find(address => address.isDefault);
+
+    if (defaultAddress) {
+        const { street, city, state, pincode, coordinates } = defaultAddress;
+        this.address = { street, city, state, pincode, coordinates };
+    }
+
+    next();
+});
+
 // Sign JWT and return
 userSchema.methods.getSignedJwtToken = function() {
     return jwt.sign(
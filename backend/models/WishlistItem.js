@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A product on a customer's wishlist. The customer is told about price
+// drops measured from `referencePrice`: the price when it was added, then
+// the price of the last drop they were told about.
+const wishlistItemSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    referencePrice: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    notifiedAt: Date
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One entry per customer per product
+wishlistItemSchema.index({ user: 1, product: 1 }, { unique: true });
+wishlistItemSchema.index({ product: 1, referencePrice: 1 });
+wishlistItemSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WishlistItem', wishlistItemSchema);
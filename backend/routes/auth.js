@@ -14,6 +14,12 @@ const {
     verifyEmail,
     resendVerification
 } = require('../controllers/auth');
+const {
+    getAddresses,
+    addAddress,
+    updateAddress,
+    deleteAddress
+} = require('../controllers/addresses');
 
 // Public routes
 router.post('/register', asyncHandler(register));
@@ -30,4 +36,12 @@ router.get('/me', asyncHandler(getMe));
 router.put('/updatedetails', asyncHandler(updateDetails));
 router.put('/updatepassword', asyncHandler(updatePassword));
 
+router.route('/addresses')
+    .get(asyncHandler(getAddresses))
+    .post(asyncHandler(addAddress));
+
+router.route('/addresses/:addressId')
+    .put(asyncHandler(updateAddress))
+    .delete(asyncHandler(deleteAddress));
+
 module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    getAvailableCoupons,
+    getMyCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} = require('../controllers/coupons');
+
+// Public routes
+router.get('/available', asyncHandler(getAvailableCoupons));
+
+// Protected routes
+router.use(protect);
+
+router.route('/')
+    .post(authorize('shop_owner', 'admin'), asyncHandler(createCoupon));
+
+router.route('/mine')
+    .get(authorize('shop_owner', 'admin'), asyncHandler(getMyCoupons));
+
+router.route('/:id')
+    .get(authorize('shop_owner', 'admin'), asyncHandler(getCoupon))
+    .put(authorize('shop_owner', 'admin'), asyncHandler(updateCoupon))
+    .delete(authorize('shop_owner', 'admin'), asyncHandler(deleteCoupon));
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    getDeliveryZones,
+    lookupDeliveryZones,
+    getDeliveryZone,
+    createDeliveryZone,
+    updateDeliveryZone,
+    deleteDeliveryZone
+} = require('../controllers/deliveryZones');
+
+// Public routes
+router.get('/', optionalAuth, asyncHandler(getDeliveryZones));
+router.get('/lookup', asyncHandler(lookupDeliveryZones));
+router.get('/:id', asyncHandler(getDeliveryZone));
+
+// Protected routes
+router.use(protect);
+
+router.route('/')
+    .post(authorize('admin'), asyncHandler(createDeliveryZone));
+
+router.route('/:id')
+    .put(authorize('admin'), asyncHandler(updateDeliveryZone))
+    .delete(authorize('admin'), asyncHandler(deleteDeliveryZone));
+
+module.exports = router;
@@ -1,19 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
-const { protect } = require('../middleware/auth');
+const NotificationPreference = require('../models/NotificationPreference');
+const PushSubscription = require('../models/PushSubscription');
+const ErrorResponse = require('../utils/errorResponse');
+const { protect, tokenFromQuery } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
+const { subscribe } = require('../utils/notificationEvents');
+const { getPushPublicKey } = require('../utils/notifications');
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Most notifications one bulk request can touch
+const MAX_BULK_IDS = 100;
+
+// Notification ids from a bulk request body
+const bulkIds = (body) => {
+    const ids = Array.isArray(body.ids) ? body.ids : [];
+
+    if (ids.length === 0 || ids.length > MAX_BULK_IDS) {
+        throw new ErrorResponse(`Please select between 1 and ${MAX_BULK_IDS} notifications`, 400);
+    }
+
+    return ids;
+};
 
 // @desc    Get all notifications for a user
 // @route   GET /api/notifications
 // @access  Private
 router.get('/', protect, asyncHandler(async (req, res) => {
-    const { page = 1, limit = 20, unreadOnly = false } = req.query;
+    const { page = 1, limit = 20, unreadOnly = false, type } = req.query;
     
     const query = { user: req.user.id };
     if (unreadOnly === 'true') {
         query.isRead = false;
     }
+    // One type, several separated by commas, or the parameter repeated
+    if (type) {
+        query.type = { $in: [].concat(type).join(',').split(',') };
+    }
     
     const notifications = await Notification.find(query)
         .sort({ createdAt: -1 })
@@ -38,6 +63,38 @@ router.get('/', protect, asyncHandler(async (req, res) => {
     });
 }));
 
+// @desc    Stream new notifications and unread count changes (Server-Sent Events)
+// @route   GET /api/notifications/stream
+// @access  Private (EventSource passes the token in the query string)
+router.get('/stream', tokenFromQuery, protect, asyncHandler(async (req, res) => {
+    // Read first: a failure after flushHeaders could no longer be answered
+    // with an error response
+    const unreadCount = await Notification.getUnreadCount(req.user.id);
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    const unsubscribe = subscribe(req.user.id, ({ type, payload }) => send(type, payload));
+    
+    send('unread-count', { unreadCount });
+    
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}));
+
 // @desc    Get unread notifications count
 // @route   GET /api/notifications/unread-count
 // @access  Private
@@ -50,6 +107,113 @@ router.get('/unread-count', protect, asyncHandler(async (req, res) => {
     });
 }));
 
+// Every notification type with whether it can be turned off, for settings screens
+const describeTypes = () => Notification.schema.path('type').enumValues.map(type => ({
+    type,
+    essential: NotificationPreference.isEssential(type)
+}));
+
+// @desc    Get the user's notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', protect, asyncHandler(async (req, res) => {
+    const preferences = await NotificationPreference.forUsers([req.user.id]);
+    
+    res.json({
+        success: true,
+        data: preferences.get(req.user.id),
+        types: describeTypes()
+    });
+}));
+
+// @desc    Update the user's notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', protect, asyncHandler(async (req, res, next) => {
+    const { channels, types = {}, quietHours, promotions } = req.body;
+    const knownTypes = Notification.schema.path('type').enumValues;
+    
+    for (const [type, settings] of Object.entries(types)) {
+        if (!knownTypes.includes(type)) {
+            return next(new ErrorResponse(`Unknown notification type: ${type}`, 400));
+        }
+        if ((settings || {}).enabled === false && NotificationPreference.isEssential(type)) {
+            return next(new ErrorResponse(`${type} notifications cannot be turned off`, 400));
+        }
+    }
+    
+    const preference = await NotificationPreference.findOne({ user: req.user.id })
+        || new NotificationPreference({ user: req.user.id });
+    
+    if (channels) preference.set('channels', { ...preference.channels.toObject(), ...channels });
+    if (quietHours) preference.set('quietHours', { ...preference.quietHours.toObject(), ...quietHours });
+    if (promotions) preference.set('promotions', { ...preference.promotions.toObject(), ...promotions });
+    
+    for (const [type, settings] of Object.entries(types)) {
+        const current = preference.types.get(type);
+        preference.types.set(type, { ...(current ? current.toObject() : {}), ...settings });
+    }
+    
+    await preference.save();
+    
+    res.json({
+        success: true,
+        data: preference,
+        types: describeTypes()
+    });
+}));
+
+// @desc    Get the key browsers subscribe to push notifications with
+// @route   GET /api/notifications/push/key
+// @access  Private
+router.get('/push/key', protect, asyncHandler(async (req, res, next) => {
+    const publicKey = getPushPublicKey();
+    
+    if (!publicKey) {
+        return next(new ErrorResponse('Push notifications are not configured', 503));
+    }
+    
+    res.json({
+        success: true,
+        data: { publicKey }
+    });
+}));
+
+// @desc    Send push notifications to this browser
+// @route   POST /api/notifications/push/subscriptions
+// @access  Private
+router.post('/push/subscriptions', protect, asyncHandler(async (req, res) => {
+    const { endpoint, keys = {} } = req.body;
+    
+    // A browser belongs to whoever subscribed it last
+    const subscription = await PushSubscription.findOne({ endpoint })
+        || new PushSubscription({ endpoint });
+    
+    subscription.set({
+        user: req.user.id,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: (req.get('User-Agent') || '').slice(0, 300)
+    });
+    await subscription.save();
+    
+    res.status(201).json({
+        success: true,
+        data: subscription
+    });
+}));
+
+// @desc    Stop sending push notifications to this browser
+// @route   DELETE /api/notifications/push/subscriptions
+// @access  Private
+router.delete('/push/subscriptions', protect, asyncHandler(async (req, res) => {
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint, user: req.user.id });
+    
+    res.json({
+        success: true,
+        message: 'Push notifications turned off for this browser'
+    });
+}));
+
 // @desc    Mark notification as read
 // @route   PUT /api/notifications/:id/read
 // @access  Private
@@ -67,6 +231,7 @@ router.put('/:id/read', protect, asyncHandler(async (req, res) => {
     }
     
     await notification.markAsRead();
+    await Notification.publishUnreadCount(req.user.id);
     
     res.json({
         success: true,
@@ -79,6 +244,7 @@ router.put('/:id/read', protect, asyncHandler(async (req, res) => {
 // @access  Private
 router.put('/mark-all-read', protect, asyncHandler(async (req, res) => {
     await Notification.markAllAsRead(req.user.id);
+    await Notification.publishUnreadCount(req.user.id);
     
     res.json({
         success: true,
@@ -86,25 +252,35 @@ router.put('/mark-all-read', protect, asyncHandler(async (req, res) => {
     });
 }));
 
-// @desc    Delete a notification
-// @route   DELETE /api/notifications/:id
+// @desc    Mark selected notifications as read
+// @route   PUT /api/notifications/mark-read
 // @access  Private
-router.delete('/:id', protect, asyncHandler(async (req, res) => {
-    const notification = await Notification.findOneAndDelete({
-        _id: req.params.id,
+router.put('/mark-read', protect, asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+        { _id: { $in: bulkIds(req.body) }, user: req.user.id, isRead: false },
+        { isRead: true, readAt: new Date() }
+    );
+    await Notification.publishUnreadCount(req.user.id);
+    
+    res.json({
+        success: true,
+        message: `${result.modifiedCount} notifications marked as read`
+    });
+}));
+
+// @desc    Delete selected notifications
+// @route   DELETE /api/notifications
+// @access  Private
+router.delete('/', protect, asyncHandler(async (req, res) => {
+    const result = await Notification.deleteMany({
+        _id: { $in: bulkIds(req.body) },
         user: req.user.id
     });
-    
-    if (!notification) {
-        return res.status(404).json({
-            success: false,
-            message: 'Notification not found'
-        });
-    }
+    await Notification.publishUnreadCount(req.user.id);
     
     res.json({
         success: true,
-        message: 'Notification deleted successfully'
+        message: `${result.deletedCount} notifications deleted`
     });
 }));
 
@@ -123,4 +299,28 @@ router.delete('/delete-read', protect, asyncHandler(async (req, res) => {
     });
 }));
 
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+    const notification = await Notification.findOneAndDelete({
+        _id: req.params.id,
+        user: req.user.id
+    });
+    
+    if (!notification) {
+        return res.status(404).json({
+            success: false,
+            message: 'Notification not found'
+        });
+    }
+    
+    await Notification.publishUnreadCount(req.user.id);
+    
+    res.json({
+        success: true,
+        message: 'Notification deleted successfully'
+    });
+}));
+
 module.exports = router;
@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, tokenFromQuery, authorize } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler');
 const {
     getOrders,
     getOrder,
+    getQuote,
     createOrder,
+    getCheckout,
     updateOrderStatus,
     cancelOrder,
     getMyOrders,
@@ -13,6 +15,13 @@ const {
     getOrderStats,
     rateOrder
 } = require('../controllers/orders');
+const {
+    getOrderTracking,
+    streamOrderTracking
+} = require('../controllers/tracking');
+
+// Live tracking stream (EventSource passes the token in the query string)
+router.get('/:id/tracking/stream', tokenFromQuery, protect, authorize('customer', 'admin'), asyncHandler(streamOrderTracking));
 
 // All routes are protected
 router.use(protect);
@@ -22,8 +31,17 @@ router.route('/')
     .get(authorize('customer'), asyncHandler(getMyOrders))
     .post(authorize('customer'), asyncHandler(createOrder));
 
+router.route('/quote')
+    .post(authorize('customer'), asyncHandler(getQuote));
+
+router.route('/checkout/:checkoutId')
+    .get(authorize('customer'), asyncHandler(getCheckout));
+
 router.route('/:id')
-    .get(authorize('customer', 'shop_owner', 'admin'), asyncHandler(getOrder));
+    .get(authorize('customer', 'shop_owner', 'delivery_partner', 'admin'), asyncHandler(getOrder));
+
+router.route('/:id/tracking')
+    .get(authorize('customer', 'admin'), asyncHandler(getOrderTracking));
 
 router.route('/:id/cancel')
     .put(authorize('customer'), asyncHandler(cancelOrder));
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    createPaymentIntent,
+    handleWebhook,
+    simulatePayment
+} = require('../controllers/payments');
+
+// Called by the payment provider; authenticated by its signature
+router.post('/webhook', asyncHandler(handleWebhook));
+
+router.use(protect);
+
+router.route('/intent')
+    .post(authorize('customer'), asyncHandler(createPaymentIntent));
+
+// Lets a customer settle their own payment, so only for local testing
+if (process.env.PAYMENT_SIMULATION === 'true' && process.env.NODE_ENV !== 'production') {
+    router.route('/:intentId/simulate')
+        .post(authorize('customer'), asyncHandler(simulatePayment));
+}
+
+module.exports = router;
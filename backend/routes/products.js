@@ -9,24 +9,39 @@ const {
     updateProduct,
     deleteProduct,
     getShopProducts,
+    getLowStockProducts,
     uploadProductImage,
     searchProducts,
     getProductsByCategory,
     updateStock,
+    getStockHistory,
+    reconcileStock,
     toggleProductStatus,
-    updateProductRating
+    getPriceHistory,
+    getStockSubscription,
+    subscribeToStock,
+    unsubscribeFromStock
 } = require('../controllers/products');
 
 // Public routes
 router.get('/', optionalAuth, asyncHandler(getProducts));
 router.get('/search', optionalAuth, asyncHandler(searchProducts));
 router.get('/category/:category', optionalAuth, asyncHandler(getProductsByCategory));
+// Before /shop/:shopId, which would otherwise take `low-stock` as a shop id
+router.get('/shop/low-stock', protect, authorize('shop_owner', 'admin'), asyncHandler(getLowStockProducts));
 router.get('/shop/:shopId', optionalAuth, asyncHandler(getShopProducts));
 router.get('/:id', optionalAuth, asyncHandler(getProduct));
+router.get('/:id/price-history', asyncHandler(getPriceHistory));
 
 // Protected routes
 router.use(protect);
 
+// Back in stock alerts
+router.route('/:id/notify-me')
+    .get(authorize('customer'), asyncHandler(getStockSubscription))
+    .post(authorize('customer'), asyncHandler(subscribeToStock))
+    .delete(authorize('customer'), asyncHandler(unsubscribeFromStock));
+
 // Shop owner routes
 router.route('/')
     .post(authorize('shop_owner', 'admin'), asyncHandler(createProduct));
@@ -41,11 +56,13 @@ router.route('/:id/image')
 router.route('/:id/stock')
     .put(authorize('shop_owner', 'admin'), asyncHandler(updateStock));
 
+router.route('/:id/stock/history')
+    .get(authorize('shop_owner', 'admin'), asyncHandler(getStockHistory));
+
+router.route('/:id/stock/reconcile')
+    .post(authorize('shop_owner', 'admin'), asyncHandler(reconcileStock));
+
 router.route('/:id/status')
     .put(authorize('shop_owner', 'admin'), asyncHandler(toggleProductStatus));
 
-// Customer routes
-router.route('/:id/rating')
-    .post(authorize('customer'), asyncHandler(updateProductRating));
-
 module.exports = router;
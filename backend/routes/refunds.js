@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    requestRefund,
+    getRefunds,
+    getRefund,
+    approveRefund,
+    rejectRefund,
+    settlePayout
+} = require('../controllers/refunds');
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+    .get(authorize('customer', 'shop_owner', 'admin'), asyncHandler(getRefunds))
+    .post(authorize('customer'), asyncHandler(requestRefund));
+
+router.route('/:id')
+    .get(authorize('customer', 'shop_owner', 'admin'), asyncHandler(getRefund));
+
+router.route('/:id/approve')
+    .put(authorize('shop_owner', 'admin'), asyncHandler(approveRefund));
+
+router.route('/:id/reject')
+    .put(authorize('shop_owner', 'admin'), asyncHandler(rejectRefund));
+
+router.route('/:id/payout')
+    .put(authorize('admin'), asyncHandler(settlePayout));
+
+module.exports = router;
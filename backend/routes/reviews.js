@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    getProductReviews,
+    getMyReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    toggleHelpful,
+    reportReview,
+    getModerationQueue,
+    moderateReview
+} = require('../controllers/reviews');
+
+// Public routes
+router.get('/product/:productId', asyncHandler(getProductReviews));
+
+// Protected routes
+router.use(protect);
+
+router.route('/')
+    .post(authorize('customer'), asyncHandler(createReview));
+
+router.route('/mine')
+    .get(authorize('customer'), asyncHandler(getMyReviews));
+
+router.route('/moderation')
+    .get(authorize('admin'), asyncHandler(getModerationQueue));
+
+router.route('/:id')
+    .put(authorize('customer'), asyncHandler(updateReview))
+    .delete(asyncHandler(deleteReview));
+
+router.post('/:id/helpful', asyncHandler(toggleHelpful));
+router.post('/:id/report', asyncHandler(reportReview));
+
+router.route('/:id/moderate')
+    .put(authorize('admin'), asyncHandler(moderateReview));
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    getRiderProfile,
+    updateRiderProfile,
+    updateAvailability,
+    updateLocation,
+    getOfferedJobs,
+    getMyJobs,
+    acceptJob,
+    declineJob,
+    markPickedUp,
+    markDelivered
+} = require('../controllers/riders');
+
+// All routes are for delivery partners only
+router.use(protect);
+router.use(authorize('delivery_partner'));
+
+router.route('/profile')
+    .get(asyncHandler(getRiderProfile))
+    .put(asyncHandler(updateRiderProfile));
+
+router.put('/availability', asyncHandler(updateAvailability));
+router.put('/location', asyncHandler(updateLocation));
+
+// Jobs
+router.get('/jobs', asyncHandler(getMyJobs));
+router.get('/jobs/offers', asyncHandler(getOfferedJobs));
+router.put('/jobs/:id/accept', asyncHandler(acceptJob));
+router.put('/jobs/:id/decline', asyncHandler(declineJob));
+router.put('/jobs/:id/pickup', asyncHandler(markPickedUp));
+router.put('/jobs/:id/deliver', asyncHandler(markDelivered));
+
+module.exports = router;
@@ -13,8 +13,10 @@ const {
     searchShops,
     getShopsByCategory,
     getNearbyShops,
+    getServiceableShops,
     toggleShopStatus,
-    updateShopRating
+    recalculateRating,
+    getDeliverySlots
 } = require('../controllers/shops');
 
 // Public routes
@@ -22,7 +24,9 @@ router.get('/', optionalAuth, asyncHandler(getShops));
 router.get('/search', optionalAuth, asyncHandler(searchShops));
 router.get('/category/:category', optionalAuth, asyncHandler(getShopsByCategory));
 router.get('/nearby', optionalAuth, asyncHandler(getNearbyShops));
+router.get('/serviceable', optionalAuth, asyncHandler(getServiceableShops));
 router.get('/:id', optionalAuth, asyncHandler(getShop));
+router.get('/:id/delivery-slots', asyncHandler(getDeliverySlots));
 
 // Protected routes
 router.use(protect);
@@ -44,8 +48,8 @@ router.route('/:id/image')
 router.route('/:id/status')
     .put(authorize('shop_owner', 'admin'), asyncHandler(toggleShopStatus));
 
-// Customer routes
-router.route('/:id/rating')
-    .post(authorize('customer'), asyncHandler(updateShopRating));
+// Admin routes
+router.route('/:id/rating/recalculate')
+    .post(authorize('admin'), asyncHandler(recalculateRating));
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist
+} = require('../controllers/wishlist');
+
+router.use(protect, authorize('customer'));
+
+router.route('/')
+    .get(asyncHandler(getWishlist))
+    .post(asyncHandler(addToWishlist));
+
+router.route('/:productId')
+    .delete(asyncHandler(removeFromWishlist));
+
+module.exports = router;
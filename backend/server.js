@@ -4,14 +4,24 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 
-// Load environment variables
+// Load environment variables before any of our modules read them
 dotenv.config();
 
+const errorHandler = require('./middleware/error');
+const { dispatcher } = require('./utils/dispatcher');
+const { stockDigest } = require('./utils/stockAlerts');
+const { notificationDispatcher } = require('./utils/notificationDispatcher');
+
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+    // Payment webhooks are verified against the exact bytes that were signed
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
@@ -19,7 +29,12 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/smart-local-delivery')
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+    console.log('Connected to MongoDB');
+    stockDigest.start();
+    notificationDispatcher.start();
+    return dispatcher.resume();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -28,6 +43,13 @@ app.use('/api/shops', require('./routes/shops'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/riders', require('./routes/riders'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/refunds', require('./routes/refunds'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/delivery-zones', require('./routes/deliveryZones'));
+app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/wishlist', require('./routes/wishlist'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -35,14 +57,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ 
-        success: false, 
-        message: 'Something went wrong!',
-        error: process.env.NODE_ENV === 'development' ? err.message : {}
-    });
-});
+app.use(errorHandler);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getOpenIntervals, getOpenStatus } = require('../utils/businessHours');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const at = (time, day = '2026-01-05') => new Date(`${day}T${time}:00+05:30`);
+
+const shopWith = (hours, extra = {}) => ({
+    timezone: 'Asia/Kolkata',
+    businessHours: Object.fromEntries(DAYS.map(day => [day, { isOpen: true, ...hours }])),
+    ...extra
+});
+
+describe('business hours', () => {
+    it('is open during the hours and closed outside them', () => {
+        const shop = shopWith({ open: '09:00', close: '21:00' });
+
+        assert.deepEqual(getOpenStatus(shop, at('10:00')), {
+            isOpenNow: true,
+            closesAt: at('21:00'),
+            nextOpensAt: null
+        });
+        assert.deepEqual(getOpenStatus(shop, at('22:00')), {
+            isOpenNow: false,
+            closesAt: null,
+            nextOpensAt: at('09:00', '2026-01-06')
+        });
+    });
+
+    it('treats a day marked open without times as open all day', () => {
+        const shop = shopWith({});
+
+        assert.equal(getOpenStatus(shop, at('03:00')).isOpenNow, true);
+        assert.equal(getOpenStatus(shop, at('23:59')).isOpenNow, true);
+    });
+
+    it('joins days that run into each other', () => {
+        const shop = shopWith({});
+        shop.businessHours.sunday.isOpen = false;
+
+        // Monday 5 January to the end of Saturday 10 January
+        assert.deepEqual(getOpenStatus(shop, at('12:00')).closesAt, at('00:00', '2026-01-11'));
+    });
+
+    it('keeps hours that run past midnight open into the next day', () => {
+        const shop = shopWith({ open: '18:00', close: '02:00' });
+
+        assert.equal(getOpenStatus(shop, at('01:00', '2026-01-06')).isOpenNow, true);
+        assert.equal(getOpenStatus(shop, at('03:00', '2026-01-06')).isOpenNow, false);
+    });
+
+    it('stays closed on days that are not open', () => {
+        const shop = shopWith({ isOpen: false });
+
+        assert.deepEqual(getOpenIntervals(shop, at('00:00'), at('00:00', '2026-01-08')), []);
+        assert.equal(getOpenStatus(shop, at('12:00')).nextOpensAt, null);
+    });
+
+    it('lets special hours and temporary closures override the week', () => {
+        const shop = shopWith({ open: '09:00', close: '21:00' }, {
+            specialHours: [{ date: '2026-01-06', isOpen: false }],
+            temporaryClosure: { from: at('12:00'), until: at('15:00') }
+        });
+
+        assert.equal(getOpenStatus(shop, at('13:00')).isOpenNow, false);
+        assert.deepEqual(getOpenStatus(shop, at('13:00')).nextOpensAt, at('15:00'));
+        assert.deepEqual(getOpenStatus(shop, at('22:00')).nextOpensAt, at('09:00', '2026-01-07'));
+    });
+});
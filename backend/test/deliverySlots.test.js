@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DeliverySlot = require('../models/DeliverySlot');
+const { generateSlots, bookSlot, bookEarliestSlot, releaseSlot } = require('../utils/deliverySlots');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Monday 5 January 2026, 10:00 in Kolkata
+const NOW = new Date('2026-01-05T10:00:00+05:30');
+
+const at = (time, day = '2026-01-05') => new Date(`${day}T${time}:00+05:30`);
+
+describe('delivery slots', () => {
+    let shop;
+    let counters;
+
+    beforeEach(() => {
+        shop = {
+            _id: 'shop1',
+            name: 'Corner Store',
+            timezone: 'Asia/Kolkata',
+            businessHours: Object.fromEntries(DAYS.map(day => [day, { open: '09:00', close: '21:00', isOpen: true }])),
+            deliverySlots: { enabled: true, slotMinutes: 60, leadMinutes: 30, daysAhead: 0, capacity: 2 }
+        };
+        // slot start (ms) -> booked
+        counters = new Map();
+
+        mock.method(DeliverySlot, 'updateOne', async (filter, update, options = {}) => {
+            const key = filter.start.getTime();
+
+            if (options.upsert) {
+                if (!counters.has(key)) {
+                    counters.set(key, update.$setOnInsert.booked);
+                }
+                return;
+            }
+
+            if (counters.get(key) > filter.booked.$gt) {
+                counters.set(key, counters.get(key) + update.$inc.booked);
+            }
+        });
+        // The capacity check and the increment happen in one step, as in MongoDB
+        mock.method(DeliverySlot, 'findOneAndUpdate', async (filter, update) => {
+            const key = filter.start.getTime();
+
+            if (!(counters.get(key) < filter.booked.$lt)) {
+                return null;
+            }
+
+            counters.set(key, counters.get(key) + update.$inc.booked);
+            return { start: filter.start, booked: counters.get(key) };
+        });
+        mock.method(DeliverySlot, 'find', async (filter) => filter.start.$in
+            .filter(start => counters.has(start.getTime()))
+            .map(start => ({ start, booked: counters.get(start.getTime()) })));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('cuts slots from the open hours, leaving out those within the lead time', () => {
+        const slots = generateSlots(shop, NOW);
+
+        assert.deepEqual(slots[0], { start: at('11:00'), end: at('12:00') });
+        assert.deepEqual(slots[9], { start: at('20:00'), end: at('21:00') });
+        assert.deepEqual(slots[10], { start: at('09:00', '2026-01-06'), end: at('10:00', '2026-01-06') });
+    });
+
+    it('never books a slot beyond its capacity', async () => {
+        const results = await Promise.allSettled([1, 2, 3].map(() => bookSlot(shop, at('11:00'), NOW)));
+
+        assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+        assert.equal(results[2].reason.statusCode, 409);
+        assert.equal(counters.get(at('11:00').getTime()), 2);
+    });
+
+    it('only books slots the shop offers', async () => {
+        await assert.rejects(bookSlot(shop, at('10:00'), NOW), { statusCode: 400 });
+        await assert.rejects(bookSlot(shop, at('11:30'), NOW), { statusCode: 400 });
+        await assert.rejects(bookSlot(shop, at('21:00'), NOW), { statusCode: 400 });
+        assert.equal(counters.size, 0);
+    });
+
+    it('gives a released place back', async () => {
+        await bookSlot(shop, at('11:00'), NOW);
+        await bookSlot(shop, at('11:00'), NOW);
+        await releaseSlot(shop._id, { start: at('11:00') });
+
+        await bookSlot(shop, at('11:00'), NOW);
+        assert.equal(counters.get(at('11:00').getTime()), 2);
+
+        await releaseSlot(shop._id, { start: at('12:00') });
+        assert.equal(counters.has(at('12:00').getTime()), false);
+    });
+
+    it('books the earliest slot that still has room', async () => {
+        counters.set(at('11:00').getTime(), 2);
+
+        const slot = await bookEarliestSlot(shop, NOW);
+
+        assert.deepEqual(slot, { start: at('12:00'), end: at('13:00') });
+    });
+
+    it('is closed with no slots when every slot is full', async () => {
+        generateSlots(shop, NOW).forEach(slot => counters.set(slot.start.getTime(), 2));
+
+        await assert.rejects(bookEarliestSlot(shop, NOW), { statusCode: 409 });
+    });
+});
@@ -0,0 +1,190 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { createDispatcher } = require('../utils/dispatcher');
+const { createClock } = require('./helpers/clock');
+
+const OFFER_TIMEOUT_MS = 60 * 1000;
+
+const get = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const set = (doc, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((value, key) => (value[key] = value[key] || {}), doc)[last] = value;
+};
+
+const same = (a, b) => (a == null && b == null) || String(a) === String(b);
+
+// Just enough of updateOne for the filters and operators the dispatcher uses
+const updateOne = (doc, filter, update) => {
+    const matches = Object.entries(filter).every(([path, value]) => same(get(doc, path), value));
+
+    if (!matches) {
+        return { modifiedCount: 0 };
+    }
+
+    Object.entries(update.$set || {}).forEach(([path, value]) => set(doc, path, value));
+    Object.entries(update.$inc || {}).forEach(([path, value]) => set(doc, path, (get(doc, path) || 0) + value));
+    Object.entries(update.$addToSet || {}).forEach(([path, value]) => {
+        const list = get(doc, path);
+        if (!list.some(item => same(item, value))) {
+            list.push(value);
+        }
+    });
+
+    return { modifiedCount: 1 };
+};
+
+describe('dispatcher', () => {
+    let clock;
+    let order;
+    let riders;
+    let offers;
+    let escalations;
+
+    beforeEach(() => {
+        clock = createClock();
+        order = {
+            _id: 'order1',
+            orderNumber: 'ORD-1',
+            shop: 'shop1',
+            status: 'ready_for_pickup',
+            deliveryType: 'home_delivery',
+            assignedRider: null,
+            riderAssignment: {},
+            declinedRiders: [],
+            dispatch: { attempts: 0 }
+        };
+        // Online riders, nearest first
+        riders = [
+            { _id: 'rider1', distance: 200 },
+            { _id: 'rider2', distance: 900 }
+        ];
+        offers = [];
+        escalations = [];
+
+        mock.method(Order, 'findById', async (id) => (same(id, order._id) ? order : null));
+        mock.method(Order, 'updateOne', async (filter, update) => updateOne(order, filter, update));
+        mock.method(Order, 'distinct', async () => []);
+        mock.method(Shop, 'findById', async () => ({ address: { coordinates: { lat: 12.97, lng: 77.59 } } }));
+        mock.method(User, 'aggregate', async (pipeline) => {
+            const excluded = pipeline[0].$geoNear.query._id.$nin.map(String);
+            return riders.filter(rider => !excluded.includes(rider._id)).slice(0, 1);
+        });
+        mock.method(User, 'find', () => ({ select: async () => [{ _id: 'admin1' }] }));
+        mock.method(Notification, 'createRiderOfferNotification', async (riderId) => {
+            offers.push(riderId);
+        });
+        mock.method(Notification, 'createDispatchEscalation', async (adminId, orderId, orderNumber, reason) => {
+            escalations.push(reason);
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('offers the order to the nearest online rider', async () => {
+        const dispatcher = createDispatcher({ clock, offerTimeoutMs: OFFER_TIMEOUT_MS });
+
+        await dispatcher.dispatchOrder(order._id);
+
+        assert.equal(order.assignedRider, 'rider1');
+        assert.equal(order.riderAssignment.status, 'offered');
+        assert.equal(order.riderAssignment.offeredAt.getTime(), clock.now());
+        assert.equal(order.dispatch.attempts, 1);
+        assert.deepEqual(offers, ['rider1']);
+        assert.equal(clock.pending(), 1);
+    });
+
+    it('moves on to the next-nearest rider when an offer times out', async () => {
+        const dispatcher = createDispatcher({ clock, offerTimeoutMs: OFFER_TIMEOUT_MS });
+
+        await dispatcher.dispatchOrder(order._id);
+        await clock.advance(OFFER_TIMEOUT_MS - 1);
+
+        assert.equal(order.assignedRider, 'rider1');
+
+        await clock.advance(1);
+
+        assert.equal(order.assignedRider, 'rider2');
+        assert.equal(order.riderAssignment.status, 'offered');
+        assert.deepEqual(order.declinedRiders, ['rider1']);
+        assert.equal(order.dispatch.attempts, 2);
+        assert.deepEqual(offers, ['rider1', 'rider2']);
+    });
+
+    it('stops waiting once the offer is cancelled', async () => {
+        const dispatcher = createDispatcher({ clock, offerTimeoutMs: OFFER_TIMEOUT_MS });
+
+        await dispatcher.dispatchOrder(order._id);
+        order.riderAssignment.status = 'accepted';
+        dispatcher.cancelOffer(order._id);
+
+        assert.equal(clock.pending(), 0);
+
+        await clock.advance(OFFER_TIMEOUT_MS * 2);
+
+        assert.equal(order.assignedRider, 'rider1');
+        assert.deepEqual(offers, ['rider1']);
+    });
+
+    it('leaves an order alone while a rider holds it', async () => {
+        const dispatcher = createDispatcher({ clock, offerTimeoutMs: OFFER_TIMEOUT_MS });
+
+        await dispatcher.dispatchOrder(order._id);
+        await dispatcher.dispatchOrder(order._id);
+
+        assert.equal(order.dispatch.attempts, 1);
+        assert.deepEqual(offers, ['rider1']);
+    });
+
+    it('escalates once to the admins after maxAttempts offers', async () => {
+        riders.push({ _id: 'rider3', distance: 1500 });
+        const dispatcher = createDispatcher({ clock, offerTimeoutMs: OFFER_TIMEOUT_MS, maxAttempts: 2 });
+
+        await dispatcher.dispatchOrder(order._id);
+        await clock.advance(OFFER_TIMEOUT_MS * 2);
+
+        assert.deepEqual(offers, ['rider1', 'rider2']);
+        assert.equal(order.assignedRider, null);
+        assert.equal(order.dispatch.escalatedAt.getTime(), clock.now());
+        assert.deepEqual(escalations, ['No rider accepted after 2 offers']);
+
+        await dispatcher.dispatchOrder(order._id);
+
+        assert.equal(escalations.length, 1);
+        assert.equal(clock.pending(), 0);
+    });
+
+    it('keeps looking when no rider is in range', async () => {
+        const available = riders;
+        riders = [];
+        const dispatcher = createDispatcher({ clock, offerTimeoutMs: OFFER_TIMEOUT_MS, maxRadiusKm: 5 });
+
+        await dispatcher.dispatchOrder(order._id);
+
+        assert.equal(order.assignedRider, null);
+        assert.deepEqual(escalations, ['No available rider within 5 km']);
+
+        riders = available;
+        await clock.advance(OFFER_TIMEOUT_MS);
+
+        assert.equal(order.assignedRider, 'rider1');
+        assert.deepEqual(offers, ['rider1']);
+    });
+
+    it('only dispatches home deliveries that are ready for pickup', async () => {
+        order.status = 'preparing';
+        const dispatcher = createDispatcher({ clock, offerTimeoutMs: OFFER_TIMEOUT_MS });
+
+        assert.equal(await dispatcher.dispatchOrder(order._id), null);
+        assert.deepEqual(offers, []);
+        assert.equal(clock.pending(), 0);
+    });
+});
@@ -0,0 +1,48 @@
+// In-memory clock with the same shape as the systemClock the dispatchers
+// use. Timers only fire when a test advances time.
+const createClock = (start = Date.UTC(2026, 0, 1, 12)) => {
+    let now = start;
+    let nextId = 1;
+    const timers = new Map();
+
+    // Let work started by a timer finish; the stubbed models resolve at once
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    const nextDue = (until) => [...timers]
+        .filter(([, timer]) => timer.at <= until)
+        .sort((a, b) => a[1].at - b[1].at)[0];
+
+    return {
+        now: () => now,
+        setTimeout: (fn, ms) => {
+            const id = nextId++;
+            timers.set(id, { at: now + ms, fn });
+            return id;
+        },
+        clearTimeout: (id) => {
+            timers.delete(id);
+        },
+        // Number of timers waiting to fire
+        pending: () => timers.size,
+        // When the next timer fires, or null if none is waiting
+        nextAt: () => (timers.size > 0 ? Math.min(...[...timers.values()].map(timer => timer.at)) : null),
+        // Move time forward by `ms`, firing every timer that comes due in order
+        advance: async (ms) => {
+            const until = now + ms;
+            let due;
+
+            while ((due = nextDue(until))) {
+                const [id, timer] = due;
+                timers.delete(id);
+                now = timer.at;
+                timer.fn();
+                await settle();
+            }
+
+            now = until;
+        },
+        settle
+    };
+};
+
+module.exports = { createClock };
@@ -0,0 +1,371 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Product = require('../models/Product');
+const Shop = require('../models/Shop');
+const InventoryMovement = require('../models/InventoryMovement');
+const Notification = require('../models/Notification');
+const StockSubscription = require('../models/StockSubscription');
+const { reserveStock, releaseStock, alertReservedStock, setStock } = require('../utils/inventory');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Products kept in memory, with just enough of findOneAndUpdate to run the
+// conditional updates utils/inventory.js makes. Each update is applied in
+// one synchronous step, as MongoDB applies a single-document update.
+const createStore = () => {
+    const products = new Map();
+    const movements = [];
+    const alerts = [];
+    // Each runs before one update, to stand in for a concurrent request
+    const interleaved = [];
+
+    const matches = (product, filter) => Object.entries(filter).every(([key, condition]) => {
+        if (key === '_id') {
+            return product._id.equals(condition);
+        }
+        if (condition && condition.$gte !== undefined) {
+            return product[key] >= condition.$gte;
+        }
+        return product[key] === condition;
+    });
+
+    const find = (productId) => {
+        const product = products.get(productId.toString());
+        return product ? Product.hydrate({ ...product }) : null;
+    };
+
+    // Thenable like a mongoose query, with select() for callers that chain it
+    const query = (result) => ({
+        select: async () => result,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    });
+
+    mock.method(Product, 'findOneAndUpdate', async (filter, pipeline) => {
+        const concurrent = interleaved.shift();
+        if (concurrent) {
+            concurrent();
+        }
+
+        const product = products.get(filter._id.toString());
+
+        if (!product || !matches(product, filter)) {
+            return null;
+        }
+
+        const [{ $set }] = pipeline;
+        const delta = $set.stock.$add[1];
+
+        if ($set.totalSold) {
+            product.totalSold = Math.max(product.totalSold - delta, 0);
+        }
+        product.stock += delta;
+        product.isAvailable = product.stock > 0;
+
+        return find(product._id);
+    });
+    mock.method(Product, 'findById', (productId) => query(find(productId)));
+    mock.method(Product, 'exists', async ({ _id }) => products.has(_id.toString()));
+    mock.method(Product, 'updateOne', async (filter, update) => {
+        const product = products.get(filter._id.toString());
+        const level = filter['stockAlert.level'];
+
+        if (level && !level.$in.includes(product.stockAlert.level)) {
+            return { modifiedCount: 0 };
+        }
+
+        product.stockAlert = { ...update.stockAlert };
+        return { modifiedCount: 1 };
+    });
+    mock.method(InventoryMovement, 'create', async (movement) => {
+        const saved = { _id: id(), ...movement };
+        movements.push(saved);
+        return saved;
+    });
+    mock.method(Shop, 'findById', () => query({ owner: 'owner1' }));
+    mock.method(Notification, 'createLowStockAlert', async (owner, product) => {
+        alerts.push({ type: 'low_stock', level: product.stockStatus, product: product.name });
+    });
+    mock.method(Notification, 'createStockAlert', async (user, productId, shopId, name) => {
+        alerts.push({ type: 'stock_alert', user, product: name });
+    });
+    mock.method(StockSubscription, 'findOneAndDelete', async () => null);
+
+    return {
+        movements,
+        alerts,
+        add: (fields) => {
+            const product = {
+                _id: id(),
+                shop: id(),
+                isActive: true,
+                isAvailable: fields.stock > 0,
+                minStock: 0,
+                totalSold: 0,
+                stockAlert: { level: null },
+                ...fields
+            };
+            products.set(product._id.toString(), product);
+            return product;
+        },
+        get: (productId) => products.get(productId.toString()),
+        interleave: (fn) => {
+            interleaved.push(fn);
+        }
+    };
+};
+
+describe('inventory', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createStore();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('reserveStock', () => {
+        it('takes stock for every line and records a sale for each', async () => {
+            const rice = store.add({ name: 'Rice', stock: 10 });
+            const milk = store.add({ name: 'Milk', stock: 4 });
+
+            const lines = await reserveStock([
+                { product: rice._id, quantity: 3 },
+                { product: milk._id, quantity: 4 }
+            ]);
+
+            assert.equal(store.get(rice._id).stock, 7);
+            assert.equal(store.get(rice._id).totalSold, 3);
+            assert.equal(store.get(milk._id).stock, 0);
+            assert.equal(store.get(milk._id).isAvailable, false);
+            assert.deepEqual(lines.map(line => [line.product.name, line.quantity, line.movement.quantity]), [
+                ['Rice', 3, -3],
+                ['Milk', 4, -4]
+            ]);
+            assert.deepEqual(store.movements.map(movement => [movement.type, movement.balance]), [
+                ['sale', 7],
+                ['sale', 0]
+            ]);
+        });
+
+        it('checks repeated lines for a product against their total', async () => {
+            const rice = store.add({ name: 'Rice', stock: 3 });
+
+            await assert.rejects(
+                reserveStock([
+                    { product: rice._id, quantity: 2 },
+                    { product: rice._id, quantity: 2 }
+                ]),
+                { statusCode: 400, message: 'Insufficient stock for Rice' }
+            );
+
+            assert.equal(store.get(rice._id).stock, 3);
+            assert.equal(store.movements.length, 0);
+        });
+
+        it('puts back the lines already taken when a later one fails', async () => {
+            const rice = store.add({ name: 'Rice', stock: 10 });
+            const milk = store.add({ name: 'Milk', stock: 1 });
+
+            await assert.rejects(
+                reserveStock([
+                    { product: rice._id, quantity: 3 },
+                    { product: milk._id, quantity: 2 }
+                ]),
+                { statusCode: 400, message: 'Insufficient stock for Milk' }
+            );
+
+            assert.equal(store.get(rice._id).stock, 10);
+            assert.equal(store.get(rice._id).totalSold, 0);
+            assert.equal(store.get(milk._id).stock, 1);
+            assert.deepEqual(store.movements.map(movement => [movement.type, movement.quantity, movement.balance]), [
+                ['sale', -3, 7],
+                ['cancellation_restock', 3, 10]
+            ]);
+        });
+
+        it('alerts the owner once every line is taken', async () => {
+            const rice = store.add({ name: 'Rice', stock: 10 });
+            const milk = store.add({ name: 'Milk', stock: 2 });
+
+            await reserveStock([
+                { product: milk._id, quantity: 2 },
+                { product: rice._id, quantity: 1 }
+            ]);
+
+            assert.deepEqual(store.alerts, [{ type: 'low_stock', level: 'out_of_stock', product: 'Milk' }]);
+        });
+
+        it('sends no stock alerts for a checkout that fails', async () => {
+            const milk = store.add({ name: 'Milk', stock: 2 });
+            const rice = store.add({ name: 'Rice', stock: 1 });
+
+            await assert.rejects(reserveStock([
+                { product: milk._id, quantity: 2 },
+                { product: rice._id, quantity: 2 }
+            ]), { statusCode: 400 });
+            await new Promise(setImmediate);
+
+            assert.equal(store.get(milk._id).stock, 2);
+            assert.deepEqual(store.get(milk._id).stockAlert, { level: null });
+            assert.deepEqual(store.alerts, []);
+            assert.equal(StockSubscription.findOneAndDelete.mock.callCount(), 0);
+        });
+
+        it('leaves alerts to the caller with alerts: false', async () => {
+            const milk = store.add({ name: 'Milk', stock: 2 });
+
+            const lines = await reserveStock([{ product: milk._id, quantity: 2 }], {}, { alerts: false });
+            assert.deepEqual(store.alerts, []);
+
+            await alertReservedStock(lines);
+            assert.deepEqual(store.alerts, [{ type: 'low_stock', level: 'out_of_stock', product: 'Milk' }]);
+        });
+
+        it('never oversells when checkouts race for the last units', async () => {
+            const milk = store.add({ name: 'Milk', stock: 2 });
+
+            const results = await Promise.allSettled([1, 2, 3].map(() =>
+                reserveStock([{ product: milk._id, quantity: 1 }])
+            ));
+
+            assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+            assert.equal(store.get(milk._id).stock, 0);
+            assert.equal(store.get(milk._id).totalSold, 2);
+        });
+
+        it('refuses inactive and missing products', async () => {
+            const hidden = store.add({ name: 'Hidden', stock: 5, isActive: false });
+
+            await assert.rejects(
+                reserveStock([{ product: hidden._id, quantity: 1 }]),
+                { statusCode: 400, message: 'Product Hidden is not available' }
+            );
+            await assert.rejects(
+                reserveStock([{ product: id(), quantity: 1 }]),
+                { statusCode: 404 }
+            );
+            assert.equal(store.get(hidden._id).stock, 5);
+        });
+
+        it('rejects quantities that are not whole numbers of at least 1', async () => {
+            const rice = store.add({ name: 'Rice', stock: 5 });
+
+            for (const quantity of [0, -1, 1.5, 'two']) {
+                await assert.rejects(reserveStock([{ product: rice._id, quantity }]), { statusCode: 400 });
+            }
+            assert.equal(store.get(rice._id).stock, 5);
+        });
+    });
+
+    describe('setStock', () => {
+        const owner = { _id: id(), role: 'shop_owner' };
+
+        it('records the difference from the current count as an adjustment', async () => {
+            const rice = store.add({ name: 'Rice', stock: 10, totalSold: 4 });
+
+            const { product, movement } = await setStock(rice._id, 6, { actor: owner, note: 'Shelf count' });
+
+            assert.equal(product.stock, 6);
+            assert.equal(store.get(rice._id).totalSold, 4);
+            assert.equal(movement.type, 'adjustment');
+            assert.equal(movement.quantity, -4);
+            assert.equal(movement.balance, 6);
+            assert.equal(movement.actorRole, 'shop_owner');
+            assert.equal(movement.note, 'Shelf count');
+            assert.equal(movement.reconciliation, undefined);
+        });
+
+        it('changes nothing when the count already matches', async () => {
+            const rice = store.add({ name: 'Rice', stock: 10 });
+
+            const { product, movement } = await setStock(rice._id, 10, { actor: owner });
+
+            assert.equal(product.name, 'Rice');
+            assert.equal(product.stock, 10);
+            assert.equal(movement, null);
+            assert.equal(store.movements.length, 0);
+        });
+
+        it('records a reconciliation even when the count matches', async () => {
+            const rice = store.add({ name: 'Rice', stock: 10 });
+
+            const { movement } = await setStock(rice._id, 10, { actor: owner }, { reconcile: true });
+
+            assert.equal(movement.quantity, 0);
+            assert.deepEqual(movement.reconciliation, { counted: 10, expected: 10 });
+        });
+
+        it('retries against the new count when stock moves under it', async () => {
+            const rice = store.add({ name: 'Rice', stock: 10 });
+
+            // A sale lands between reading the count and writing the new one
+            store.interleave(() => {
+                store.get(rice._id).stock -= 1;
+            });
+
+            const { product, movement } = await setStock(rice._id, 12, { actor: owner }, { reconcile: true });
+
+            assert.equal(product.stock, 12);
+            assert.equal(movement.quantity, 3);
+            assert.deepEqual(movement.reconciliation, { counted: 12, expected: 9 });
+            assert.equal(store.movements.length, 1);
+        });
+
+        it('gives up when stock keeps moving', async () => {
+            const rice = store.add({ name: 'Rice', stock: 10 });
+
+            for (let i = 0; i < 3; i++) {
+                store.interleave(() => {
+                    store.get(rice._id).stock -= 1;
+                });
+            }
+
+            await assert.rejects(setStock(rice._id, 20, { actor: owner }), { statusCode: 409 });
+            assert.equal(store.get(rice._id).stock, 7);
+            assert.equal(store.movements.length, 0);
+        });
+
+        it('only accepts whole numbers of at least 0', async () => {
+            const rice = store.add({ name: 'Rice', stock: 10 });
+
+            for (const stock of [-1, 2.5, NaN]) {
+                await assert.rejects(setStock(rice._id, stock, { actor: owner }), { statusCode: 400 });
+            }
+            await assert.rejects(setStock(id(), 5, { actor: owner }), { statusCode: 404 });
+            assert.equal(store.get(rice._id).stock, 10);
+        });
+    });
+
+    describe('releaseStock', () => {
+        it('puts stock back and takes it off totalSold', async () => {
+            const rice = store.add({ name: 'Rice', stock: 10 });
+
+            await reserveStock([{ product: rice._id, quantity: 4 }]);
+            await releaseStock([{ product: rice._id, quantity: 4 }], { note: 'Order cancelled' });
+
+            assert.equal(store.get(rice._id).stock, 10);
+            assert.equal(store.get(rice._id).totalSold, 0);
+            assert.deepEqual(store.movements.map(movement => [movement.type, movement.note]), [
+                ['sale', undefined],
+                ['cancellation_restock', 'Order cancelled']
+            ]);
+        });
+
+        it('tells waiting customers only when asked to', async () => {
+            const milk = store.add({ name: 'Milk', stock: 0 });
+            const rice = store.add({ name: 'Rice', stock: 0 });
+
+            await releaseStock([{ product: milk._id, quantity: 1 }], {}, { alerts: false });
+            await new Promise(setImmediate);
+            assert.equal(StockSubscription.findOneAndDelete.mock.callCount(), 0);
+
+            await releaseStock([{ product: rice._id, quantity: 1 }]);
+            await new Promise(setImmediate);
+            assert.equal(StockSubscription.findOneAndDelete.mock.callCount(), 1);
+        });
+    });
+});
@@ -0,0 +1,269 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { createNotificationDispatcher } = require('../utils/notificationDispatcher');
+const { createClock } = require('./helpers/clock');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A transport that records what it sends and fails while `failures` is above 0
+const createTransport = (failures = 0) => {
+    const sent = [];
+
+    return {
+        sent,
+        send: async (message) => {
+            if (failures > 0) {
+                failures -= 1;
+                throw new Error('Provider unavailable');
+            }
+            sent.push(message);
+            return { id: `msg${sent.length}` };
+        }
+    };
+};
+
+describe('notification dispatcher', () => {
+    let clock;
+    let stored;
+    let saves;
+    let customer;
+    let previousSettings;
+
+    const add = (fields = {}) => {
+        const notification = new Notification({
+            user: customer,
+            type: 'order_status',
+            title: 'Order confirmed',
+            message: 'Your order is on its way',
+            deliveryMethod: { email: true, sms: true, push: false },
+            ...fields
+        });
+        stored.push(notification);
+        return notification;
+    };
+
+    const statusOf = (notification) => Object.fromEntries(['email', 'sms', 'push']
+        .filter(channel => notification.deliveryStatus[channel])
+        .map(channel => [channel, notification.deliveryStatus[channel].status]));
+
+    beforeEach(() => {
+        clock = createClock();
+        stored = [];
+        saves = 0;
+        customer = new User({ _id: id(), name: 'Asha', email: 'asha@example.com', phone: '9876543210' });
+        previousSettings = {
+            retry: process.env.NOTIFICATION_RETRY_SECONDS,
+            attempts: process.env.NOTIFICATION_MAX_ATTEMPTS
+        };
+
+        // Due as in dispatchDue's query: unsent and not waiting for a retry
+        const isDue = (notification, filter) => {
+            const now = filter.$and[1].$or[1].nextAttemptAt.$lte;
+            return !notification.isSent && (!notification.nextAttemptAt || notification.nextAttemptAt <= now);
+        };
+
+        mock.method(Notification, 'find', (filter) => {
+            let limit = Infinity;
+            const due = () => stored
+                .filter(notification => isDue(notification, filter))
+                .slice(0, limit);
+            const chain = {
+                select: () => chain,
+                sort: () => chain,
+                limit: (n) => {
+                    limit = n;
+                    return chain;
+                },
+                then: (resolve, reject) => Promise.resolve(due()).then(resolve, reject)
+            };
+            return chain;
+        });
+        // The claim: takes the notification only while it is still due
+        mock.method(Notification, 'findOneAndUpdate', (filter, update) => {
+            const claim = async () => {
+                const notification = stored.find(n => n._id.equals(filter._id));
+                if (!isDue(notification, filter)) {
+                    return null;
+                }
+                notification.set(update);
+                return notification;
+            };
+            return { populate: () => claim() };
+        });
+        mock.method(Notification, 'updateOne', async ({ _id }, update) => {
+            stored.find(notification => notification._id.equals(_id)).set(update);
+        });
+        mock.method(Notification.prototype, 'save', async function() {
+            saves += 1;
+            return this;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        for (const [name, value] of [
+            ['NOTIFICATION_RETRY_SECONDS', previousSettings.retry],
+            ['NOTIFICATION_MAX_ATTEMPTS', previousSettings.attempts]
+        ]) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    });
+
+    it('sends every channel asked for and marks the notification as sent', async () => {
+        const transports = { email: createTransport(), sms: createTransport(), push: createTransport() };
+        const dispatcher = createNotificationDispatcher({ clock, transports });
+        const notification = add();
+
+        assert.equal(await dispatcher.dispatchDue(), 1);
+
+        assert.deepEqual(transports.email.sent, [{
+            channel: 'email',
+            to: 'asha@example.com',
+            subject: 'Order confirmed',
+            text: 'Your order is on its way'
+        }]);
+        assert.deepEqual(transports.sms.sent, [{
+            channel: 'sms',
+            to: '9876543210',
+            text: 'Order confirmed: Your order is on its way'
+        }]);
+        assert.equal(transports.push.sent.length, 0);
+        assert.deepEqual(statusOf(notification), { email: 'sent', sms: 'sent' });
+        assert.equal(notification.isSent, true);
+        assert.ok(notification.sentAt instanceof Date);
+        assert.equal(notification.nextAttemptAt, undefined);
+    });
+
+    it('retries a failed channel with exponential backoff and leaves the others alone', async () => {
+        const transports = { email: createTransport(), sms: createTransport(2), push: null };
+        const dispatcher = createNotificationDispatcher({ clock, transports, retryBaseMs: 1000, maxAttempts: 5 });
+        const notification = add();
+        const start = clock.now();
+
+        await dispatcher.dispatchDue();
+
+        assert.deepEqual(statusOf(notification), { email: 'sent', sms: 'pending' });
+        assert.equal(notification.deliveryStatus.sms.error, 'Provider unavailable');
+        assert.deepEqual(notification.nextAttemptAt, new Date(start + 1000));
+        assert.equal(notification.isSent, false);
+
+        // Not due yet
+        await clock.advance(999);
+        assert.equal(await dispatcher.dispatchDue(), 0);
+
+        await clock.advance(1);
+        await dispatcher.dispatchDue();
+        assert.deepEqual(notification.nextAttemptAt, new Date(start + 1000 + 2000));
+
+        await clock.advance(2000);
+        await dispatcher.dispatchDue();
+
+        assert.deepEqual(statusOf(notification), { email: 'sent', sms: 'sent' });
+        assert.equal(notification.deliveryStatus.sms.attempts, 3);
+        assert.equal(notification.deliveryStatus.sms.error, undefined);
+        assert.equal(transports.email.sent.length, 1);
+        assert.equal(transports.sms.sent.length, 1);
+        assert.equal(notification.isSent, true);
+    });
+
+    it('gives a channel up after NOTIFICATION_MAX_ATTEMPTS, read when it is used', async () => {
+        const transports = { email: createTransport(), sms: createTransport(Infinity), push: null };
+        const dispatcher = createNotificationDispatcher({ clock, transports });
+        process.env.NOTIFICATION_RETRY_SECONDS = '1';
+        process.env.NOTIFICATION_MAX_ATTEMPTS = '2';
+        const notification = add();
+
+        await dispatcher.dispatchDue();
+        assert.deepEqual(notification.nextAttemptAt, new Date(clock.now() + 1000));
+
+        await clock.advance(1000);
+        await dispatcher.dispatchDue();
+
+        assert.deepEqual(statusOf(notification), { email: 'sent', sms: 'failed' });
+        assert.equal(notification.deliveryStatus.sms.attempts, 2);
+        assert.equal(notification.isSent, true);
+    });
+
+    it('skips channels that are off or have nowhere to send', async () => {
+        customer.phone = undefined;
+        const transports = {
+            email: null,
+            sms: createTransport(),
+            push: { send: async () => ({ id: null, skipped: 'User has no push subscriptions' }) }
+        };
+        const dispatcher = createNotificationDispatcher({ clock, transports });
+        const notification = add({ deliveryMethod: { email: true, sms: true, push: true } });
+
+        await dispatcher.dispatchDue();
+
+        assert.deepEqual(statusOf(notification), { email: 'skipped', sms: 'skipped', push: 'skipped' });
+        assert.deepEqual(
+            ['email', 'sms', 'push'].map(channel => notification.deliveryStatus[channel].error),
+            ['Channel is turned off', 'User has no sms address', 'User has no push subscriptions']
+        );
+        assert.equal(transports.sms.sent.length, 0);
+        assert.equal(notification.isSent, true);
+    });
+
+    it('puts off a notification it cannot save instead of picking it straight up again', async () => {
+        const transports = { email: createTransport(), sms: createTransport(), push: null };
+        const dispatcher = createNotificationDispatcher({
+            clock, transports, batchSize: 1, pollIntervalMs: 15000, retryBaseMs: 30000
+        });
+        const notification = add();
+        mock.method(Notification.prototype, 'save', async () => {
+            saves += 1;
+            throw new Error('Database unavailable');
+        });
+        mock.method(console, 'error', () => {});
+
+        dispatcher.start();
+        await clock.advance(0);
+
+        // A full batch polls again at once, but finds nothing due
+        assert.equal(Notification.find.mock.callCount(), 2);
+        assert.deepEqual(notification.nextAttemptAt, new Date(clock.now() + 30000));
+        assert.equal(clock.nextAt(), clock.now() + 15000);
+        assert.equal(saves, 1);
+
+        dispatcher.stop();
+        assert.equal(clock.pending(), 0);
+    });
+
+    it('sends a notification once when two instances poll at the same time', async () => {
+        const transports = { email: createTransport(), sms: createTransport(), push: null };
+        const first = createNotificationDispatcher({ clock, transports });
+        const second = createNotificationDispatcher({ clock, transports });
+        const notification = add();
+
+        await Promise.all([first.dispatchDue(), second.dispatchDue()]);
+
+        assert.equal(transports.email.sent.length, 1);
+        assert.equal(transports.sms.sent.length, 1);
+        assert.equal(notification.isSent, true);
+    });
+
+    it('sends a notification again once the claim of an instance that died runs out', async () => {
+        const transports = { email: createTransport(), sms: createTransport(), push: null };
+        const dispatcher = createNotificationDispatcher({ clock, transports, claimTimeoutMs: 60000 });
+        const notification = add();
+        // Claimed by an instance that stopped before sending it
+        notification.nextAttemptAt = new Date(clock.now() + 60000);
+
+        assert.equal(await dispatcher.dispatchDue(), 0);
+
+        await clock.advance(60000);
+        await dispatcher.dispatchDue();
+
+        assert.equal(transports.email.sent.length, 1);
+        assert.equal(notification.isSent, true);
+    });
+});
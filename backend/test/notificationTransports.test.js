@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PushSubscription = require('../models/PushSubscription');
+const createTwilioTransport = require('../utils/notifications/twilioTransport');
+const createWebPushTransport = require('../utils/notifications/webPushTransport');
+
+describe('twilio transport', () => {
+    const credentials = { accountSid: 'AC123', authToken: 'secret', from: '+15005550006' };
+
+    it('posts the message to the Messages API with a full phone number', async () => {
+        const requests = [];
+        const transport = createTwilioTransport({
+            ...credentials,
+            fetch: async (url, options) => {
+                requests.push({ url, options });
+                return { ok: true, status: 201, json: async () => ({ sid: 'SM1' }) };
+            }
+        });
+
+        const result = await transport.send({ channel: 'sms', to: '9876543210', text: 'Order confirmed' });
+
+        assert.deepEqual(result, { id: 'SM1' });
+        assert.equal(requests[0].url, 'https://api.twilio.com/2010-04-01/Accounts/AC123/Messages.json');
+        assert.equal(requests[0].options.headers.Authorization, `Basic ${Buffer.from('AC123:secret').toString('base64')}`);
+        assert.deepEqual(Object.fromEntries(new URLSearchParams(requests[0].options.body)), {
+            To: '+919876543210',
+            From: '+15005550006',
+            Body: 'Order confirmed'
+        });
+    });
+
+    it('throws when Twilio rejects the message, so it is retried', async () => {
+        const transport = createTwilioTransport({
+            ...credentials,
+            fetch: async () => ({ ok: false, status: 400, json: async () => ({ message: 'Invalid To number' }) })
+        });
+
+        await assert.rejects(transport.send({ to: '+1', text: 'Hi' }), {
+            message: 'Twilio rejected the message (400): Invalid To number'
+        });
+    });
+
+    it('refuses to start without credentials', () => {
+        assert.throws(() => createTwilioTransport({ accountSid: 'AC123' }), /TWILIO_AUTH_TOKEN/);
+    });
+});
+
+describe('web push transport', () => {
+    const vapid = { publicKey: 'public', privateKey: 'private', subject: 'mailto:support@example.com' };
+    let subscriptions;
+    let deleted;
+
+    beforeEach(() => {
+        subscriptions = [];
+        deleted = [];
+
+        mock.method(PushSubscription, 'find', async ({ user }) => subscriptions.filter(s => s.user === user));
+        mock.method(PushSubscription, 'deleteOne', async ({ _id }) => {
+            deleted.push(_id);
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const subscribe = (_id, endpoint) => subscriptions.push({
+        _id,
+        user: 'user1',
+        endpoint,
+        keys: { p256dh: 'p256dh', auth: 'auth' }
+    });
+
+    it('sends the notification to each of the user\'s browsers', async () => {
+        const sent = [];
+        const transport = createWebPushTransport({
+            ...vapid,
+            sender: { sendNotification: async (subscription, payload, options) => sent.push({ subscription, payload, options }) }
+        });
+        subscribe('sub1', 'https://push.example.com/1');
+        subscribe('sub2', 'https://push.example.com/2');
+
+        const result = await transport.send({
+            channel: 'push', to: 'user1', subject: 'Order confirmed', text: 'On its way', data: { url: '/orders' }
+        });
+
+        assert.deepEqual(result, { id: null, delivered: 2 });
+        assert.deepEqual(sent.map(message => message.subscription.endpoint), [
+            'https://push.example.com/1',
+            'https://push.example.com/2'
+        ]);
+        assert.deepEqual(JSON.parse(sent[0].payload), { title: 'Order confirmed', body: 'On its way', data: { url: '/orders' } });
+        assert.deepEqual(sent[0].options.vapidDetails, { subject: vapid.subject, publicKey: 'public', privateKey: 'private' });
+    });
+
+    it('skips users without subscriptions and forgets ones the push service says are gone', async () => {
+        const transport = createWebPushTransport({
+            ...vapid,
+            sender: {
+                sendNotification: async () => {
+                    throw Object.assign(new Error('Gone'), { statusCode: 410 });
+                }
+            }
+        });
+
+        assert.deepEqual(await transport.send({ to: 'user1', text: 'Hi' }), {
+            id: null,
+            skipped: 'User has no push subscriptions'
+        });
+
+        subscribe('sub1', 'https://push.example.com/1');
+
+        assert.deepEqual(await transport.send({ to: 'user1', text: 'Hi' }), {
+            id: null,
+            skipped: 'User has no push subscriptions'
+        });
+        assert.deepEqual(deleted, ['sub1']);
+    });
+
+    it('throws when no browser took the message and one can be tried again', async () => {
+        const transport = createWebPushTransport({
+            ...vapid,
+            sender: {
+                sendNotification: async () => {
+                    throw Object.assign(new Error('Server error'), { statusCode: 503, body: 'Try later' });
+                }
+            }
+        });
+        subscribe('sub1', 'https://push.example.com/1');
+
+        await assert.rejects(transport.send({ to: 'user1', text: 'Hi' }), {
+            message: 'Push service rejected the message: Try later'
+        });
+        assert.deepEqual(deleted, []);
+    });
+});
@@ -0,0 +1,165 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { dispatcher } = require('../utils/dispatcher');
+const { updateOrderStatus, cancelOrder } = require('../controllers/orders');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Calls a controller and resolves to the response body or the error it
+// passed on or threw
+const call = async (handler, req) => {
+    let body;
+    let error;
+    try {
+        await handler(req, { json: (data) => { body = data; } }, (err) => { error = err; });
+    } catch (err) {
+        error = err;
+    }
+    return { body, error };
+};
+
+describe('updateOrderStatus', () => {
+    let order;
+    let events;
+    const owner = { id: id().toString(), _id: id(), role: 'shop_owner' };
+    const rider = { _id: id() };
+
+    beforeEach(() => {
+        events = [];
+        order = Order.hydrate({
+            _id: id(),
+            orderNumber: 'ORD202601050001',
+            customer: id(),
+            shop: id(),
+            items: [],
+            status: 'pending',
+            deliveryType: 'home_delivery',
+            paymentMethod: 'cod',
+            paymentStatus: 'pending',
+            statusHistory: []
+        });
+
+        mock.method(Order, 'findById', () => Object.assign(Promise.resolve(order), { populate() { return this; } }));
+        mock.method(Order.prototype, 'save', async function() {
+            events.push('save');
+            return this;
+        });
+        mock.method(Shop, 'exists', async () => true);
+        mock.method(User, 'findOne', async () => rider);
+        mock.method(Notification, 'createOrderStatusNotification', async () => {});
+        mock.method(Notification, 'createRiderOfferNotification', async () => {});
+        mock.method(dispatcher, 'cancelOffer', () => events.push('cancelOffer'));
+        mock.method(dispatcher, 'dispatchOrder', async () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const update = (body) => call(updateOrderStatus, { params: { id: order._id }, body, user: owner });
+
+    it('offers the job to the rider and only then stops the automatic offer', async () => {
+        const { error } = await update({ status: 'confirmed', riderId: rider._id });
+
+        assert.equal(error, undefined);
+        assert.equal(order.status, 'confirmed');
+        assert.equal(order.assignedRider, rider._id);
+        assert.equal(order.riderAssignment.status, 'offered');
+        assert.deepEqual(events, ['save', 'cancelOffer']);
+    });
+
+    it('leaves the order and its offer alone when the status change is not allowed', async () => {
+        const { error } = await update({ status: 'delivered', riderId: rider._id });
+
+        assert.equal(error.statusCode, 409);
+        assert.equal(order.status, 'pending');
+        assert.equal(order.assignedRider, null);
+        assert.deepEqual(events, []);
+    });
+
+    it('does not confirm an unpaid online order or touch its offer', async () => {
+        order.paymentMethod = 'online';
+
+        const { error } = await update({ status: 'confirmed', riderId: rider._id });
+
+        assert.equal(error.statusCode, 409);
+        assert.equal(error.message, 'This order cannot be confirmed until it has been paid');
+        assert.equal(order.assignedRider, null);
+        assert.deepEqual(events, []);
+    });
+});
+
+describe('cancelOrder', () => {
+    const customerId = id();
+    const customer = { id: customerId.toString(), _id: customerId, role: 'customer' };
+    const checkout = id();
+    let orders;
+    let coupon;
+    let redemption;
+
+    const placeOrder = (orderNumber) => Order.hydrate({
+        _id: id(),
+        orderNumber,
+        customer: customer._id,
+        shop: id(),
+        checkout,
+        items: [],
+        status: 'pending',
+        deliveryType: 'home_delivery',
+        paymentMethod: 'cod',
+        paymentStatus: 'pending',
+        statusHistory: [{ status: 'pending' }]
+    });
+
+    beforeEach(() => {
+        orders = [placeOrder('ORD202601050001'), placeOrder('ORD202601050002')];
+        coupon = { _id: id(), usedCount: 1 };
+        redemption = { _id: id(), coupon: coupon._id, checkout };
+
+        mock.method(Order, 'findById', (orderId) => {
+            const order = orders.find(o => o._id.equals(orderId));
+            return Object.assign(Promise.resolve(order), { populate() { return this; } });
+        });
+        mock.method(Order.prototype, 'save', async function() {
+            return this;
+        });
+        mock.method(Order, 'exists', async (filter) => orders.some(order => order.checkout.equals(filter.checkout)
+            && !order.statusHistory.some(entry => entry.status === 'cancelled')));
+        mock.method(CouponRedemption, 'findOne', async () => redemption);
+        mock.method(CouponRedemption, 'findOneAndDelete', async () => {
+            const removed = redemption;
+            redemption = null;
+            return removed;
+        });
+        mock.method(Coupon, 'updateOne', async (filter, update) => {
+            coupon.usedCount += update.$inc.usedCount;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const cancel = (order) => call(cancelOrder, { params: { id: order._id }, body: { reason: 'Changed my mind' }, user: customer });
+
+    it('gives the coupon back once every order of the checkout is cancelled', async () => {
+        const { error } = await cancel(orders[0]);
+
+        assert.equal(error, undefined);
+        assert.equal(orders[0].status, 'cancelled');
+        assert.equal(coupon.usedCount, 1);
+
+        await cancel(orders[1]);
+
+        assert.equal(redemption, null);
+        assert.equal(coupon.usedCount, 0);
+    });
+});
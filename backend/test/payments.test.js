@@ -0,0 +1,183 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Payment = require('../models/Payment');
+const Checkout = require('../models/Checkout');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Notification = require('../models/Notification');
+const { simulatePayment } = require('../controllers/payments');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Calls a controller and resolves to the response body or the error it passed on
+const call = async (handler, req) => {
+    let body;
+    let error;
+    await handler(req, { json: (data) => { body = data; } }, (err) => { error = err; });
+    return { body, error };
+};
+
+describe('payment webhooks', () => {
+    const customer = id();
+    let checkout;
+    let payment;
+    let orders;
+    let refunds;
+    let redemption;
+    let coupon;
+
+    // Matches the checkout and status filters payments.js queries orders with
+    const matches = (order, filter) => order.checkout.equals(filter.checkout)
+        && (filter.status === undefined
+            || (filter.status.$ne ? order.status !== filter.status.$ne : order.status === filter.status));
+
+    const placeOrder = (status) => Order.hydrate({
+        _id: id(),
+        orderNumber: `ORD20260105000${orders.length + 1}`,
+        customer,
+        shop: id(),
+        checkout,
+        items: [],
+        total: 250,
+        status,
+        deliveryType: 'home_delivery',
+        paymentMethod: 'online',
+        paymentStatus: 'pending',
+        statusHistory: [{ status: 'pending' }]
+    });
+
+    before(() => {
+        process.env.PAYMENT_WEBHOOK_SECRET = 'test-secret';
+    });
+
+    beforeEach(() => {
+        checkout = id();
+        orders = [];
+        refunds = [];
+        coupon = { _id: id(), usedCount: 1 };
+        redemption = { _id: id(), coupon: coupon._id, checkout };
+        payment = {
+            _id: id(),
+            checkout,
+            customer,
+            intentId: 'mock_pi_1',
+            amount: 500,
+            status: 'requires_payment',
+            processedEvents: []
+        };
+
+        mock.method(Payment, 'findOne', async () => payment);
+        mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+            if (!filter.status.$in.includes(payment.status)) {
+                return null;
+            }
+            Object.assign(payment, update.$set);
+            return payment;
+        });
+        mock.method(Checkout, 'updateOne', async () => {});
+        mock.method(Order, 'updateMany', async (filter, update) => {
+            orders.filter(order => matches(order, filter)).forEach(order => order.set(update));
+        });
+        mock.method(Order, 'find', (filter) => {
+            const found = orders.filter(order => matches(order, filter));
+            return Object.assign(Promise.resolve(found), { populate() { return this; } });
+        });
+        mock.method(Order.prototype, 'save', async function() {
+            return this;
+        });
+        mock.method(Order, 'exists', async (filter) => orders.some(order => order.checkout.equals(filter.checkout)
+            && !order.statusHistory.some(entry => entry.status === 'cancelled')));
+        mock.method(CouponRedemption, 'findOne', async () => redemption);
+        mock.method(CouponRedemption, 'findOneAndDelete', async () => {
+            const removed = redemption;
+            redemption = null;
+            return removed;
+        });
+        mock.method(Coupon, 'updateOne', async (filter, update) => {
+            coupon.usedCount += update.$inc.usedCount;
+        });
+        mock.method(Refund.prototype, 'save', async function() {
+            refunds.push(this);
+            return this;
+        });
+        mock.method(Notification, 'createOrderStatusNotification', async () => {});
+        mock.method(Notification, 'createRefundNotification', async () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const simulate = (outcome) => call(simulatePayment, {
+        params: { intentId: payment.intentId },
+        body: { outcome },
+        user: { id: customer.toString() }
+    });
+
+    it('confirms the paid orders and marks the ones cancelled meanwhile as owed a refund', async () => {
+        const kept = placeOrder('pending');
+        orders.push(kept);
+        const cancelled = placeOrder('cancelled');
+        orders.push(cancelled);
+
+        const { error } = await simulate('succeeded');
+
+        assert.equal(error, undefined);
+        assert.equal(kept.status, 'confirmed');
+        assert.equal(kept.paymentStatus, 'paid');
+        assert.equal(cancelled.status, 'cancelled');
+        assert.equal(cancelled.paymentStatus, 'refund_due');
+    });
+
+    it('opens a refund for an order cancelled while the payment was in flight', async () => {
+        const cancelled = placeOrder('cancelled');
+        orders.push(cancelled);
+
+        await simulate('succeeded');
+
+        assert.equal(refunds.length, 1);
+        assert.ok(refunds[0].order.equals(cancelled._id));
+        assert.equal(refunds[0].type, 'full');
+        assert.equal(refunds[0].amount, 250);
+        assert.equal(refunds[0].status, 'requested');
+        assert.equal(refunds[0].history[0].role, 'system');
+        assert.equal(Notification.createRefundNotification.mock.callCount(), 1);
+    });
+
+    it('leaves the refund to the customer when they asked for one first', async () => {
+        orders.push(placeOrder('cancelled'));
+        mock.method(Refund.prototype, 'save', async () => {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        });
+
+        const { error } = await simulate('succeeded');
+
+        assert.equal(error, undefined);
+        assert.equal(Notification.createRefundNotification.mock.callCount(), 0);
+    });
+
+    it('keeps the coupon for a paid checkout', async () => {
+        orders.push(placeOrder('pending'));
+
+        await simulate('succeeded');
+
+        assert.equal(coupon.usedCount, 1);
+    });
+
+    it('cancels the orders of a failed payment and gives the coupon back', async () => {
+        const order = placeOrder('pending');
+        orders.push(order);
+
+        const { error } = await simulate('failed');
+
+        assert.equal(error, undefined);
+        assert.equal(order.status, 'cancelled');
+        assert.equal(order.paymentStatus, 'failed');
+        assert.equal(redemption, null);
+        assert.equal(coupon.usedCount, 0);
+    });
+});
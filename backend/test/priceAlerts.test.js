@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const PriceHistory = require('../models/PriceHistory');
+const WishlistItem = require('../models/WishlistItem');
+const Notification = require('../models/Notification');
+const { recordPriceChange } = require('../utils/priceAlerts');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('recordPriceChange', () => {
+    let history;
+    let watchers;
+    let drops;
+    let previousPercent;
+    let productId;
+
+    const product = (fields) => ({
+        _id: productId,
+        shop: 'shop1',
+        name: 'Rice',
+        isActive: true,
+        createdAt: new Date('2025-06-01'),
+        ...fields
+    });
+
+    beforeEach(() => {
+        productId = id();
+        history = [];
+        watchers = [];
+        drops = [];
+        previousPercent = process.env.PRICE_DROP_ALERT_PERCENT;
+
+        mock.method(PriceHistory, 'exists', async () => history.length > 0);
+        mock.method(PriceHistory, 'create', async (entry) => {
+            history.push(entry);
+            return entry;
+        });
+        mock.method(WishlistItem, 'find', (filter) => ({
+            select: async () => watchers
+                .filter(item => item.referencePrice >= filter.referencePrice.$gte)
+                .map(item => ({ ...item }))
+        }));
+        mock.method(WishlistItem, 'findOneAndUpdate', async (filter, update) => {
+            const item = watchers.find(watcher => watcher._id === filter._id && watcher.referencePrice === filter.referencePrice);
+
+            if (item) {
+                item.referencePrice = update.referencePrice;
+            }
+            return item || null;
+        });
+        mock.method(Notification, 'createPriceDropNotification', async (user, productId, name, from, to) => {
+            drops.push({ user, from, to });
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        if (previousPercent === undefined) {
+            delete process.env.PRICE_DROP_ALERT_PERCENT;
+        } else {
+            process.env.PRICE_DROP_ALERT_PERCENT = previousPercent;
+        }
+    });
+
+    it('records the price a product had before its first change', async () => {
+        await recordPriceChange(product({ price: 90 }), product({ price: 100, originalPrice: 120 }), { _id: 'owner1' });
+
+        assert.deepEqual(history.map(entry => [entry.price, entry.createdAt]), [
+            [100, new Date('2025-06-01')],
+            [90, undefined]
+        ]);
+        assert.equal(history[0].originalPrice, 120);
+
+        await recordPriceChange(product({ price: 80 }), product({ price: 90 }), { _id: 'owner1' });
+        assert.deepEqual(history.map(entry => entry.price), [100, 90, 80]);
+    });
+
+    it('reads PRICE_DROP_ALERT_PERCENT when the price drops', async () => {
+        process.env.PRICE_DROP_ALERT_PERCENT = '20';
+        watchers = [
+            { _id: 'item1', user: 'user1', referencePrice: 100 },
+            { _id: 'item2', user: 'user2', referencePrice: 110 }
+        ];
+
+        await recordPriceChange(product({ price: 85 }), product({ price: 100 }));
+        await new Promise(setImmediate);
+
+        assert.deepEqual(drops, [{ user: 'user2', from: 110, to: 85 }]);
+    });
+});
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const { redeemCoupon, releaseCoupon, releaseCheckoutCoupon } = require('../utils/promotions');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('redeemCoupon', () => {
+    let coupon;
+    let redemptions;
+
+    beforeEach(() => {
+        coupon = { _id: id(), code: 'SAVE50', isActive: true, usedCount: 0, usageLimit: null, perUserLimit: 1 };
+        redemptions = [];
+
+        const mine = (filter) => redemptions.filter(redemption =>
+            redemption.coupon.equals(filter.coupon) && String(redemption.user) === String(filter.user)
+        );
+
+        mock.method(CouponRedemption, 'distinct', async (field, filter) => mine(filter).map(r => r[field]));
+        // Enforces the unique (coupon, user, use) index
+        mock.method(CouponRedemption, 'create', async (fields) => {
+            if (mine(fields).some(redemption => redemption.use === fields.use)) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            const redemption = { _id: id(), ...fields };
+            redemptions.push(redemption);
+            return redemption;
+        });
+        mock.method(CouponRedemption, 'deleteOne', async ({ _id }) => {
+            redemptions = redemptions.filter(redemption => !redemption._id.equals(_id));
+        });
+        mock.method(CouponRedemption, 'findOneAndDelete', async ({ _id }) => {
+            const found = redemptions.find(redemption => redemption._id.equals(_id));
+            redemptions = redemptions.filter(redemption => redemption !== found);
+            return found || null;
+        });
+        mock.method(CouponRedemption, 'findOne', async ({ checkout }) =>
+            redemptions.find(redemption => redemption.checkout.equals(checkout)) || null
+        );
+        mock.method(Coupon, 'findOneAndUpdate', async () => {
+            if (!coupon.isActive || (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit)) {
+                return null;
+            }
+            coupon.usedCount += 1;
+            return coupon;
+        });
+        mock.method(Coupon, 'updateOne', async (filter, update) => {
+            coupon.usedCount += update.$inc.usedCount;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('lets concurrent checkouts take a customer\'s last use only once', async () => {
+        const results = await Promise.allSettled([1, 2, 3].map(() =>
+            redeemCoupon(coupon, 'user1', id(), 50)
+        ));
+
+        assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'rejected']);
+        assert.equal(results[1].reason.message, 'You have already used coupon SAVE50');
+        assert.equal(redemptions.length, 1);
+        assert.equal(coupon.usedCount, 1);
+    });
+
+    it('numbers each of a customer\'s uses up to perUserLimit', async () => {
+        coupon.perUserLimit = 2;
+
+        await redeemCoupon(coupon, 'user1', id(), 50);
+        await redeemCoupon(coupon, 'user1', id(), 50);
+        await redeemCoupon(coupon, 'user2', id(), 50);
+
+        await assert.rejects(redeemCoupon(coupon, 'user1', id(), 50), { statusCode: 400 });
+        assert.deepEqual(redemptions.map(redemption => [redemption.user, redemption.use]), [
+            ['user1', 1],
+            ['user1', 2],
+            ['user2', 1]
+        ]);
+        assert.equal(coupon.usedCount, 3);
+    });
+
+    it('gives a released use back to the customer', async () => {
+        coupon.perUserLimit = 2;
+
+        const first = await redeemCoupon(coupon, 'user1', id(), 50);
+        await redeemCoupon(coupon, 'user1', id(), 50);
+        await releaseCoupon(first);
+
+        const again = await redeemCoupon(coupon, 'user1', id(), 50);
+
+        assert.equal(again.use, 1);
+        assert.equal(coupon.usedCount, 2);
+    });
+
+    it('does not keep the customer\'s use when the coupon is fully redeemed', async () => {
+        coupon.usageLimit = 1;
+        coupon.usedCount = 1;
+
+        await assert.rejects(redeemCoupon(coupon, 'user1', id(), 50), {
+            statusCode: 400,
+            message: 'Coupon SAVE50 has been fully redeemed'
+        });
+        assert.equal(redemptions.length, 0);
+        assert.equal(coupon.usedCount, 1);
+    });
+
+    it('counts a released use back only once', async () => {
+        const redemption = await redeemCoupon(coupon, 'user1', id(), 50);
+
+        await Promise.all([releaseCoupon(redemption), releaseCoupon(redemption)]);
+
+        assert.equal(redemptions.length, 0);
+        assert.equal(coupon.usedCount, 0);
+    });
+
+    it('gives the coupon back only once every order of the checkout is cancelled', async () => {
+        const checkout = id();
+        await redeemCoupon(coupon, 'user1', checkout, 50);
+        let openOrders = 1;
+        mock.method(Order, 'exists', async () => (openOrders > 0 ? { _id: id() } : null));
+
+        await releaseCheckoutCoupon(checkout);
+
+        assert.equal(coupon.usedCount, 1);
+
+        openOrders = 0;
+        await releaseCheckoutCoupon(checkout);
+        await releaseCheckoutCoupon(checkout);
+
+        assert.equal(redemptions.length, 0);
+        assert.equal(coupon.usedCount, 0);
+    });
+});
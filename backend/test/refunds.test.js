@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Refund = require('../models/Refund');
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+const Notification = require('../models/Notification');
+const { requestRefund, rejectRefund } = require('../controllers/refunds');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Calls a controller and resolves to the response body or the error it
+// passed on or threw
+const call = async (handler, req) => {
+    let body;
+    let error;
+    const res = {
+        status() { return this; },
+        json: (data) => { body = data; }
+    };
+    try {
+        await handler(req, res, (err) => { error = err; });
+    } catch (err) {
+        error = err;
+    }
+    return { body, error };
+};
+
+describe('requestRefund', () => {
+    const customer = id();
+    let order;
+
+    beforeEach(() => {
+        order = Order.hydrate({
+            _id: id(),
+            orderNumber: 'ORD202601050001',
+            customer,
+            shop: id(),
+            items: [],
+            total: 250,
+            status: 'cancelled',
+            paymentMethod: 'online',
+            paymentStatus: 'refund_due'
+        });
+
+        mock.method(Order, 'findById', async () => order);
+        mock.method(Refund, 'find', async () => []);
+        mock.method(Shop, 'findById', () => ({ select: async () => ({ owner: id() }) }));
+        mock.method(Notification, 'createRefundNotification', async () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const request = () => call(requestRefund, {
+        body: { orderId: order._id, reason: 'Cancelled it' },
+        user: { id: customer.toString(), _id: customer, role: 'customer' }
+    });
+
+    it('refunds an order that was paid for after it was cancelled', async () => {
+        mock.method(Refund.prototype, 'save', async function() {
+            return this;
+        });
+
+        const { body, error } = await request();
+
+        assert.equal(error, undefined);
+        assert.equal(body.data.amount, 250);
+        assert.equal(body.data.status, 'requested');
+    });
+
+    it('turns a request saved alongside another into a conflict', async () => {
+        mock.method(Refund.prototype, 'save', async () => {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        });
+
+        const { error } = await request();
+
+        assert.equal(error.statusCode, 409);
+        assert.equal(error.message, 'A refund for this order is already waiting for review');
+        assert.equal(Notification.createRefundNotification.mock.callCount(), 0);
+    });
+});
+
+describe('rejectRefund', () => {
+    const admin = { id: id().toString(), _id: id(), role: 'admin' };
+    let stored;
+
+    beforeEach(() => {
+        stored = {
+            _id: id(),
+            order: id(),
+            customer: id(),
+            shop: id(),
+            type: 'full',
+            amount: 250,
+            reason: 'Damaged',
+            status: 'requested',
+            history: []
+        };
+
+        mock.method(Refund, 'findById', async () => Refund.hydrate(JSON.parse(JSON.stringify(stored))));
+        mock.method(Refund, 'findOneAndUpdate', async (filter, update) => {
+            if (!stored._id.equals(filter._id) || stored.status !== filter.status) {
+                return null;
+            }
+            Object.assign(stored, update.$set);
+            stored.history.push(update.$push.history);
+            return Refund.hydrate(JSON.parse(JSON.stringify(stored)));
+        });
+        mock.method(Order, 'findById', () => ({ select: async () => ({ orderNumber: 'ORD202601050001' }) }));
+        mock.method(Notification, 'createRefundNotification', async () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const reject = () => call(rejectRefund, {
+        params: { id: stored._id },
+        body: { note: 'Arrived intact' },
+        user: admin
+    });
+
+    it('rejects a refund still waiting for review', async () => {
+        const { body, error } = await reject();
+
+        assert.equal(error, undefined);
+        assert.equal(body.data.status, 'rejected');
+        assert.deepEqual(stored.history.map(entry => entry.action), ['rejected']);
+    });
+
+    it('does not reject a refund approved after it was loaded', async () => {
+        const findById = Refund.findById;
+        mock.method(Refund, 'findById', async (...args) => {
+            const loaded = await findById(...args);
+            stored.status = 'approved';
+            return loaded;
+        });
+
+        const { error } = await reject();
+
+        assert.equal(error.statusCode, 409);
+        assert.equal(stored.status, 'approved');
+        assert.equal(Notification.createRefundNotification.mock.callCount(), 0);
+    });
+});
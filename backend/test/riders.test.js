@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Order = require('../models/Order');
+const { dispatcher } = require('../utils/dispatcher');
+const { acceptJob, declineJob } = require('../controllers/riders');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Calls a controller and resolves to the response body or the error it passed on
+const call = async (handler, req) => {
+    let body;
+    let error;
+    await handler(req, { json: (data) => { body = data; } }, (err) => { error = err; });
+    return { body, error };
+};
+
+describe('rider jobs', () => {
+    let stored;
+    let rider;
+
+    // Matches the conditional updates riders.js makes
+    const matches = (filter) => stored._id.equals(filter._id)
+        && String(stored.assignedRider) === String(filter.assignedRider)
+        && stored.riderAssignment.status === filter['riderAssignment.status']
+        && !(filter.status && filter.status.$nin.includes(stored.status));
+
+    beforeEach(() => {
+        rider = id();
+        stored = {
+            _id: id(),
+            status: 'ready_for_pickup',
+            assignedRider: rider,
+            riderAssignment: { status: 'offered' },
+            declinedRiders: []
+        };
+
+        mock.method(Order, 'findById', () => {
+            const order = Order.hydrate(JSON.parse(JSON.stringify(stored)));
+            return Object.assign(Promise.resolve(order), { populate() { return this; } });
+        });
+        mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+            if (!matches(filter)) {
+                return null;
+            }
+            for (const [path, value] of Object.entries(update.$set)) {
+                const [head, tail] = path.split('.');
+                if (tail) {
+                    stored[head][tail] = value;
+                } else {
+                    stored[head] = value;
+                }
+            }
+            if (update.$addToSet) {
+                stored.declinedRiders.push(update.$addToSet.declinedRiders);
+            }
+            return stored;
+        });
+        mock.method(dispatcher, 'cancelOffer', () => {});
+        mock.method(dispatcher, 'dispatchOrder', async () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('accepts an offer that is still open', async () => {
+        const { error } = await call(acceptJob, { params: { id: stored._id }, user: { id: rider.toString() } });
+
+        assert.equal(error, undefined);
+        assert.equal(stored.riderAssignment.status, 'accepted');
+        assert.equal(dispatcher.cancelOffer.mock.callCount(), 1);
+    });
+
+    it('does not accept an offer that expired and moved on after it was loaded', async () => {
+        const next = id();
+        const findById = Order.findById;
+        mock.method(Order, 'findById', (...args) => {
+            const loaded = findById(...args);
+            // The dispatcher expires the offer and offers the job to someone else
+            stored.assignedRider = next;
+            stored.riderAssignment = { status: 'offered' };
+            return loaded;
+        });
+
+        const { error } = await call(acceptJob, { params: { id: stored._id }, user: { id: rider.toString() } });
+
+        assert.equal(error.statusCode, 409);
+        assert.equal(stored.assignedRider, next);
+        assert.equal(stored.riderAssignment.status, 'offered');
+        assert.equal(dispatcher.cancelOffer.mock.callCount(), 0);
+    });
+
+    it('does not decline an offer the rider already accepted elsewhere', async () => {
+        const findById = Order.findById;
+        mock.method(Order, 'findById', (...args) => {
+            const loaded = findById(...args);
+            stored.riderAssignment = { status: 'accepted' };
+            return loaded;
+        });
+
+        const { error } = await call(declineJob, { params: { id: stored._id }, user: { id: rider.toString() } });
+
+        assert.equal(error.statusCode, 409);
+        assert.equal(String(stored.assignedRider), rider.toString());
+        assert.equal(dispatcher.dispatchOrder.mock.callCount(), 0);
+    });
+
+    it('gives a declined offer back to dispatch', async () => {
+        const { body } = await call(declineJob, { params: { id: stored._id }, user: { id: rider.toString() } });
+
+        assert.equal(body.message, 'Job declined');
+        assert.equal(stored.assignedRider, null);
+        assert.equal(stored.riderAssignment.status, 'declined');
+        assert.deepEqual(stored.declinedRiders.map(String), [rider.toString()]);
+        assert.equal(dispatcher.dispatchOrder.mock.callCount(), 1);
+    });
+});
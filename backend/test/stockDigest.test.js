@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Product = require('../models/Product');
+const Shop = require('../models/Shop');
+const Notification = require('../models/Notification');
+const { createStockDigest } = require('../utils/stockAlerts');
+const { createClock } = require('./helpers/clock');
+
+// Resolves to `result` whatever is chained on it, like a mongoose query
+const query = (result) => ({
+    select: () => query(result),
+    sort: () => query(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+describe('stock digest', () => {
+    let digests;
+    let previousHour;
+
+    beforeEach(() => {
+        digests = [];
+        previousHour = process.env.LOW_STOCK_DIGEST_HOUR;
+
+        mock.method(Product, 'find', () => query([
+            { name: 'Rice', stock: 1, shop: 'shop1' },
+            { name: 'Milk', stock: 0, shop: 'shop1' }
+        ]));
+        mock.method(Shop, 'find', () => query([{ _id: 'shop1', name: 'Corner Store', owner: 'owner1' }]));
+        mock.method(Notification, 'createLowStockDigest', async (owner, shop, products) => {
+            digests.push({ owner, products: products.map(product => product.name) });
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        if (previousHour === undefined) {
+            delete process.env.LOW_STOCK_DIGEST_HOUR;
+        } else {
+            process.env.LOW_STOCK_DIGEST_HOUR = previousHour;
+        }
+    });
+
+    it('sends at LOW_STOCK_DIGEST_HOUR even when it is set after loading', async () => {
+        const clock = createClock(new Date(2026, 0, 5, 7, 30).getTime());
+        process.env.LOW_STOCK_DIGEST_HOUR = '6';
+        const digest = createStockDigest({ clock });
+
+        digest.start();
+
+        assert.equal(clock.nextAt(), new Date(2026, 0, 6, 6).getTime());
+
+        await clock.advance(clock.nextAt() - clock.now());
+
+        assert.deepEqual(digests, [{ owner: 'owner1', products: ['Rice', 'Milk'] }]);
+        assert.equal(clock.nextAt(), new Date(2026, 0, 7, 6).getTime());
+        digest.stop();
+        assert.equal(clock.pending(), 0);
+    });
+
+    it('falls back to 8 o\'clock without a valid hour', () => {
+        const clock = createClock(new Date(2026, 0, 5, 7, 30).getTime());
+        process.env.LOW_STOCK_DIGEST_HOUR = 'soon';
+        const digest = createStockDigest({ clock });
+
+        digest.start();
+
+        assert.equal(clock.nextAt(), new Date(2026, 0, 5, 8).getTime());
+        digest.stop();
+    });
+});
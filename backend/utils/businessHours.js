@@ -0,0 +1,183 @@
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// How far ahead nextOpensAt looks before giving up
+const LOOKAHEAD_DAYS = 14;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const shopTimezone = (shop) => shop.timezone || process.env.TZ || 'Asia/Kolkata';
+
+const isValidTimezone = (timeZone) => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// "09:30" -> minutes after midnight
+const parseTime = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// Wall-clock date and time of `date` in `timeZone`
+const zonedParts = (date, timeZone) => Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date)
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, Number(part.value)])
+);
+
+// How far `timeZone` is ahead of UTC at `date`, in ms
+const zoneOffset = (date, timeZone) => {
+    const p = zonedParts(date, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant the clock in `timeZone` shows `minutes` past midnight on the
+// given local date. `minutes` may run past 24 hours into the next day.
+const zonedTime = (year, month, day, minutes, timeZone) => {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const offset = zoneOffset(new Date(wallClock), timeZone);
+    // Check again with the offset at the result, which differs across a DST change
+    const corrected = zoneOffset(new Date(wallClock - offset), timeZone);
+    return new Date(wallClock - corrected);
+};
+
+const dateKey = ({ year, month, day }) =>
+    `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// Opening hours for one local date: a special-hours entry for that date
+// (holiday or changed hours) wins over the weekly schedule
+const hoursFor = (shop, date) => {
+    const special = (shop.specialHours || []).find(entry => entry.date === dateKey(date));
+
+    if (special) {
+        return special;
+    }
+
+    return shop.businessHours && shop.businessHours[DAY_NAMES[date.weekday]];
+};
+
+// Remove the temporary closure, if any, from an interval
+const subtractClosure = (interval, closure) => {
+    if (!closure || !closure.from || !closure.until ||
+        closure.until <= interval.start || closure.from >= interval.end) {
+        return [interval];
+    }
+
+    return [
+        { start: interval.start, end: closure.from },
+        { start: closure.until, end: interval.end }
+    ].filter(piece => piece.end > piece.start);
+};
+
+// Open intervals of the shop that overlap [from, to], in time order
+const getOpenIntervals = (shop, from, to) => {
+    const timeZone = shopTimezone(shop);
+    const first = zonedParts(from, timeZone);
+    const days = Math.ceil((to - from) / DAY) + 1;
+    const intervals = [];
+
+    // Start a day early for hours that run past midnight into `from`
+    for (let offset = -1; offset <= days; offset++) {
+        const calendar = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+        const date = {
+            year: calendar.getUTCFullYear(),
+            month: calendar.getUTCMonth() + 1,
+            day: calendar.getUTCDate(),
+            weekday: calendar.getUTCDay()
+        };
+        const hours = hoursFor(shop, date);
+
+        if (!hours || !hours.isOpen) {
+            continue;
+        }
+
+        // A day marked open without times (as on shops created before hours
+        // were enforced) is open from midnight to midnight
+        const open = parseTime(hours.open) ?? 0;
+        let close = parseTime(hours.close) ?? 24 * 60;
+
+        // Hours like 18:00-02:00 run past midnight
+        if (close <= open) {
+            close += 24 * 60;
+        }
+
+        const interval = {
+            start: zonedTime(date.year, date.month, date.day, open, timeZone),
+            end: zonedTime(date.year, date.month, date.day, close, timeZone)
+        };
+
+        intervals.push(...subtractClosure(interval, shop.temporaryClosure));
+    }
+
+    // Join days that run into each other, e.g. open all day or past midnight
+    const merged = intervals.reduce((joined, interval) => {
+        const last = joined[joined.length - 1];
+
+        if (last && interval.start <= last.end) {
+            last.end = new Date(Math.max(last.end, interval.end));
+        } else {
+            joined.push({ ...interval });
+        }
+
+        return joined;
+    }, []);
+
+    return merged.filter(interval => interval.end > from && interval.start < to);
+};
+
+// Whether the shop is open at `now`, when it closes if so, and when it next
+// opens if not (null when it stays closed for the look-ahead period)
+const getOpenStatus = (shop, now = new Date()) => {
+    const intervals = getOpenIntervals(shop, now, new Date(now.getTime() + LOOKAHEAD_DAYS * DAY));
+    const current = intervals.find(interval => interval.start <= now && now < interval.end);
+    const next = intervals.find(interval => interval.start > now);
+
+    return {
+        isOpenNow: Boolean(current),
+        closesAt: current ? current.end : null,
+        nextOpensAt: current ? null : (next ? next.start : null)
+    };
+};
+
+// "Tue, 9:00 am" in the shop's time zone, for messages
+const formatLocalTime = (date, shop) => date.toLocaleString('en-IN', {
+    timeZone: shopTimezone(shop),
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+});
+
+module.exports = {
+    shopTimezone,
+    isValidTimezone,
+    parseTime,
+    zonedParts,
+    zonedTime,
+    getOpenIntervals,
+    getOpenStatus,
+    formatLocalTime
+};
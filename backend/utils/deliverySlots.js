@@ -0,0 +1,126 @@
+const DeliverySlot = require('../models/DeliverySlot');
+const ErrorResponse = require('./errorResponse');
+const { getOpenIntervals } = require('./businessHours');
+
+const MINUTE = 60 * 1000;
+
+// Every slot of the shop from now until `daysAhead` days ahead, cut from
+// its open hours (see utils/businessHours.js). Slots starting within
+// `leadMinutes` are left out.
+const generateSlots = (shop, now = new Date()) => {
+    const { slotMinutes, leadMinutes, daysAhead } = shop.deliverySlots;
+    const length = slotMinutes * MINUTE;
+    const earliestStart = now.getTime() + leadMinutes * MINUTE;
+    const until = new Date(now.getTime() + (daysAhead + 1) * 24 * 60 * MINUTE);
+    const slots = [];
+
+    for (const interval of getOpenIntervals(shop, now, until)) {
+        for (let start = interval.start.getTime(); start + length <= interval.end.getTime(); start += length) {
+            if (start >= earliestStart) {
+                slots.push({ start: new Date(start), end: new Date(start + length) });
+            }
+        }
+    }
+
+    return slots;
+};
+
+// Slots that can still be booked, with how many orders each has room for
+const getAvailableSlots = async (shop, now = new Date()) => {
+    if (!shop.deliverySlots || !shop.deliverySlots.enabled) {
+        return [];
+    }
+
+    const slots = generateSlots(shop, now);
+    const bookings = await DeliverySlot.find({
+        shop: shop._id,
+        start: { $in: slots.map(slot => slot.start) }
+    });
+
+    return slots
+        .map(slot => {
+            const booking = bookings.find(b => b.start.getTime() === slot.start.getTime());
+            return {
+                ...slot,
+                remaining: shop.deliverySlots.capacity - (booking ? booking.booked : 0)
+            };
+        })
+        .filter(slot => slot.remaining > 0);
+};
+
+// Take one place in the slot starting at `start`. The capacity check is part
+// of the update, so concurrent checkouts cannot overbook a slot.
+const bookSlot = async (shop, start, now = new Date()) => {
+    if (!shop.deliverySlots || !shop.deliverySlots.enabled) {
+        throw new ErrorResponse(`${shop.name} does not offer delivery slots`, 400);
+    }
+
+    const startTime = new Date(start).getTime();
+    const slot = generateSlots(shop, now).find(s => s.start.getTime() === startTime);
+
+    if (!slot) {
+        throw new ErrorResponse(`The selected slot is not available at ${shop.name}`, 400);
+    }
+
+    try {
+        await DeliverySlot.updateOne(
+            { shop: shop._id, start: slot.start },
+            { $setOnInsert: { end: slot.end, booked: 0 } },
+            { upsert: true }
+        );
+    } catch (err) {
+        // Another checkout created the counter first
+        if (err.code !== 11000) {
+            throw err;
+        }
+    }
+
+    const booked = await DeliverySlot.findOneAndUpdate(
+        { shop: shop._id, start: slot.start, booked: { $lt: shop.deliverySlots.capacity } },
+        { $inc: { booked: 1 } },
+        { new: true }
+    );
+
+    if (!booked) {
+        throw new ErrorResponse(`The selected slot at ${shop.name} is full. Please choose another`, 409);
+    }
+
+    return slot;
+};
+
+// Book the earliest slot that still has room, for orders placed while the
+// shop is closed
+const bookEarliestSlot = async (shop, now = new Date()) => {
+    for (const slot of await getAvailableSlots(shop, now)) {
+        try {
+            return await bookSlot(shop, slot.start, now);
+        } catch (err) {
+            // Filled up since it was listed; try the next one
+            if (err.statusCode !== 409) {
+                throw err;
+            }
+        }
+    }
+
+    throw new ErrorResponse(`${shop.name} is closed and has no delivery slots left`, 409);
+};
+
+// Give back a place taken by bookSlot
+const releaseSlot = async (shopId, slot) => {
+    if (!slot || !slot.start) {
+        return;
+    }
+
+    await DeliverySlot.updateOne(
+        { shop: shopId, start: slot.start, booked: { $gt: 0 } },
+        { $inc: { booked: -1 } }
+    );
+};
+
+module.exports = {
+    generateSlots,
+    getAvailableSlots,
+    bookSlot,
+    bookEarliestSlot,
+    releaseSlot
+};
@@ -0,0 +1,227 @@
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+
+// Real timers. Tests can pass an in-memory clock with the same shape.
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle)
+};
+
+// Offers ready_for_pickup orders to the nearest online rider, moving on to
+// the next-nearest one whenever an offer is declined or times out.
+const createDispatcher = ({
+    clock = systemClock,
+    offerTimeoutMs = (parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 60) * 1000,
+    maxRadiusKm = parseFloat(process.env.DISPATCH_MAX_RADIUS_KM) || 10,
+    maxAttempts = parseInt(process.env.DISPATCH_MAX_ATTEMPTS, 10) || 5
+} = {}) => {
+    // orderId -> pending timer handle
+    const timers = new Map();
+
+    const clearTimer = (orderId) => {
+        const key = orderId.toString();
+        if (timers.has(key)) {
+            clock.clearTimeout(timers.get(key));
+            timers.delete(key);
+        }
+    };
+
+    const schedule = (orderId, ms, fn) => {
+        clearTimer(orderId);
+        const key = orderId.toString();
+        const handle = clock.setTimeout(() => {
+            timers.delete(key);
+            fn().catch(err => console.error(`Dispatch error for order ${key}:`, err));
+        }, ms);
+        timers.set(key, handle);
+    };
+
+    // Riders already holding an offer or carrying another order
+    const findBusyRiders = () => Order.distinct('assignedRider', {
+        assignedRider: { $ne: null },
+        $or: [
+            { 'riderAssignment.status': 'offered' },
+            { status: 'out_for_delivery' }
+        ]
+    });
+
+    const findNearestRider = async (coordinates, excludedRiders) => {
+        const [rider] = await User.aggregate([
+            {
+                $geoNear: {
+                    near: {
+                        type: 'Point',
+                        coordinates: [coordinates.lng, coordinates.lat]
+                    },
+                    key: 'riderProfile.lastLocation',
+                    distanceField: 'distance',
+                    maxDistance: maxRadiusKm * 1000, // Convert km to meters
+                    spherical: true,
+                    query: {
+                        role: 'delivery_partner',
+                        isActive: true,
+                        'riderProfile.isOnline': true,
+                        _id: { $nin: excludedRiders }
+                    }
+                }
+            },
+            { $limit: 1 },
+            { $project: { name: 1, distance: 1 } }
+        ]);
+
+        return rider || null;
+    };
+
+    // Notify every admin once per order
+    const escalate = async (order, reason) => {
+        const result = await Order.updateOne(
+            { _id: order._id, 'dispatch.escalatedAt': null },
+            { $set: { 'dispatch.escalatedAt': new Date(clock.now()) } }
+        );
+
+        if (result.modifiedCount === 0) {
+            return;
+        }
+
+        const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+
+        await Promise.all(admins.map(admin =>
+            Notification.createDispatchEscalation(admin._id, order._id, order.orderNumber, reason)
+        ));
+    };
+
+    const expireOffer = async (orderId, riderId) => {
+        const result = await Order.updateOne(
+            { _id: orderId, assignedRider: riderId, 'riderAssignment.status': 'offered' },
+            {
+                $set: {
+                    assignedRider: null,
+                    'riderAssignment.status': 'expired',
+                    'riderAssignment.respondedAt': new Date(clock.now())
+                },
+                $addToSet: { declinedRiders: riderId }
+            }
+        );
+
+        if (result.modifiedCount > 0) {
+            await dispatchOrder(orderId);
+        }
+    };
+
+    const dispatchOrder = async (orderId) => {
+        const order = await Order.findById(orderId);
+
+        if (!order || order.deliveryType !== 'home_delivery' || order.status !== 'ready_for_pickup') {
+            return null;
+        }
+
+        // Someone is already holding or has accepted the job
+        if (order.assignedRider) {
+            return order;
+        }
+
+        if (order.dispatch.attempts >= maxAttempts) {
+            await escalate(order, `No rider accepted after ${order.dispatch.attempts} offers`);
+            return order;
+        }
+
+        const shop = await Shop.findById(order.shop);
+        const coordinates = shop && shop.address.coordinates;
+
+        if (!coordinates || coordinates.lat == null || coordinates.lng == null) {
+            await escalate(order, 'The shop has no location set');
+            return order;
+        }
+
+        const busyRiders = await findBusyRiders();
+        const rider = await findNearestRider(coordinates, [...order.declinedRiders, ...busyRiders]);
+
+        if (!rider) {
+            await escalate(order, `No available rider within ${maxRadiusKm} km`);
+            // Riders may come online later, so keep looking
+            schedule(order._id, offerTimeoutMs, () => dispatchOrder(order._id));
+            return order;
+        }
+
+        const offeredAt = new Date(clock.now());
+
+        // Conditional on nobody else having offered the job in the meantime
+        const result = await Order.updateOne(
+            {
+                _id: order._id,
+                status: 'ready_for_pickup',
+                assignedRider: null,
+                'dispatch.attempts': order.dispatch.attempts
+            },
+            {
+                $set: {
+                    assignedRider: rider._id,
+                    riderAssignment: { status: 'offered', offeredAt },
+                    'dispatch.lastAttemptAt': offeredAt
+                },
+                $inc: { 'dispatch.attempts': 1 }
+            }
+        );
+
+        if (result.modifiedCount === 0) {
+            return Order.findById(order._id);
+        }
+
+        await Notification.createRiderOfferNotification(rider._id, order._id, order.orderNumber);
+
+        schedule(order._id, offerTimeoutMs, () => expireOffer(order._id, rider._id));
+
+        return Order.findById(order._id);
+    };
+
+    // Stop waiting on an offer, e.g. once the rider has accepted it
+    const cancelOffer = (orderId) => clearTimer(orderId);
+
+    // Pick up where we left off after a restart
+    const resume = async () => {
+        const pendingOffers = await Order.find({
+            status: 'ready_for_pickup',
+            'riderAssignment.status': 'offered',
+            'riderAssignment.assignedBy': null
+        }).select('assignedRider riderAssignment');
+
+        pendingOffers.forEach(order => {
+            const elapsed = clock.now() - order.riderAssignment.offeredAt.getTime();
+            schedule(order._id, Math.max(offerTimeoutMs - elapsed, 0), () =>
+                expireOffer(order._id, order.assignedRider)
+            );
+        });
+
+        const unassigned = await Order.find({
+            status: 'ready_for_pickup',
+            deliveryType: 'home_delivery',
+            assignedRider: null
+        }).select('_id');
+
+        for (const order of unassigned) {
+            await dispatchOrder(order._id);
+        }
+    };
+
+    const stop = () => {
+        timers.forEach(handle => clock.clearTimeout(handle));
+        timers.clear();
+    };
+
+    return {
+        dispatchOrder,
+        cancelOffer,
+        resume,
+        stop
+    };
+};
+
+const dispatcher = createDispatcher();
+
+module.exports = {
+    createDispatcher,
+    dispatcher
+};
@@ -0,0 +1,63 @@
+// Typical town speeds in km/h, including traffic and stops
+const AVERAGE_SPEED_KMPH = {
+    bicycle: 12,
+    scooter: 22,
+    motorcycle: 25,
+    car: 20
+};
+const DEFAULT_SPEED_KMPH = 20;
+
+// Time spent collecting the order at the shop
+const PICKUP_MINUTES = 3;
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const hasCoordinates = (point) =>
+    point != null && typeof point.lat === 'number' && typeof point.lng === 'number';
+
+// Great-circle distance between two { lat, lng } points
+const haversineKm = (from, to) => {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Estimate when the rider reaches the customer. Before pickup the route goes
+// through the shop first. Returns null when a leg has no coordinates.
+const estimateArrival = ({ riderPosition, shopPosition, destination, pickedUp, vehicleType, now = Date.now() }) => {
+    if (!hasCoordinates(riderPosition) || !hasCoordinates(destination)) {
+        return null;
+    }
+
+    let distanceKm;
+    let extraMinutes = 0;
+
+    if (pickedUp) {
+        distanceKm = haversineKm(riderPosition, destination);
+    } else {
+        if (!hasCoordinates(shopPosition)) {
+            return null;
+        }
+        distanceKm = haversineKm(riderPosition, shopPosition) + haversineKm(shopPosition, destination);
+        extraMinutes = PICKUP_MINUTES;
+    }
+
+    const speed = AVERAGE_SPEED_KMPH[vehicleType] || DEFAULT_SPEED_KMPH;
+    const minutes = Math.ceil((distanceKm / speed) * 60 + extraMinutes);
+
+    return {
+        distanceKm: Math.round(distanceKm * 100) / 100,
+        minutes,
+        eta: new Date(now + minutes * 60 * 1000)
+    };
+};
+
+module.exports = {
+    haversineKm,
+    estimateArrival
+};
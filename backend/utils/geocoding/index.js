@@ -0,0 +1,40 @@
+const createPincodeGeocoder = require('./pincodeGeocoder');
+
+// Every geocoder has a `name` and implements:
+//   geocode({ street, landmark, city, state, pincode }) -> { lat, lng } or null
+// null means the address could not be placed.
+const geocoders = {
+    pincode: createPincodeGeocoder
+};
+
+let geocoder;
+
+// The configured geocoder, created on first use
+const getGeocoder = () => {
+    if (!geocoder) {
+        const name = process.env.GEOCODER || 'pincode';
+        const create = geocoders[name];
+
+        if (!create) {
+            throw new Error(`Unknown geocoder: ${name}`);
+        }
+
+        geocoder = create({ centroidsFile: process.env.PINCODE_CENTROIDS_FILE });
+    }
+
+    return geocoder;
+};
+
+// Coordinates for an address, with the geocoder that found them, or null
+// when it cannot be placed
+const geocodeAddress = async (address) => {
+    const { street, landmark, city, state, pincode } = address;
+    const coordinates = await getGeocoder().geocode({ street, landmark, city, state, pincode });
+
+    return coordinates ? { coordinates, geocodedBy: getGeocoder().name } : null;
+};
+
+module.exports = {
+    getGeocoder,
+    geocodeAddress
+};
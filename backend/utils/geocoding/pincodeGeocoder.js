@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CENTROIDS_FILE = path.join(__dirname, 'pincodeCentroids.json');
+
+// Offline geocoder: places an address at the centroid of its pincode. The
+// bundled table only covers a few city centres; point `centroidsFile` at a
+// full { "<pincode>": [lat, lng] } table for real coverage.
+const createPincodeGeocoder = ({ centroidsFile } = {}) => {
+    let centroids;
+
+    const geocode = async ({ pincode } = {}) => {
+        if (!centroids) {
+            centroids = JSON.parse(fs.readFileSync(centroidsFile || DEFAULT_CENTROIDS_FILE, 'utf8'));
+        }
+
+        const point = centroids[String(pincode || '').trim()];
+
+        return point ? { lat: point[0], lng: point[1] } : null;
+    };
+
+    return {
+        name: 'pincode',
+        geocode
+    };
+};
+
+module.exports = createPincodeGeocoder;
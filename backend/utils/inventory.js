@@ -0,0 +1,231 @@
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const ErrorResponse = require('./errorResponse');
+const { checkStockAlert, notifyBackInStock } = require('./stockAlerts');
+
+// Movement types that count towards Product.totalSold
+const SALE_TYPES = ['sale', 'cancellation_restock'];
+
+// Attempts setStock makes when stock keeps changing under it
+const SET_STOCK_ATTEMPTS = 3;
+
+// Combine lines for the same product so each is checked against its full quantity
+const mergeLines = (items) => {
+    const lines = new Map();
+
+    for (const item of items) {
+        const quantity = Number(item.quantity);
+
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new ErrorResponse('Quantity must be a whole number of at least 1', 400);
+        }
+
+        const key = item.product.toString();
+        lines.set(key, (lines.get(key) || 0) + quantity);
+    }
+
+    return [...lines].map(([product, quantity]) => ({ product, quantity }));
+};
+
+// Single-document update, so it is atomic even without a transaction.
+// Keeps isAvailable in line with stock like the Product pre-save hook does.
+// Only sales and their restocks move totalSold.
+const adjustStock = (productId, delta, conditions = {}, isSale = false) => Product.findOneAndUpdate(
+    { _id: productId, ...conditions },
+    [
+        {
+            $set: {
+                stock: { $add: ['$stock', delta] },
+                ...(isSale && {
+                    totalSold: { $max: [{ $subtract: [{ $ifNull: ['$totalSold', 0] }, delta] }, 0] }
+                })
+            }
+        },
+        { $set: { isAvailable: { $gt: ['$stock', 0] } } }
+    ],
+    { new: true }
+);
+
+// Record why a product's stock changed. `context` is { type, actor, order,
+// note, reconciliation }; actor is a user or { role: 'system' }, as for
+// order.updateStatus. `product` is the document after the change.
+const recordMovement = (product, quantity, context) => InventoryMovement.create({
+    product: product._id,
+    shop: product.shop,
+    type: context.type,
+    quantity,
+    balance: product.stock,
+    actor: (context.actor && context.actor._id) || null,
+    actorRole: context.actor ? context.actor.role : 'system',
+    order: context.order,
+    note: context.note,
+    reconciliation: context.reconciliation
+});
+
+// Alert the shop owner and waiting customers about a stock change of
+// `delta` that left `product` as it is
+const alertStockChange = async (product, delta) => {
+    await checkStockAlert(product);
+
+    // Out of stock until this change: tell the customers waiting for it.
+    // There may be many, so the request does not wait for them.
+    if (product.isActive && product.stock > 0 && product.stock - delta <= 0) {
+        notifyBackInStock(product)
+            .catch(err => console.error(`Back in stock alert error for product ${product._id}:`, err));
+    }
+};
+
+// Change stock by `delta` and record the movement. Resolves to
+// { product, movement }, or null when `conditions` did not match.
+// Without `alerts` nobody is told about the change.
+const moveStock = async (productId, delta, context, conditions = {}, { alerts = true } = {}) => {
+    const product = await adjustStock(productId, delta, conditions, SALE_TYPES.includes(context.type));
+
+    if (!product) {
+        return null;
+    }
+
+    const movement = await recordMovement(product, delta, context);
+
+    if (alerts) {
+        await alertStockChange(product, delta);
+    }
+
+    return { product, movement };
+};
+
+// Put stock back for previously reserved lines. A checkout that could not be
+// completed passes `alerts: false`, as its stock never really ran out.
+const releaseStock = async (items, context = {}, { alerts = true } = {}) => {
+    for (const line of mergeLines(items)) {
+        await moveStock(line.product, line.quantity, { type: 'cancellation_restock', ...context }, {}, { alerts });
+    }
+};
+
+// Send the stock alerts held back for lines taken by reserveStock
+const alertReservedStock = async (lines) => {
+    for (const line of lines) {
+        await alertStockChange(line.product, -line.quantity);
+    }
+};
+
+// Take stock for every line or for none of them. Each decrement only applies
+// while enough stock is left, so concurrent checkouts cannot oversell; if any
+// line fails, the lines already taken are put back before throwing.
+// Resolves to [{ product, quantity, movement }] with the updated product
+// documents and the sale movements (see attachOrder).
+// Stock alerts wait until every line is taken and are never sent for a
+// failed reservation. Callers that can still fail afterwards pass
+// `alerts: false` and call alertReservedStock once they are done.
+const reserveStock = async (items, context = {}, { alerts = true } = {}) => {
+    const lines = mergeLines(items);
+    const reserved = [];
+
+    for (const line of lines) {
+        const result = await moveStock(line.product, -line.quantity, { ...context, type: 'sale' }, {
+            isActive: true,
+            stock: { $gte: line.quantity }
+        }, { alerts: false });
+
+        if (!result) {
+            await releaseStock(
+                reserved.map(taken => ({ product: taken.product._id, quantity: taken.quantity })),
+                { ...context, note: 'Checkout could not be completed' },
+                { alerts: false }
+            );
+
+            const existing = await Product.findById(line.product).select('name isActive');
+
+            if (!existing) {
+                throw new ErrorResponse(`Product ${line.product} not found`, 404);
+            }
+
+            if (!existing.isActive) {
+                throw new ErrorResponse(`Product ${existing.name} is not available`, 400);
+            }
+
+            throw new ErrorResponse(`Insufficient stock for ${existing.name}`, 400);
+        }
+
+        reserved.push({ product: result.product, quantity: line.quantity, movement: result.movement });
+    }
+
+    if (alerts) {
+        await alertReservedStock(reserved);
+    }
+
+    return reserved;
+};
+
+// Point the sale movements of reserved lines at the order they became
+const attachOrder = (lines, orderId) => InventoryMovement.updateMany(
+    { _id: { $in: lines.map(line => line.movement._id) } },
+    { order: orderId }
+);
+
+// Manual change by the shop: receipts and returns add stock, damage takes
+// it away and adjustments go either way. Stock never goes below zero.
+const changeStock = async (productId, delta, context) => {
+    const result = await moveStock(productId, delta, context, delta < 0 ? { stock: { $gte: -delta } } : {});
+
+    if (!result) {
+        if (!(await Product.exists({ _id: productId }))) {
+            throw new ErrorResponse('Product not found', 404);
+        }
+        throw new ErrorResponse('There is not enough stock for this change', 400);
+    }
+
+    return result;
+};
+
+// Throws unless `stock` can be set as a product's stock count
+const checkStockCount = (stock) => {
+    if (!Number.isInteger(stock) || stock < 0) {
+        throw new ErrorResponse('Stock must be a whole number of at least 0', 400);
+    }
+};
+
+// Set stock to an absolute count as an adjustment. The update only applies
+// if stock has not moved since it was read, and is retried if it has. With
+// `reconcile` the count is recorded even when it matches.
+const setStock = async (productId, stock, context, { reconcile = false } = {}) => {
+    checkStockCount(stock);
+
+    for (let attempt = 0; attempt < SET_STOCK_ATTEMPTS; attempt++) {
+        const current = await Product.findById(productId);
+
+        if (!current) {
+            throw new ErrorResponse('Product not found', 404);
+        }
+
+        const delta = stock - current.stock;
+
+        if (delta === 0 && !reconcile) {
+            return { product: current, movement: null };
+        }
+
+        const result = await moveStock(productId, delta, {
+            ...context,
+            type: 'adjustment',
+            reconciliation: reconcile ? { counted: stock, expected: current.stock } : undefined
+        }, { stock: current.stock });
+
+        if (result) {
+            return result;
+        }
+    }
+
+    throw new ErrorResponse('Stock changed while it was being updated. Please try again', 409);
+};
+
+module.exports = {
+    mergeLines,
+    recordMovement,
+    reserveStock,
+    releaseStock,
+    alertReservedStock,
+    attachOrder,
+    changeStock,
+    checkStockCount,
+    setStock
+};
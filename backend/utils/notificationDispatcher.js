@@ -0,0 +1,231 @@
+const Notification = require('../models/Notification');
+const { CHANNELS, getChannelTransports } = require('./notifications');
+
+// Real timers. Tests can pass an in-memory clock with the same shape.
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle)
+};
+
+// What each channel sends, and where to. A missing `to` skips the channel.
+const renderers = {
+    email: (notification, user) => ({
+        to: user.email,
+        subject: notification.title,
+        text: notification.message
+    }),
+    sms: (notification, user) => ({
+        to: user.phone,
+        text: `${notification.title}: ${notification.message}`
+    }),
+    push: (notification, user) => ({
+        to: user._id.toString(),
+        subject: notification.title,
+        text: notification.message,
+        data: notification.data
+    })
+};
+
+// NOTIFICATION_* settings, read when they are used rather than when this
+// module is loaded, so values from .env are always picked up
+const settingsFromEnv = () => ({
+    pollIntervalMs: (parseInt(process.env.NOTIFICATION_POLL_SECONDS, 10) || 15) * 1000,
+    retryBaseMs: (parseInt(process.env.NOTIFICATION_RETRY_SECONDS, 10) || 30) * 1000,
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5
+});
+
+// Sends notifications that are due over the channels their deliveryMethod
+// asks for. A channel that fails is retried with exponential backoff until
+// maxAttempts; once no channel is left pending the notification is marked
+// as sent. Options left out come from the environment.
+//
+// Each notification is claimed before it is sent by pushing its
+// nextAttemptAt `claimTimeoutMs` ahead in one conditional update, so other
+// server instances and overlapping polls skip it. If this instance dies
+// while sending, the claim runs out and the notification is sent again.
+const createNotificationDispatcher = ({
+    clock = systemClock,
+    transports = null,
+    pollIntervalMs,
+    retryBaseMs,
+    maxAttempts,
+    batchSize = 50,
+    claimTimeoutMs = 5 * 60 * 1000
+} = {}) => {
+    let timer = null;
+    let running = false;
+
+    const getTransports = () => transports || getChannelTransports();
+
+    const getSettings = () => {
+        const defaults = settingsFromEnv();
+
+        return {
+            pollIntervalMs: pollIntervalMs ?? defaults.pollIntervalMs,
+            retryBaseMs: retryBaseMs ?? defaults.retryBaseMs,
+            maxAttempts: maxAttempts ?? defaults.maxAttempts
+        };
+    };
+
+    const dueQuery = (now) => ({
+        isSent: false,
+        $and: [
+            { $or: [{ scheduledFor: null }, { scheduledFor: { $lte: now } }] },
+            { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] },
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+        ]
+    });
+
+    const sendOverChannel = async (notification, channel, user, now, settings) => {
+        if (!notification.deliveryStatus[channel]) {
+            notification.deliveryStatus[channel] = {};
+        }
+
+        const state = notification.deliveryStatus[channel];
+
+        if (state.status !== 'pending' || (state.nextAttemptAt && state.nextAttemptAt > now)) {
+            return;
+        }
+
+        const transport = getTransports()[channel];
+        const message = user ? { channel, ...renderers[channel](notification, user) } : null;
+
+        if (!transport || !message || !message.to) {
+            state.status = 'skipped';
+            state.error = !transport
+                ? 'Channel is turned off'
+                : !message ? 'User no longer exists' : `User has no ${channel} address`;
+            return;
+        }
+
+        state.attempts += 1;
+        state.lastAttemptAt = now;
+
+        try {
+            const result = await transport.send(message) || {};
+
+            state.status = result.skipped ? 'skipped' : 'sent';
+            state.sentAt = result.skipped ? undefined : now;
+            state.nextAttemptAt = undefined;
+            state.error = result.skipped || undefined;
+        } catch (err) {
+            state.error = err.message;
+
+            if (state.attempts >= settings.maxAttempts) {
+                state.status = 'failed';
+                state.nextAttemptAt = undefined;
+            } else {
+                state.nextAttemptAt = new Date(now.getTime() + settings.retryBaseMs * 2 ** (state.attempts - 1));
+            }
+        }
+    };
+
+    const deliver = async (notification, now, settings) => {
+        const channels = CHANNELS.filter(channel => notification.deliveryMethod[channel]);
+
+        for (const channel of channels) {
+            await sendOverChannel(notification, channel, notification.user, now, settings);
+        }
+
+        const retries = channels
+            .map(channel => notification.deliveryStatus[channel])
+            .filter(state => state.status === 'pending')
+            .map(state => state.nextAttemptAt.getTime());
+
+        if (retries.length > 0) {
+            notification.nextAttemptAt = new Date(Math.min(...retries));
+            await notification.save();
+        } else {
+            notification.nextAttemptAt = undefined;
+            await notification.markAsSent();
+        }
+    };
+
+    // Send one batch of due notifications. Resolves to how many were handled.
+    // A notification that could not be handled at all (say, saving it
+    // failed) is put off like a failed channel, so the next batch does not
+    // pick it straight up again.
+    const dispatchDue = async () => {
+        const now = new Date(clock.now());
+        const settings = getSettings();
+        const due = await Notification.find(dueQuery(now))
+            .select('_id')
+            .sort('createdAt')
+            .limit(batchSize);
+
+        for (const { _id } of due) {
+            const notification = await Notification.findOneAndUpdate(
+                { _id, ...dueQuery(now) },
+                { nextAttemptAt: new Date(now.getTime() + claimTimeoutMs) },
+                { new: true }
+            ).populate('user', 'name email phone');
+
+            // Claimed by another instance since the batch was read
+            if (!notification) {
+                continue;
+            }
+
+            try {
+                await deliver(notification, now, settings);
+            } catch (err) {
+                console.error(`Notification dispatch error for ${_id}:`, err);
+
+                await Notification.updateOne(
+                    { _id },
+                    { nextAttemptAt: new Date(now.getTime() + settings.retryBaseMs) }
+                ).catch(updateErr => console.error(`Could not put off notification ${_id}:`, updateErr));
+            }
+        }
+
+        return due.length;
+    };
+
+    // Poll until stopped; a full batch is followed straight away by the next
+    const poll = async () => {
+        if (running) {
+            return;
+        }
+
+        running = true;
+        let handled = 0;
+
+        try {
+            handled = await dispatchDue();
+        } catch (err) {
+            console.error('Notification dispatch error:', err);
+        } finally {
+            running = false;
+        }
+
+        if (timer !== null) {
+            timer = clock.setTimeout(poll, handled === batchSize ? 0 : getSettings().pollIntervalMs);
+        }
+    };
+
+    const start = () => {
+        if (timer === null) {
+            timer = clock.setTimeout(poll, 0);
+        }
+    };
+
+    const stop = () => {
+        if (timer !== null) {
+            clock.clearTimeout(timer);
+            timer = null;
+        }
+    };
+
+    return {
+        dispatchDue,
+        start,
+        stop
+    };
+};
+
+const notificationDispatcher = createNotificationDispatcher();
+
+module.exports = {
+    createNotificationDispatcher,
+    notificationDispatcher
+};
@@ -0,0 +1,27 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for live notification updates. Notification streams
+// subscribe per user.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channel = (userId) => `user:${userId}`;
+
+const publish = (userId, type, payload) => {
+    emitter.emit(channel(userId), { type, payload });
+};
+
+// Whether anyone is listening, to skip work for users who are offline
+const hasSubscribers = (userId) => emitter.listenerCount(channel(userId)) > 0;
+
+// Returns a function that removes the listener again
+const subscribe = (userId, listener) => {
+    emitter.on(channel(userId), listener);
+    return () => emitter.off(channel(userId), listener);
+};
+
+module.exports = {
+    publish,
+    hasSubscribers,
+    subscribe
+};
@@ -0,0 +1,14 @@
+// Prints each message instead of sending it; the default while developing
+const createConsoleTransport = ({ logger = console } = {}) => {
+    const send = async ({ channel, to, subject, text }) => {
+        logger.log(`[${channel}] to ${to}: ${subject ? `${subject} - ` : ''}${text}`);
+        return { id: null };
+    };
+
+    return {
+        name: 'console',
+        send
+    };
+};
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Appends each message to a file as one line of JSON, so what would have
+// been sent can be inspected (or asserted on) without any provider
+const createFileTransport = ({ file }) => {
+    const send = async (message) => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, `${JSON.stringify({ ...message, sentAt: new Date() })}\n`);
+        return { id: null };
+    };
+
+    return {
+        name: 'file',
+        send
+    };
+};
+
+module.exports = createFileTransport;
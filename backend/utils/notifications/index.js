@@ -0,0 +1,73 @@
+const os = require('os');
+const path = require('path');
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+const createSmtpTransport = require('./smtpTransport');
+const createTwilioTransport = require('./twilioTransport');
+const createWebPushTransport = require('./webPushTransport');
+
+// Every transport has a `name` and implements:
+//   send({ channel, to, subject, text, data }) -> { id, skipped }
+// and throws when the message could not be handed over. `skipped` says why
+// there was nowhere to send it, e.g. a user without push subscriptions.
+// `to` is an email address, a phone number or a user id for the email, sms
+// and push channels.
+const transports = {
+    console: () => createConsoleTransport(),
+    file: () => createFileTransport({
+        file: process.env.NOTIFICATION_OUTBOX_FILE || path.join(os.tmpdir(), 'notifications-outbox.log')
+    }),
+    smtp: () => createSmtpTransport(),
+    twilio: () => createTwilioTransport({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_FROM_NUMBER,
+        countryCode: process.env.SMS_COUNTRY_CODE || undefined
+    }),
+    webpush: () => createWebPushTransport({
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+        subject: process.env.VAPID_SUBJECT
+    })
+};
+
+// Transports each channel can use; 'none' turns the channel off
+const CHANNEL_TRANSPORTS = {
+    email: ['smtp', 'console', 'file', 'none'],
+    sms: ['twilio', 'console', 'file', 'none'],
+    push: ['webpush', 'console', 'file', 'none']
+};
+
+let channels;
+
+// The transport configured for each channel (null when it is off), created
+// on first use. NOTIFICATION_<CHANNEL>_TRANSPORT picks one; console is the
+// default.
+const getChannelTransports = () => {
+    if (!channels) {
+        channels = Object.fromEntries(Object.entries(CHANNEL_TRANSPORTS).map(([channel, allowed]) => {
+            const name = process.env[`NOTIFICATION_${channel.toUpperCase()}_TRANSPORT`] || 'console';
+
+            if (!allowed.includes(name)) {
+                throw new Error(`Unknown ${channel} transport: ${name}`);
+            }
+
+            return [channel, name === 'none' ? null : transports[name]()];
+        }));
+    }
+
+    return channels;
+};
+
+// The VAPID public key browsers subscribe with, or null when push is not
+// sent through web push
+const getPushPublicKey = () => {
+    const push = getChannelTransports().push;
+    return push && push.name === 'webpush' ? push.publicKey : null;
+};
+
+module.exports = {
+    CHANNELS: Object.keys(CHANNEL_TRANSPORTS),
+    getChannelTransports,
+    getPushPublicKey
+};
@@ -0,0 +1,16 @@
+const sendEmail = require('../sendEmail');
+
+// Email through the SMTP server configured for utils/sendEmail
+const createSmtpTransport = () => {
+    const send = async ({ to, subject, text }) => {
+        await sendEmail({ email: to, subject, message: text });
+        return { id: null };
+    };
+
+    return {
+        name: 'smtp',
+        send
+    };
+};
+
+module.exports = createSmtpTransport;
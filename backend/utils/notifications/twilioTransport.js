@@ -0,0 +1,38 @@
+// SMS through Twilio's Messages API. Users' phone numbers are stored
+// without a country code, so `countryCode` is put in front of any that do
+// not start with +.
+const createTwilioTransport = ({ accountSid, authToken, from, countryCode = '+91', fetch = globalThis.fetch }) => {
+    if (!accountSid || !authToken || !from) {
+        throw new Error('The twilio SMS transport needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+    }
+
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`;
+    const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+    const toE164 = (phone) => (phone.startsWith('+') ? phone : `${countryCode}${phone}`);
+
+    const send = async ({ to, text }) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                Authorization: authorization,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({ To: toE164(to), From: from, Body: text }).toString()
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(`Twilio rejected the message (${response.status}): ${body.message || response.statusText}`);
+        }
+
+        return { id: body.sid };
+    };
+
+    return {
+        name: 'twilio',
+        send
+    };
+};
+
+module.exports = createTwilioTransport;
@@ -0,0 +1,68 @@
+const webpush = require('web-push');
+const PushSubscription = require('../../models/PushSubscription');
+
+// Push services answer these for a subscription that no longer exists
+const GONE_STATUSES = [404, 410];
+
+// Web push to every browser the user subscribed (see models/PushSubscription).
+// Messages are signed with the VAPID keys from `npx web-push generate-vapid-keys`.
+const createWebPushTransport = ({
+    publicKey,
+    privateKey,
+    subject,
+    ttlSeconds = 24 * 60 * 60,
+    sender = webpush
+}) => {
+    if (!publicKey || !privateKey || !subject) {
+        throw new Error('The webpush transport needs VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT');
+    }
+
+    const options = {
+        TTL: ttlSeconds,
+        vapidDetails: { subject, publicKey, privateKey }
+    };
+
+    // Sent to each of the user's browsers. Resolves to how many took it;
+    // throws if none did and at least one can be tried again.
+    const send = async ({ to, subject: title, text, data }) => {
+        const subscriptions = await PushSubscription.find({ user: to });
+
+        if (subscriptions.length === 0) {
+            return { id: null, skipped: 'User has no push subscriptions' };
+        }
+
+        const payload = JSON.stringify({ title, body: text, data });
+        let delivered = 0;
+        let lastError = null;
+
+        for (const subscription of subscriptions) {
+            try {
+                await sender.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload, options);
+                delivered += 1;
+            } catch (err) {
+                if (GONE_STATUSES.includes(err.statusCode)) {
+                    await PushSubscription.deleteOne({ _id: subscription._id });
+                } else {
+                    lastError = err;
+                }
+            }
+        }
+
+        if (delivered === 0) {
+            if (lastError) {
+                throw new Error(`Push service rejected the message: ${lastError.body || lastError.message}`);
+            }
+            return { id: null, skipped: 'User has no push subscriptions' };
+        }
+
+        return { id: null, delivered };
+    };
+
+    return {
+        name: 'webpush',
+        publicKey,
+        send
+    };
+};
+
+module.exports = createWebPushTransport;
@@ -0,0 +1,22 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for live order updates. Tracking streams subscribe per order.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channel = (orderId) => `order:${orderId}`;
+
+const publish = (orderId, type, payload) => {
+    emitter.emit(channel(orderId), { type, payload });
+};
+
+// Returns a function that removes the listener again
+const subscribe = (orderId, listener) => {
+    emitter.on(channel(orderId), listener);
+    return () => emitter.off(channel(orderId), listener);
+};
+
+module.exports = {
+    publish,
+    subscribe
+};
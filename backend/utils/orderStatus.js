@@ -0,0 +1,78 @@
+const ErrorResponse = require('./errorResponse');
+
+// Allowed status transitions and who may perform them. A transition may be
+// limited to certain delivery types.
+const TRANSITIONS = {
+    // `system` is an online payment succeeding or failing
+    pending: [
+        { to: 'confirmed', roles: ['shop_owner', 'admin', 'system'] },
+        { to: 'cancelled', roles: ['customer', 'shop_owner', 'admin', 'system'] }
+    ],
+    confirmed: [
+        { to: 'preparing', roles: ['shop_owner', 'admin'] },
+        { to: 'cancelled', roles: ['customer', 'shop_owner', 'admin'] }
+    ],
+    preparing: [
+        { to: 'ready_for_pickup', roles: ['shop_owner', 'admin'] },
+        { to: 'cancelled', roles: ['shop_owner', 'admin'] }
+    ],
+    ready_for_pickup: [
+        { to: 'out_for_delivery', roles: ['delivery_partner', 'shop_owner', 'admin'], deliveryTypes: ['home_delivery'] },
+        { to: 'delivered', roles: ['shop_owner', 'admin'], deliveryTypes: ['pickup'] },
+        { to: 'cancelled', roles: ['shop_owner', 'admin'] }
+    ],
+    out_for_delivery: [
+        { to: 'delivered', roles: ['delivery_partner', 'admin'] }
+    ],
+    // Only set by the refund flow (as `system`), once approved refunds cover
+    // the whole order, so the refund ledger and payout always back it
+    delivered: [
+        { to: 'refunded', roles: ['system'] }
+    ],
+    cancelled: [
+        { to: 'refunded', roles: ['system'] }
+    ],
+    refunded: []
+};
+
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+// Statuses the order can move to next, optionally limited to one role
+const getAllowedTransitions = (order, role) =>
+    (TRANSITIONS[order.status] || [])
+        .filter(t => !t.deliveryTypes || t.deliveryTypes.includes(order.deliveryType))
+        .filter(t => !role || t.roles.includes(role))
+        .map(t => t.to);
+
+// Throw unless `role` may move the order to `newStatus`
+const assertTransition = (order, newStatus, role) => {
+    if (!TRANSITIONS[newStatus]) {
+        throw new ErrorResponse(`Invalid order status: ${newStatus}`, 400);
+    }
+
+    const transition = (TRANSITIONS[order.status] || []).find(t => t.to === newStatus);
+
+    if (!transition || (transition.deliveryTypes && !transition.deliveryTypes.includes(order.deliveryType))) {
+        const allowed = getAllowedTransitions(order);
+        throw new ErrorResponse(
+            `Cannot move order from ${formatStatus(order.status)} to ${formatStatus(newStatus)}. ` +
+            (allowed.length > 0
+                ? `Allowed next statuses: ${allowed.join(', ')}`
+                : 'No further status changes are allowed'),
+            409
+        );
+    }
+
+    if (!transition.roles.includes(role)) {
+        throw new ErrorResponse(
+            `User role ${role} cannot move an order from ${formatStatus(order.status)} to ${formatStatus(newStatus)}`,
+            403
+        );
+    }
+};
+
+module.exports = {
+    TRANSITIONS,
+    getAllowedTransitions,
+    assertTransition
+};
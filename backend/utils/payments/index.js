@@ -0,0 +1,40 @@
+const createMockProvider = require('./mockProvider');
+const ErrorResponse = require('../errorResponse');
+
+// Every payment provider implements:
+//   createIntent({ amount, currency, reference }) -> { id, status, clientSecret }
+//   capture(intentId, amount)                    -> { id, status, amount }
+//   refund(intentId, amount)                     -> { id, intentId, status, amount }
+//   verifyWebhook(rawBody, headers)              -> { id, type, data: { intentId, ... } }
+// verifyWebhook throws when the signature does not match. Event types are
+// payment.authorized, payment.succeeded and payment.failed.
+const providers = {
+    mock: createMockProvider
+};
+
+let provider;
+
+// The configured provider, created on first use. Without a webhook secret
+// anyone could sign a webhook, so online payments stay off until one is set.
+const getPaymentProvider = () => {
+    if (!provider) {
+        const name = process.env.PAYMENT_PROVIDER || 'mock';
+        const create = providers[name];
+
+        if (!create) {
+            throw new Error(`Unknown payment provider: ${name}`);
+        }
+
+        if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+            throw new ErrorResponse('Online payments are not configured', 503);
+        }
+
+        provider = create({ webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET });
+    }
+
+    return provider;
+};
+
+module.exports = {
+    getPaymentProvider
+};
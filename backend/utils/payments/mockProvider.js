@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const ErrorResponse = require('../errorResponse');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Webhooks signed longer ago than this are rejected as replays
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const sign = (secret, timestamp, payload) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+
+// Offline provider: no network calls, intents live only in the Payment
+// documents. Webhooks are signed like a real gateway's (HMAC over
+// "<timestamp>.<body>") so the verification path is the same.
+const createMockProvider = ({ webhookSecret, clock = Date } = {}) => {
+    const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+    const createIntent = async ({ amount, currency, reference }) => ({
+        id: newId('mock_pi'),
+        status: 'requires_payment',
+        amount,
+        currency,
+        reference,
+        clientSecret: newId('mock_secret')
+    });
+
+    const capture = async (intentId, amount) => ({
+        id: intentId,
+        status: 'succeeded',
+        amount
+    });
+
+    const refund = async (intentId, amount) => ({
+        id: newId('mock_re'),
+        intentId,
+        status: 'succeeded',
+        amount
+    });
+
+    const verifyWebhook = (rawBody, headers) => {
+        const header = headers[SIGNATURE_HEADER];
+        const parts = Object.fromEntries(
+            (header || '').split(',').map(part => part.split('='))
+        );
+        const timestamp = Number(parts.t);
+
+        if (!parts.v1 || !Number.isFinite(timestamp)) {
+            throw new ErrorResponse('Missing webhook signature', 400);
+        }
+
+        if (Math.abs(clock.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+            throw new ErrorResponse('Webhook signature has expired', 400);
+        }
+
+        const expected = Buffer.from(sign(webhookSecret, timestamp, rawBody));
+        const received = Buffer.from(parts.v1);
+
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new ErrorResponse('Invalid webhook signature', 400);
+        }
+
+        return JSON.parse(rawBody);
+    };
+
+    // Build a signed webhook as the gateway would send it, so payments can
+    // be completed without a real gateway
+    const simulateWebhook = (intentId, type, data = {}) => {
+        const payload = JSON.stringify({
+            id: newId('mock_evt'),
+            type,
+            data: { intentId, ...data }
+        });
+        const timestamp = Math.floor(clock.now() / 1000);
+
+        return {
+            rawBody: payload,
+            headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(webhookSecret, timestamp, payload)}` }
+        };
+    };
+
+    return {
+        name: 'mock',
+        createIntent,
+        capture,
+        refund,
+        verifyWebhook,
+        simulateWebhook
+    };
+};
+
+module.exports = createMockProvider;
@@ -0,0 +1,83 @@
+const PriceHistory = require('../models/PriceHistory');
+const WishlistItem = require('../models/WishlistItem');
+const Notification = require('../models/Notification');
+
+// Smallest drop worth an alert, in percent of the price the watcher last saw.
+// Read when it is needed, so it can be set after this module is loaded.
+const priceDropAlertPercent = () => parseFloat(process.env.PRICE_DROP_ALERT_PERCENT) || 5;
+
+// Add the product's current price to its history
+const recordPrice = (product, actor) => PriceHistory.create({
+    product: product._id,
+    shop: product.shop,
+    price: product.price,
+    originalPrice: product.originalPrice,
+    changedBy: actor ? actor._id : undefined
+});
+
+// Products created before prices were recorded have no history. Their
+// first change records the price they had until then, from the day the
+// product was created, so the history starts from the right price.
+const recordBaseline = async (previous) => {
+    if (await PriceHistory.exists({ product: previous._id })) {
+        return;
+    }
+
+    await PriceHistory.create({
+        product: previous._id,
+        shop: previous.shop,
+        price: previous.price,
+        originalPrice: previous.originalPrice,
+        createdAt: previous.createdAt
+    });
+};
+
+// Tell everyone watching the product whose reference price is far enough
+// above the new one. Each watcher's reference is moved to the new price in
+// the same update that claims the alert, so nobody is told twice about one
+// drop and small further cuts do not alert again.
+const notifyPriceDrop = async (product) => {
+    // price <= reference * (1 - percent / 100), to the paisa
+    const minReference = Math.round(product.price / (1 - priceDropAlertPercent() / 100) * 100) / 100;
+
+    const watchers = await WishlistItem.find({
+        product: product._id,
+        referencePrice: { $gte: minReference }
+    }).select('user referencePrice');
+
+    for (const item of watchers) {
+        const claimed = await WishlistItem.findOneAndUpdate(
+            { _id: item._id, referencePrice: item.referencePrice },
+            { referencePrice: product.price, notifiedAt: new Date() }
+        );
+
+        if (claimed) {
+            await Notification.createPriceDropNotification(
+                item.user, product._id, product.name, item.referencePrice, product.price
+            );
+        }
+    }
+};
+
+// Record a repriced product and alert its watchers if the price went down.
+// `previous` is the product as it was before the change. There may be many
+// watchers, so the caller does not wait for them.
+const recordPriceChange = async (product, previous, actor) => {
+    if (product.price === previous.price) {
+        return;
+    }
+
+    await recordBaseline(previous);
+    await recordPrice(product, actor);
+
+    if (product.isActive && product.price < previous.price) {
+        notifyPriceDrop(product)
+            .catch(err => console.error(`Price drop alert error for product ${product._id}:`, err));
+    }
+};
+
+module.exports = {
+    priceDropAlertPercent,
+    recordPrice,
+    recordPriceChange
+};
@@ -0,0 +1,263 @@
+const Product = require('../models/Product');
+const Shop = require('../models/Shop');
+const ErrorResponse = require('./errorResponse');
+const { haversineKm } = require('./eta');
+const { mergeLines } = require('./inventory');
+const { applyCoupon, findUsableCoupon } = require('./promotions');
+const { getOpenStatus, formatLocalTime } = require('./businessHours');
+const { checkServiceability, findDeliveryZones } = require('./serviceability');
+
+// Tax rates (percent) by product category, added on top of the item price
+const TAX_RATES = {
+    grocery: 5,
+    beverages: 12,
+    snacks: 12,
+    dairy: 0,
+    fruits_vegetables: 0,
+    meat_fish: 0,
+    bakery: 5,
+    pharmacy: 12,
+    personal_care: 18,
+    household: 18,
+    electronics: 18,
+    clothing: 12,
+    stationery: 12,
+    hardware: 18,
+    cosmetics: 18,
+    other: 18
+};
+const DEFAULT_TAX_RATE = 18;
+
+// The shop's delivery charge covers the first few km; each further km
+// (up to the shop's delivery radius) adds a surcharge
+const INCLUDED_DELIVERY_KM = 2;
+const SURCHARGE_PER_KM = 5;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const sum = (values) => round(values.reduce((total, value) => total + value, 0));
+
+const hasCoordinates = (point) =>
+    point != null && typeof point.lat === 'number' && typeof point.lng === 'number';
+
+// Group { product, quantity } lines by the shop that sells them
+const groupLinesByShop = (lines) => {
+    const groups = new Map();
+
+    for (const line of lines) {
+        const shopId = line.product.shop.toString();
+        if (!groups.has(shopId)) {
+            groups.set(shopId, []);
+        }
+        groups.get(shopId).push(line);
+    }
+
+    return groups;
+};
+
+// A zone with its own delivery charge replaces the shop's distance pricing
+const priceDelivery = (shop, destination, zone) => {
+    const distanceKm = hasCoordinates(shop.address.coordinates) && hasCoordinates(destination)
+        ? round(haversineKm(shop.address.coordinates, destination))
+        : null;
+
+    if (zone && zone.deliveryCharge != null) {
+        return { baseCharge: zone.deliveryCharge, distanceKm, surcharge: 0, zone: zone.name };
+    }
+
+    const baseCharge = shop.deliveryOptions.deliveryCharge;
+    const chargeableKm = distanceKm === null
+        ? 0
+        : Math.min(distanceKm, shop.deliveryOptions.deliveryRadius) - INCLUDED_DELIVERY_KM;
+
+    return {
+        baseCharge,
+        distanceKm,
+        surcharge: chargeableKm > 0 ? Math.ceil(chargeableKm) * SURCHARGE_PER_KM : 0,
+        zone: zone ? zone.name : null
+    };
+};
+
+// Price one shop's part of the cart. Problems that would block the order
+// are collected in `issues` so a preview can show all of them at once.
+// `destination` is the delivery address for home delivery and `zones` the
+// delivery zones it lies in.
+const priceShopOrder = ({ shop, lines, deliveryType, paymentMethod, destination, zones, now }) => {
+    const items = lines.map(({ product, quantity }) => {
+        const total = round(product.price * quantity);
+        const taxRate = TAX_RATES[product.category] ?? DEFAULT_TAX_RATE;
+
+        return {
+            product: product._id,
+            name: product.name,
+            category: product.category,
+            quantity,
+            price: product.price,
+            total,
+            taxRate,
+            tax: round(total * taxRate / 100)
+        };
+    });
+
+    const subtotal = sum(items.map(item => item.total));
+    const tax = sum(items.map(item => item.tax));
+    const issues = [];
+
+    if (!shop.isActive) {
+        issues.push(`${shop.name} is not accepting orders`);
+    }
+
+    // Closed shops that take delivery slots get the order scheduled instead
+    const openStatus = getOpenStatus(shop, now);
+    const schedulable = Boolean(shop.deliverySlots && shop.deliverySlots.enabled);
+
+    if (!openStatus.isOpenNow && !schedulable) {
+        issues.push(openStatus.nextOpensAt
+            ? `${shop.name} is closed until ${formatLocalTime(openStatus.nextOpensAt, shop)}`
+            : `${shop.name} is closed`);
+    }
+
+    let serviceability = null;
+
+    if (deliveryType === 'home_delivery' && !shop.deliveryOptions.homeDelivery) {
+        issues.push(`${shop.name} does not offer home delivery`);
+    } else if (deliveryType === 'home_delivery') {
+        serviceability = checkServiceability(shop, destination || {}, zones);
+        if (!serviceability.serviceable) {
+            issues.push(serviceability.reason);
+        }
+    }
+
+    if (deliveryType === 'pickup' && !shop.deliveryOptions.pickup) {
+        issues.push(`${shop.name} does not offer pickup`);
+    }
+
+    if (paymentMethod && !shop.paymentMethods[paymentMethod]) {
+        issues.push(`${shop.name} does not accept ${paymentMethod} payments`);
+    }
+
+    if (subtotal < shop.deliveryOptions.minimumOrderAmount) {
+        issues.push(`Minimum order at ${shop.name} is ₹${shop.deliveryOptions.minimumOrderAmount}`);
+    }
+
+    const delivery = deliveryType === 'home_delivery'
+        ? priceDelivery(shop, destination && destination.coordinates, serviceability && serviceability.zone)
+        : { baseCharge: 0, distanceKm: null, surcharge: 0, zone: null };
+
+    const deliveryCharge = round(delivery.baseCharge + delivery.surcharge);
+    const discount = 0;
+
+    return {
+        shop: {
+            _id: shop._id,
+            name: shop.name,
+            isOpenNow: openStatus.isOpenNow,
+            nextOpensAt: openStatus.nextOpensAt
+        },
+        items,
+        subtotal,
+        deliveryCharge,
+        delivery,
+        tax,
+        discount,
+        total: Math.max(round(subtotal + deliveryCharge + tax - discount), 0),
+        issues
+    };
+};
+
+// Price a cart split per shop. `lines` are { product, quantity } with
+// product documents; `shops` are the shop documents they belong to.
+// `coupon` is a coupon document that has already passed findUsableCoupon.
+const buildQuote = ({ lines, shops, deliveryType, paymentMethod, destination, zones = [], coupon, now = new Date() }) => {
+    const shopQuotes = [];
+
+    for (const [shopId, shopLines] of groupLinesByShop(lines)) {
+        const shop = shops.find(s => s._id.toString() === shopId);
+
+        if (!shop) {
+            throw new ErrorResponse(`Shop ${shopId} not found`, 404);
+        }
+
+        shopQuotes.push(priceShopOrder({ shop, lines: shopLines, deliveryType, paymentMethod, destination, zones, now }));
+    }
+
+    const couponIssues = coupon ? applyCoupon(coupon, shopQuotes, deliveryType) : [];
+
+    return {
+        deliveryType,
+        coupon: coupon && couponIssues.length === 0
+            ? { code: coupon.code, title: coupon.title, type: coupon.type }
+            : null,
+        shops: shopQuotes,
+        subtotal: sum(shopQuotes.map(q => q.subtotal)),
+        deliveryCharge: sum(shopQuotes.map(q => q.deliveryCharge)),
+        tax: sum(shopQuotes.map(q => q.tax)),
+        discount: sum(shopQuotes.map(q => q.discount)),
+        total: sum(shopQuotes.map(q => q.total)),
+        issues: [...shopQuotes.flatMap(q => q.issues), ...couponIssues]
+    };
+};
+
+// Price cart items ({ product: id, quantity }) without reserving stock
+const quoteCart = async ({ items, deliveryType, paymentMethod, destination, couponCode, userId }) => {
+    const requested = mergeLines(items);
+    const products = await Product.find({ _id: { $in: requested.map(line => line.product) } });
+
+    const lines = requested.map(line => {
+        const product = products.find(p => p._id.toString() === line.product);
+
+        if (!product) {
+            throw new ErrorResponse(`Product ${line.product} not found`, 404);
+        }
+
+        return { product, quantity: line.quantity };
+    });
+
+    // An unusable coupon is reported like any other issue so the rest of the
+    // quote can still be shown
+    let coupon;
+    let couponIssue = null;
+
+    if (couponCode) {
+        try {
+            coupon = await findUsableCoupon(couponCode, userId);
+        } catch (err) {
+            if (!(err instanceof ErrorResponse)) {
+                throw err;
+            }
+            couponIssue = err.message;
+        }
+    }
+
+    const shops = await Shop.find({ _id: { $in: lines.map(line => line.product.shop) } });
+    const zones = deliveryType === 'home_delivery' ? await findDeliveryZones(destination) : [];
+    const quote = buildQuote({ lines, shops, deliveryType, paymentMethod, destination, zones, coupon });
+
+    if (couponIssue) {
+        quote.issues.push(couponIssue);
+    }
+
+    // Stock is only checked here; createOrder reserves it for real
+    for (const { product, quantity } of lines) {
+        let issue = null;
+
+        if (!product.isActive) {
+            issue = `${product.name} is not available`;
+        } else if (product.stock < quantity) {
+            issue = `Only ${product.stock} of ${product.name} left in stock`;
+        }
+
+        if (issue) {
+            quote.shops.find(q => q.shop._id.equals(product.shop)).issues.push(issue);
+            quote.issues.push(issue);
+        }
+    }
+
+    return quote;
+};
+
+module.exports = {
+    TAX_RATES,
+    buildQuote,
+    quoteCart
+};
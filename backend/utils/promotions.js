@@ -0,0 +1,211 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const ErrorResponse = require('./errorResponse');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Split `amount` over the quotes in proportion to their subtotals, giving
+// any rounding remainder to the last one so the parts add up exactly
+const splitBySubtotal = (amount, quotes) => {
+    const base = quotes.reduce((sum, q) => sum + q.subtotal, 0);
+    let left = amount;
+
+    return quotes.map((q, index) => {
+        const share = index === quotes.length - 1 ? left : round(amount * q.subtotal / base);
+        left = round(left - share);
+        return share;
+    });
+};
+
+// Value of the free units in one shop's lines: of every buy+get units the
+// cheapest `getQuantity` are free
+const buyXGetYDiscount = (coupon, shopQuote) => {
+    const eligibleProducts = coupon.products.map(id => id.toString());
+    const unitPrices = shopQuote.items
+        .filter(item => eligibleProducts.length === 0 || eligibleProducts.includes(item.product.toString()))
+        .flatMap(item => Array(item.quantity).fill(item.price))
+        .sort((a, b) => a - b);
+
+    const freeUnits = Math.floor(unitPrices.length / (coupon.buyQuantity + coupon.getQuantity)) * coupon.getQuantity;
+
+    return round(unitPrices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0));
+};
+
+// Work out the coupon's discount for each shop quote and set it on them.
+// Returns the reasons the coupon does not apply, if any.
+const applyCoupon = (coupon, shopQuotes, deliveryType) => {
+    const eligible = shopQuotes.filter(q => !coupon.shop || coupon.shop.equals(q.shop._id));
+
+    if (eligible.length === 0) {
+        return [`Coupon ${coupon.code} is not valid for the shops in your cart`];
+    }
+
+    const eligibleSubtotal = round(eligible.reduce((sum, q) => sum + q.subtotal, 0));
+
+    if (eligibleSubtotal < coupon.minOrderAmount) {
+        return [`Add ₹${round(coupon.minOrderAmount - eligibleSubtotal)} more to use coupon ${coupon.code}`];
+    }
+
+    let discounts;
+
+    switch (coupon.type) {
+        case 'flat':
+            discounts = splitBySubtotal(Math.min(coupon.value, eligibleSubtotal), eligible);
+            break;
+        case 'percentage': {
+            let amount = round(eligibleSubtotal * coupon.value / 100);
+            if (coupon.maxDiscount != null) {
+                amount = Math.min(amount, coupon.maxDiscount);
+            }
+            discounts = splitBySubtotal(amount, eligible);
+            break;
+        }
+        case 'free_delivery':
+            if (deliveryType !== 'home_delivery') {
+                return [`Coupon ${coupon.code} only applies to home delivery`];
+            }
+            discounts = eligible.map(q => q.deliveryCharge);
+            break;
+        case 'buy_x_get_y':
+            discounts = eligible.map(q => buyXGetYDiscount(coupon, q));
+            if (discounts.every(discount => discount === 0)) {
+                return [`Buy ${coupon.buyQuantity + coupon.getQuantity} eligible items to use coupon ${coupon.code}`];
+            }
+            break;
+        default:
+            return [`Coupon ${coupon.code} is not valid`];
+    }
+
+    eligible.forEach((q, index) => {
+        q.discount = discounts[index];
+        q.total = Math.max(round(q.subtotal + q.deliveryCharge + q.tax - q.discount), 0);
+    });
+
+    return [];
+};
+
+// Load a coupon by code and check it can be used by this customer right now.
+// Cart-dependent rules (shop, minimum amount) are checked by applyCoupon.
+const findUsableCoupon = async (code, userId, now = new Date()) => {
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+    if (!coupon || !coupon.isActive) {
+        throw new ErrorResponse(`Coupon ${code} is not valid`, 400);
+    }
+
+    if (coupon.validFrom > now || (coupon.validUntil && coupon.validUntil < now)) {
+        throw new ErrorResponse(`Coupon ${coupon.code} has expired or is not active yet`, 400);
+    }
+
+    if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+        throw new ErrorResponse(`Coupon ${coupon.code} has been fully redeemed`, 400);
+    }
+
+    const timesUsed = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+
+    if (timesUsed >= coupon.perUserLimit) {
+        throw new ErrorResponse(`You have already used coupon ${coupon.code}`, 400);
+    }
+
+    if (coupon.firstOrderOnly && await Order.exists({ customer: userId, status: { $ne: 'cancelled' } })) {
+        throw new ErrorResponse(`Coupon ${coupon.code} is only valid on your first order`, 400);
+    }
+
+    return coupon;
+};
+
+// Record one of the customer's perUserLimit uses of the coupon. Each use has
+// a number and (coupon, user, use) is unique, so two checkouts at the same
+// time cannot both take the customer's last use.
+const claimUserUse = async (coupon, userId, checkoutId, discount) => {
+    const taken = await CouponRedemption.distinct('use', { coupon: coupon._id, user: userId });
+
+    for (let use = 1; use <= coupon.perUserLimit; use++) {
+        if (taken.includes(use)) {
+            continue;
+        }
+
+        try {
+            return await CouponRedemption.create({
+                coupon: coupon._id,
+                user: userId,
+                checkout: checkoutId,
+                discount,
+                use
+            });
+        } catch (err) {
+            // Another checkout took this use first; try the next one
+            if (err.code !== 11000) {
+                throw err;
+            }
+        }
+    }
+
+    throw new ErrorResponse(`You have already used coupon ${coupon.code}`, 400);
+};
+
+// Count a use of the coupon. Both the customer's limit and the total limit
+// are enforced by the writes themselves, so concurrent checkouts cannot
+// take the same last use.
+const redeemCoupon = async (coupon, userId, checkoutId, discount) => {
+    const redemption = await claimUserUse(coupon, userId, checkoutId, discount);
+
+    const claimed = await Coupon.findOneAndUpdate(
+        {
+            _id: coupon._id,
+            isActive: true,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } }
+    );
+
+    if (!claimed) {
+        await CouponRedemption.deleteOne({ _id: redemption._id });
+        throw new ErrorResponse(`Coupon ${coupon.code} has been fully redeemed`, 400);
+    }
+
+    return redemption;
+};
+
+// Undo redeemCoupon. Only the call that removes the redemption gives the use
+// back, so releasing twice cannot count the coupon down twice.
+const releaseCoupon = async (redemption) => {
+    const removed = await CouponRedemption.findOneAndDelete({ _id: redemption._id });
+
+    if (removed) {
+        await Coupon.updateOne({ _id: removed.coupon }, { $inc: { usedCount: -1 } });
+    }
+};
+
+// Give the coupon back once every order placed with it has been cancelled.
+// Orders are checked by their history, so one cancelled and then refunded
+// still counts as cancelled.
+const releaseCheckoutCoupon = async (checkoutId) => {
+    if (!checkoutId) {
+        return;
+    }
+
+    const stillPlaced = await Order.exists({ checkout: checkoutId, 'statusHistory.status': { $ne: 'cancelled' } });
+
+    if (stillPlaced) {
+        return;
+    }
+
+    const redemption = await CouponRedemption.findOne({ checkout: checkoutId });
+
+    if (redemption) {
+        await releaseCoupon(redemption);
+    }
+};
+
+module.exports = {
+    applyCoupon,
+    findUsableCoupon,
+    redeemCoupon,
+    releaseCoupon,
+    releaseCheckoutCoupon
+};
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Shop = require('../models/Shop');
+const Order = require('../models/Order');
+
+// Aspects of an order a customer can score besides the overall rating
+const SUB_SCORES = ['packaging', 'freshness', 'deliverySpeed'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const average = (sumPath, countPath) => ({
+    $round: [{ $divide: [`$${sumPath}`, `$${countPath}`] }, 2]
+});
+
+// Recompute a product's rating from its published reviews. Done from
+// scratch so it never drifts whatever changed (new review, edit, moderation).
+const recalculateProductRating = async (productId) => {
+    // aggregate() does not cast ids the way find() does
+    const product = toObjectId(productId);
+
+    const [stats] = await Review.aggregate([
+        { $match: { product, status: 'published' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    await Product.updateOne({ _id: product }, stats
+        ? { rating: Math.round(stats.average * 100) / 100, totalRatings: stats.count }
+        : { rating: 0, totalRatings: 0 });
+};
+
+// Rebuild a shop's rating and sub-scores from its rated orders
+const recalculateShopRating = async (shopId) => {
+    const shop = toObjectId(shopId);
+
+    const [stats] = await Order.aggregate([
+        { $match: { shop, rating: { $gte: 1 } } },
+        {
+            $group: {
+                _id: null,
+                sum: { $sum: '$rating' },
+                count: { $sum: 1 },
+                ...Object.fromEntries(SUB_SCORES.flatMap(score => [
+                    [`${score}Sum`, { $sum: { $ifNull: [`$ratingScores.${score}`, 0] } }],
+                    [`${score}Count`, { $sum: { $cond: [{ $gte: [`$ratingScores.${score}`, 1] }, 1, 0] } }]
+                ]))
+            }
+        }
+    ]);
+
+    const tally = (sum, count) => ({
+        sum,
+        count,
+        average: count > 0 ? Math.round(sum / count * 100) / 100 : 0
+    });
+
+    await Shop.updateOne({ _id: shop }, {
+        ratingSum: stats ? stats.sum : 0,
+        totalRatings: stats ? stats.count : 0,
+        rating: stats ? tally(stats.sum, stats.count).average : 0,
+        ratingScores: Object.fromEntries(SUB_SCORES.map(score => [
+            score,
+            stats ? tally(stats[`${score}Sum`], stats[`${score}Count`]) : tally(0, 0)
+        ]))
+    });
+};
+
+// Count one more order rating towards the shop. The sums and averages are
+// updated in a single atomic update, so concurrent ratings cannot overwrite
+// each other. Shops rated before the sums were kept are rebuilt instead.
+const addShopRating = async (shopId, { rating, scores = {} }) => {
+    const given = SUB_SCORES.filter(score => scores[score] != null);
+
+    const result = await Shop.updateOne({ _id: shopId, ratingSum: { $exists: true } }, [
+        {
+            $set: {
+                ratingSum: { $add: ['$ratingSum', rating] },
+                totalRatings: { $add: [{ $ifNull: ['$totalRatings', 0] }, 1] },
+                ...Object.fromEntries(given.flatMap(score => [
+                    [`ratingScores.${score}.sum`, { $add: [{ $ifNull: [`$ratingScores.${score}.sum`, 0] }, scores[score]] }],
+                    [`ratingScores.${score}.count`, { $add: [{ $ifNull: [`$ratingScores.${score}.count`, 0] }, 1] }]
+                ]))
+            }
+        },
+        {
+            $set: {
+                rating: average('ratingSum', 'totalRatings'),
+                ...Object.fromEntries(given.map(score => [
+                    `ratingScores.${score}.average`,
+                    average(`ratingScores.${score}.sum`, `ratingScores.${score}.count`)
+                ]))
+            }
+        }
+    ]);
+
+    if (result.matchedCount === 0) {
+        await recalculateShopRating(shopId);
+    }
+};
+
+module.exports = {
+    SUB_SCORES,
+    recalculateProductRating,
+    recalculateShopRating,
+    addShopRating
+};
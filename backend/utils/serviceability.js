@@ -0,0 +1,167 @@
+const Shop = require('../models/Shop');
+const DeliveryZone = require('../models/DeliveryZone');
+const ErrorResponse = require('./errorResponse');
+const { haversineKm } = require('./eta');
+
+// Largest delivery radius a shop can set (see Shop.deliveryOptions)
+const MAX_DELIVERY_RADIUS_KM = 20;
+const KM_PER_DEGREE = 111.32;
+
+const hasCoordinates = (point) =>
+    point != null && typeof point.lat === 'number' && typeof point.lng === 'number';
+
+const byDistance = (a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity);
+
+// Shop query for addresses in a box around `point` that covers `km` in
+// every direction
+const withinBox = ({ lat, lng }, km) => {
+    const latDelta = km / KM_PER_DEGREE;
+    const lngDelta = km / (KM_PER_DEGREE * Math.cos(lat * Math.PI / 180));
+
+    return {
+        'address.coordinates.lat': { $gte: lat - latDelta, $lte: lat + latDelta },
+        'address.coordinates.lng': { $gte: lng - lngDelta, $lte: lng + lngDelta }
+    };
+};
+
+// Active delivery zones the destination ({ coordinates, pincode }) is in,
+// by the zone's area or by its pincode list
+const findDeliveryZones = async (destination = {}) => {
+    const conditions = [];
+
+    if (hasCoordinates(destination.coordinates)) {
+        const { lat, lng } = destination.coordinates;
+        conditions.push({
+            area: { $geoIntersects: { $geometry: { type: 'Point', coordinates: [lng, lat] } } }
+        });
+    }
+
+    if (destination.pincode) {
+        conditions.push({ pincodes: destination.pincode });
+    }
+
+    if (conditions.length === 0) {
+        return [];
+    }
+
+    return DeliveryZone.find({ isActive: true, $or: conditions });
+};
+
+// Whether the shop delivers to `destination`, given the zones it is in
+// (from findDeliveryZones). A shop covering zones delivers anywhere in
+// them. Otherwise the delivery radius decides when both sides have
+// coordinates, and without them only the shop's own pincode is served.
+// `zone` is the zone the delivery falls in, if any.
+const checkServiceability = (shop, destination = {}, zones = []) => {
+    const coverage = shop.deliveryOptions.coverage || 'radius';
+    const radius = shop.deliveryOptions.deliveryRadius;
+    const distanceKm = hasCoordinates(shop.address.coordinates) && hasCoordinates(destination.coordinates)
+        ? Math.round(haversineKm(shop.address.coordinates, destination.coordinates) * 100) / 100
+        : null;
+
+    if (coverage !== 'radius') {
+        const shopZones = (shop.deliveryZones || []).map(zone => (zone._id || zone).toString());
+        const zone = zones.find(z => shopZones.includes(z._id.toString()));
+
+        if (zone) {
+            return { serviceable: true, distanceKm, zone };
+        }
+
+        if (coverage === 'zones') {
+            return {
+                serviceable: false,
+                distanceKm,
+                zone: null,
+                reason: `${shop.name} does not deliver to your area`
+            };
+        }
+    }
+
+    if (distanceKm !== null) {
+        return distanceKm <= radius
+            ? { serviceable: true, distanceKm, zone: null }
+            : {
+                serviceable: false,
+                distanceKm,
+                zone: null,
+                reason: `${shop.name} delivers within ${radius} km and your address is ${distanceKm} km away`
+            };
+    }
+
+    if (destination.pincode) {
+        return destination.pincode === shop.address.pincode
+            ? { serviceable: true, distanceKm: null, zone: null }
+            : {
+                serviceable: false,
+                distanceKm: null,
+                zone: null,
+                reason: `${shop.name} cannot confirm delivery to pincode ${destination.pincode}. Please share your location`
+            };
+    }
+
+    return {
+        serviceable: false,
+        distanceKm: null,
+        zone: null,
+        reason: hasCoordinates(destination.coordinates)
+            ? `${shop.name} cannot confirm delivery to your address`
+            : 'Please provide a delivery address'
+    };
+};
+
+// Active shops that deliver to `destination`, nearest first
+const findServiceableShops = async (destination) => {
+    const reach = [];
+
+    if (hasCoordinates(destination.coordinates)) {
+        // No shop's radius reaches beyond this box
+        reach.push(withinBox(destination.coordinates, MAX_DELIVERY_RADIUS_KM));
+    } else if (destination.pincode) {
+        reach.push({ 'address.pincode': destination.pincode });
+    } else {
+        throw new ErrorResponse('Please provide a location or a pincode', 400);
+    }
+
+    const zones = await findDeliveryZones(destination);
+
+    if (zones.length > 0) {
+        reach.push({ deliveryZones: { $in: zones.map(zone => zone._id) } });
+    }
+
+    const shops = await Shop.find({ isActive: true, 'deliveryOptions.homeDelivery': true, $or: reach });
+
+    return shops
+        .map(shop => ({ shop, ...checkServiceability(shop, destination, zones) }))
+        .filter(result => result.serviceable)
+        .sort(byDistance);
+};
+
+// Active shops within `radiusKm` of `point` or delivering to it through a
+// zone, nearest first, each flagged with whether it delivers there
+const findNearbyShops = async (point, radiusKm) => {
+    const destination = { coordinates: point };
+    const zones = await findDeliveryZones(destination);
+    const reach = [withinBox(point, radiusKm)];
+
+    if (zones.length > 0) {
+        reach.push({ deliveryZones: { $in: zones.map(zone => zone._id) } });
+    }
+
+    const shops = await Shop.find({ isActive: true, $or: reach })
+        .populate('owner', 'name email phone');
+
+    return shops
+        .map(shop => {
+            const { serviceable, distanceKm } = checkServiceability(shop, destination, zones);
+            return { shop, distanceKm, deliversHere: shop.deliveryOptions.homeDelivery && serviceable };
+        })
+        .filter(result => result.deliversHere || (result.distanceKm !== null && result.distanceKm <= radiusKm))
+        .sort(byDistance);
+};
+
+module.exports = {
+    findDeliveryZones,
+    checkServiceability,
+    findServiceableShops,
+    findNearbyShops
+};
@@ -0,0 +1,161 @@
+const Product = require('../models/Product');
+const Shop = require('../models/Shop');
+const Notification = require('../models/Notification');
+const StockSubscription = require('../models/StockSubscription');
+
+// How bad each stock level is; an owner is alerted only when it gets worse
+const SEVERITY = {
+    in_stock: 0,
+    low_stock: 1,
+    out_of_stock: 2
+};
+
+// Products at or below their minimum stock
+const lowStockQuery = (query = {}) => ({
+    ...query,
+    isActive: true,
+    $expr: { $lte: ['$stock', '$minStock'] }
+});
+
+// Tell the shop owner when a product drops to or below minStock, and again
+// if it then sells out. The level is claimed on the product in one update,
+// so concurrent stock changes send a single alert; it is cleared once stock
+// is back above minStock. Never throws, so an alert cannot fail a sale.
+const checkStockAlert = async (product) => {
+    try {
+        const level = product.stockStatus;
+
+        if (level === 'in_stock') {
+            if (product.stockAlert && product.stockAlert.level) {
+                await Product.updateOne({ _id: product._id }, { stockAlert: { level: null } });
+            }
+            return;
+        }
+
+        if (!product.isActive) {
+            return;
+        }
+
+        const milder = Object.keys(SEVERITY)
+            .filter(other => SEVERITY[other] < SEVERITY[level])
+            .map(other => (other === 'in_stock' ? null : other));
+
+        const claimed = await Product.updateOne(
+            { _id: product._id, 'stockAlert.level': { $in: milder } },
+            { stockAlert: { level, alertedAt: new Date() } }
+        );
+
+        if (claimed.modifiedCount === 0) {
+            return;
+        }
+
+        const shop = await Shop.findById(product.shop).select('owner');
+
+        if (shop) {
+            await Notification.createLowStockAlert(shop.owner, product);
+        }
+    } catch (err) {
+        console.error(`Stock alert error for product ${product._id}:`, err);
+    }
+};
+
+// Send every "notify me" subscriber of a product that is back in stock the
+// stock alert, unsubscribing them as it goes. Each subscription is deleted
+// before its alert is sent, so a subscriber is told once even if the
+// product is restocked twice at the same time.
+const notifyBackInStock = async (product) => {
+    let subscription;
+
+    while ((subscription = await StockSubscription.findOneAndDelete(
+        StockSubscription.activeQuery({ product: product._id })
+    ))) {
+        await Notification.createStockAlert(subscription.user, product._id, product.shop, product.name);
+    }
+};
+
+// Real timers. Tests can pass an in-memory clock with the same shape.
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle)
+};
+
+// LOW_STOCK_DIGEST_HOUR, read each time the digest is scheduled rather than
+// when this module is loaded, so a value from .env is always picked up
+const digestHourFromEnv = () => {
+    const hour = parseInt(process.env.LOW_STOCK_DIGEST_HOUR, 10);
+    return hour >= 0 && hour <= 23 ? hour : 8;
+};
+
+// Sends every shop owner one notification a day listing the products they
+// need to reorder, at `hour` o'clock server time (see TZ).
+const createStockDigest = ({
+    clock = systemClock,
+    hour
+} = {}) => {
+    let timer = null;
+
+    const msUntilNext = () => {
+        const now = new Date(clock.now());
+        const next = new Date(now);
+        next.setHours(hour ?? digestHourFromEnv(), 0, 0, 0);
+
+        if (next <= now) {
+            next.setDate(next.getDate() + 1);
+        }
+
+        return next - now;
+    };
+
+    const send = async () => {
+        const products = await Product.find(lowStockQuery())
+            .select('name stock minStock unit shop')
+            .sort('stock name');
+
+        const byShop = new Map();
+        products.forEach(product => {
+            const key = product.shop.toString();
+            byShop.set(key, [...(byShop.get(key) || []), product]);
+        });
+
+        const shops = await Shop.find({ _id: { $in: [...byShop.keys()] }, isActive: true })
+            .select('name owner');
+
+        for (const shop of shops) {
+            await Notification.createLowStockDigest(shop.owner, shop, byShop.get(shop._id.toString()));
+        }
+
+        return shops.length;
+    };
+
+    const start = () => {
+        timer = clock.setTimeout(() => {
+            send()
+                .catch(err => console.error('Low-stock digest error:', err))
+                .finally(start);
+        }, msUntilNext());
+    };
+
+    const stop = () => {
+        if (timer) {
+            clock.clearTimeout(timer);
+            timer = null;
+        }
+    };
+
+    return {
+        send,
+        start,
+        stop
+    };
+};
+
+const stockDigest = createStockDigest();
+
+module.exports = {
+    lowStockQuery,
+    checkStockAlert,
+    notifyBackInStock,
+    createStockDigest,
+    stockDigest
+};
@@ -0,0 +1,30 @@
+/* eslint-disable no-restricted-globals */
+/* Shows the push notifications the API sends (see backend/utils/notifications/webPushTransport.js) */
+
+self.addEventListener('push', (event) => {
+  const { title, body, data } = event.data ? event.data.json() : {};
+
+  event.waitUntil(
+    self.registration.showNotification(title || 'New notification', {
+      body,
+      data,
+    })
+  );
+});
+
+// Open the notifications page, reusing a tab that is already open
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((tabs) => {
+      const tab = tabs.find((client) => 'focus' in client);
+
+      if (tab) {
+        tab.navigate('/notifications');
+        return tab.focus();
+      }
+      return self.clients.openWindow('/notifications');
+    })
+  );
+});
@@ -1,7 +1,10 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
 import { useAuth } from '../../contexts/AuthContext';
 import { useCart } from '../../contexts/CartContext';
+import api from '../../utils/api';
+import useNotificationStream from '../../hooks/useNotificationStream';
 import { 
   ShoppingCart, 
   User, 
@@ -21,6 +24,17 @@ const Header = () => {
   const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
 
+  // The stream keeps the count current after the first fetch
+  useNotificationStream({ enabled: isAuthenticated });
+  const { data: unreadCount = 0 } = useQuery(
+    'unreadCount',
+    async () => {
+      const response = await api.get('/api/notifications/unread-count');
+      return response.data.data.unreadCount;
+    },
+    { enabled: isAuthenticated, staleTime: Infinity }
+  );
+
   const handleSearch = (e) => {
     e.preventDefault();
     if (searchQuery.trim()) {
@@ -84,7 +98,11 @@ const Header = () => {
                   className="text-gray-700 hover:text-primary-600 transition-colors relative"
                 >
                   <Bell className="h-6 w-6" />
-                  {/* Notification badge would go here */}
+                  {unreadCount > 0 && (
+                    <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full h-5 min-w-[1.25rem] px-1 flex items-center justify-center">
+                      {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                  )}
                 </Link>
               </>
             ) : null}
@@ -226,6 +244,7 @@ const Header = () => {
                     onClick={() => setIsMenuOpen(false)}
                   >
                     Notifications
+                    {unreadCount > 0 && ` (${unreadCount})`}
                   </Link>
                   <Link
                     to="/profile"
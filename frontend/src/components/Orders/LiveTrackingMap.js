@@ -0,0 +1,118 @@
+import React from 'react';
+import { Bike, Clock, Home, Store, Wifi, WifiOff } from 'lucide-react';
+
+const WIDTH = 400;
+const HEIGHT = 260;
+const PADDING = 30;
+
+const hasCoordinates = (point) =>
+  point && typeof point.lat === 'number' && typeof point.lng === 'number';
+
+// Fit every known point into the panel, keeping north up
+const createProjection = (points) => {
+  const lats = points.map((p) => p.lat);
+  const lngs = points.map((p) => p.lng);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const minLng = Math.min(...lngs);
+  const maxLng = Math.max(...lngs);
+  const spanLat = maxLat - minLat || 0.001;
+  const spanLng = maxLng - minLng || 0.001;
+  const scale = Math.min((WIDTH - PADDING * 2) / spanLng, (HEIGHT - PADDING * 2) / spanLat);
+  const offsetX = (WIDTH - spanLng * scale) / 2;
+  const offsetY = (HEIGHT - spanLat * scale) / 2;
+
+  return (point) => ({
+    x: offsetX + (point.lng - minLng) * scale,
+    y: HEIGHT - (offsetY + (point.lat - minLat) * scale),
+  });
+};
+
+const formatEta = (eta) => {
+  if (!eta) return null;
+  const minutes = Math.max(Math.round((new Date(eta) - Date.now()) / 60000), 0);
+  const time = new Date(eta).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return minutes <= 1 ? `Arriving now (${time})` : `${minutes} min (${time})`;
+};
+
+const LiveTrackingMap = ({ tracking }) => {
+  const { shopLocation, destination, riderLocation, trail, eta, rider, connected } = tracking;
+
+  const points = [shopLocation, destination, riderLocation, ...trail].filter(hasCoordinates);
+  const project = points.length > 0 ? createProjection(points) : null;
+
+  const marker = (point, color) => {
+    if (!project || !hasCoordinates(point)) return null;
+    const { x, y } = project(point);
+    return <circle cx={x} cy={y} r="8" fill={color} stroke="white" strokeWidth="3" />;
+  };
+
+  const trailPath = project
+    ? trail.filter(hasCoordinates).map((p) => {
+        const { x, y } = project(p);
+        return `${x},${y}`;
+      }).join(' ')
+    : '';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Live Tracking</h2>
+        <span className={`flex items-center text-xs font-medium ${connected ? 'text-green-600' : 'text-gray-400'}`}>
+          {connected ? <Wifi className="h-4 w-4 mr-1" /> : <WifiOff className="h-4 w-4 mr-1" />}
+          {connected ? 'Live' : 'Reconnecting...'}
+        </span>
+      </div>
+
+      <div className="bg-gray-100">
+        {project ? (
+          <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-64">
+            {trailPath && (
+              <polyline
+                points={trailPath}
+                fill="none"
+                stroke="#2563eb"
+                strokeWidth="3"
+                strokeDasharray="6 4"
+                strokeLinecap="round"
+              />
+            )}
+            {marker(shopLocation, '#f59e0b')}
+            {marker(destination, '#16a34a')}
+            {marker(riderLocation, '#2563eb')}
+          </svg>
+        ) : (
+          <div className="h-64 flex items-center justify-center text-sm text-gray-500">
+            Waiting for the rider's location...
+          </div>
+        )}
+      </div>
+
+      <div className="p-4 space-y-3">
+        <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+          <span className="flex items-center"><Store className="h-4 w-4 mr-1 text-amber-500" /> Shop</span>
+          <span className="flex items-center"><Bike className="h-4 w-4 mr-1 text-blue-600" /> Rider</span>
+          <span className="flex items-center"><Home className="h-4 w-4 mr-1 text-green-600" /> You</span>
+        </div>
+
+        {eta && (
+          <div className="flex items-center text-sm text-gray-900">
+            <Clock className="h-4 w-4 mr-2 text-gray-400" />
+            <span className="font-medium">Estimated arrival:</span>
+            <span className="ml-1">{formatEta(eta)}</span>
+          </div>
+        )}
+
+        {rider && (
+          <p className="text-sm text-gray-600">
+            {rider.name} is delivering your order
+            {rider.vehicleNumber ? ` (${rider.vehicleNumber})` : ''}
+            {rider.phone ? ` · ${rider.phone}` : ''}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LiveTrackingMap;
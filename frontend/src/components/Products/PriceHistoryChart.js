@@ -0,0 +1,88 @@
+import React from 'react';
+import { TrendingDown, TrendingUp } from 'lucide-react';
+
+const WIDTH = 400;
+const HEIGHT = 140;
+const PADDING = 12;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+
+// Each price holds until the next change, so the line steps rather than slopes
+const stepPath = (points, project) =>
+  points
+    .map((point, i) => {
+      const { x, y } = project(point);
+      if (i === 0) return `M${x},${y}`;
+      const { y: previousY } = project(points[i - 1]);
+      return `L${x},${previousY} L${x},${y}`;
+    })
+    .join(' ');
+
+const PriceHistoryChart = ({ history }) => {
+  const { data: changes, summary } = history;
+
+  // The first change may predate the period; start the line where it does
+  const start = new Date(summary.since).getTime();
+  const points = [
+    ...changes.map((change) => ({
+      time: Math.max(new Date(change.createdAt).getTime(), start),
+      price: change.price,
+    })),
+    { time: Date.now(), price: summary.current },
+  ];
+
+  const firstTime = points[0].time;
+  const spanTime = Date.now() - firstTime || 1;
+  const spanPrice = summary.highest - summary.lowest || 1;
+
+  const project = (point) => ({
+    x: PADDING + ((point.time - firstTime) / spanTime) * (WIDTH - PADDING * 2),
+    y: HEIGHT - PADDING - ((point.price - summary.lowest) / spanPrice) * (HEIGHT - PADDING * 2),
+  });
+
+  const firstPrice = points[0].price;
+  const change = summary.current - firstPrice;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Price history</h2>
+        {change !== 0 && (
+          <span className={`flex items-center text-sm font-medium ${change < 0 ? 'text-green-600' : 'text-red-600'}`}>
+            {change < 0 ? <TrendingDown className="h-4 w-4 mr-1" /> : <TrendingUp className="h-4 w-4 mr-1" />}
+            {change < 0 ? '-' : '+'}₹{Math.abs(change).toFixed(2)} since {formatDate(firstTime)}
+          </span>
+        )}
+      </div>
+
+      {points.length > 1 ? (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-36">
+          <path
+            d={stepPath(points, project)}
+            fill="none"
+            stroke="#2563eb"
+            strokeWidth="2.5"
+            strokeLinejoin="round"
+          />
+          {points.slice(0, -1).map((point, i) => {
+            const { x, y } = project(point);
+            return <circle key={i} cx={x} cy={y} r="3.5" fill="#2563eb" />;
+          })}
+        </svg>
+      ) : (
+        <p className="text-sm text-gray-500">No price changes yet.</p>
+      )}
+
+      <div className="mt-3 flex justify-between text-xs text-gray-500">
+        <span>{formatDate(firstTime)}</span>
+        <span>
+          Lowest ₹{summary.lowest.toFixed(2)} · Highest ₹{summary.highest.toFixed(2)}
+        </span>
+        <span>Today</span>
+      </div>
+    </div>
+  );
+};
+
+export default PriceHistoryChart;
@@ -0,0 +1,265 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import { BellRing, Moon } from 'lucide-react';
+import api from '../../utils/api';
+import { isPushSupported, getPushSubscription, enablePush, disablePush } from '../../utils/push';
+
+const CHANNELS = [
+  { key: 'email', label: 'Email' },
+  { key: 'sms', label: 'SMS' },
+  { key: 'push', label: 'Push' },
+];
+
+const TYPE_LABELS = {
+  stock_alert: 'Back in stock',
+  low_stock: 'Low stock (shops)',
+  order_status: 'Order updates',
+  delivery_update: 'Delivery updates',
+  price_drop: 'Price drops',
+  new_product: 'New products',
+  promotion: 'Offers and promotions',
+  system_alert: 'Account and system alerts',
+};
+
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Settings for which notifications the user gets, how, and when
+const NotificationSettings = () => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [browserPush, setBrowserPush] = useState(false);
+  const [changingPush, setChangingPush] = useState(false);
+
+  useEffect(() => {
+    getPushSubscription()
+      .then((subscription) => setBrowserPush(Boolean(subscription)))
+      .catch(() => setBrowserPush(false));
+  }, []);
+
+  const { data, isLoading } = useQuery('notificationPreferences', async () => {
+    const response = await api.get('/api/notifications/preferences');
+    return response.data;
+  });
+
+  useEffect(() => {
+    if (data) {
+      const { channels, types, quietHours, promotions } = data.data;
+      setForm({
+        channels,
+        types: types || {},
+        quietHours: { ...quietHours, timezone: quietHours.timezone || browserTimezone() },
+        promotions,
+      });
+    }
+  }, [data]);
+
+  if (isLoading || !form) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6 flex justify-center">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  const typeSetting = (type, key) => form.types[type]?.[key] ?? true;
+
+  const setChannel = (channel, value) =>
+    setForm({ ...form, channels: { ...form.channels, [channel]: value } });
+
+  const setTypeSetting = (type, key, value) =>
+    setForm({ ...form, types: { ...form.types, [type]: { ...form.types[type], [key]: value } } });
+
+  const setQuietHours = (changes) =>
+    setForm({ ...form, quietHours: { ...form.quietHours, ...changes } });
+
+  const toggleBrowserPush = async () => {
+    setChangingPush(true);
+    try {
+      if (browserPush) {
+        await disablePush();
+        setBrowserPush(false);
+        toast.success('Push notifications turned off in this browser');
+      } else {
+        await enablePush();
+        setBrowserPush(true);
+        toast.success('Push notifications turned on in this browser');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message || 'Could not change push notifications');
+    } finally {
+      setChangingPush(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await api.put('/api/notifications/preferences', form);
+      queryClient.invalidateQueries('notificationPreferences');
+      toast.success('Notification settings saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not save your notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm">
+      <div className="p-6 border-b border-gray-200 flex items-center">
+        <BellRing className="h-5 w-5 text-gray-400 mr-2" />
+        <h2 className="text-lg font-semibold text-gray-900">Notifications</h2>
+      </div>
+
+      <div className="p-6 space-y-8">
+        {/* Channels */}
+        <div>
+          <h3 className="text-sm font-medium text-gray-900 mb-3">Send me notifications by</h3>
+          <div className="flex flex-wrap gap-6">
+            {CHANNELS.map(({ key, label }) => (
+              <label key={key} className="inline-flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.channels[key]}
+                  onChange={(e) => setChannel(key, e.target.checked)}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          {isPushSupported() && (
+            <div className="mt-3 flex items-center text-sm text-gray-500">
+              <span>
+                Push notifications are {browserPush ? 'on' : 'off'} in this browser.
+              </span>
+              <button
+                type="button"
+                onClick={toggleBrowserPush}
+                disabled={changingPush}
+                className="ml-2 text-primary-600 font-medium hover:text-primary-700 disabled:opacity-50"
+              >
+                {browserPush ? 'Turn off' : 'Turn on'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Types */}
+        <div>
+          <h3 className="text-sm font-medium text-gray-900 mb-3">What to tell me about</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-2 pr-4 font-medium">Notification</th>
+                  <th className="py-2 px-3 font-medium text-center">On</th>
+                  {CHANNELS.map(({ key, label }) => (
+                    <th key={key} className="py-2 px-3 font-medium text-center">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {data.types.map(({ type, essential }) => {
+                  const enabled = essential || typeSetting(type, 'enabled');
+                  return (
+                    <tr key={type}>
+                      <td className="py-2 pr-4 text-gray-900">
+                        {TYPE_LABELS[type] || type}
+                        {essential && <span className="ml-2 text-xs text-gray-400">Always on</span>}
+                      </td>
+                      <td className="py-2 px-3 text-center">
+                        <input
+                          type="checkbox"
+                          checked={enabled}
+                          disabled={essential}
+                          onChange={(e) => setTypeSetting(type, 'enabled', e.target.checked)}
+                          className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded disabled:opacity-50"
+                        />
+                      </td>
+                      {CHANNELS.map(({ key }) => (
+                        <td key={key} className="py-2 px-3 text-center">
+                          <input
+                            type="checkbox"
+                            checked={typeSetting(type, key)}
+                            disabled={!enabled || !form.channels[key]}
+                            onChange={(e) => setTypeSetting(type, key, e.target.checked)}
+                            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded disabled:opacity-50"
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Quiet hours */}
+        <div>
+          <label className="inline-flex items-center text-sm font-medium text-gray-900 mb-3">
+            <input
+              type="checkbox"
+              checked={form.quietHours.enabled}
+              onChange={(e) => setQuietHours({ enabled: e.target.checked })}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+            />
+            <Moon className="h-4 w-4 text-gray-400 mr-1" />
+            Quiet hours
+          </label>
+          <p className="text-sm text-gray-500 mb-3">
+            Notifications that arrive during quiet hours wait until they end. Order and delivery updates still come through.
+          </p>
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <span>From</span>
+            <input
+              type="time"
+              value={form.quietHours.start}
+              disabled={!form.quietHours.enabled}
+              onChange={(e) => setQuietHours({ start: e.target.value })}
+              className="border border-gray-300 rounded-lg px-3 py-2 disabled:opacity-50"
+            />
+            <span>to</span>
+            <input
+              type="time"
+              value={form.quietHours.end}
+              disabled={!form.quietHours.enabled}
+              onChange={(e) => setQuietHours({ end: e.target.value })}
+              className="border border-gray-300 rounded-lg px-3 py-2 disabled:opacity-50"
+            />
+            <span className="text-gray-500">({form.quietHours.timezone})</span>
+          </div>
+        </div>
+
+        {/* Promotions */}
+        <div>
+          <label htmlFor="maxPromotions" className="block text-sm font-medium text-gray-900 mb-2">
+            Most offers and promotions per week
+          </label>
+          <input
+            id="maxPromotions"
+            type="number"
+            min="0"
+            max="50"
+            value={form.promotions.maxPerWeek}
+            onChange={(e) => setForm({ ...form, promotions: { maxPerWeek: Number(e.target.value) } })}
+            className="w-24 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </div>
+
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-4 py-2 rounded-lg bg-primary-600 text-white font-medium hover:bg-primary-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save settings'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -49,6 +49,9 @@ const authReducer = (state, action) => {
   }
 };
 
+// API errors come back as `error`; the auth middleware still sends `message`
+const apiError = (error) => error.response?.data?.error || error.response?.data?.message;
+
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
@@ -99,8 +102,8 @@ export const AuthProvider = ({ children }) => {
       return { success: true };
     } catch (error) {
       dispatch({ type: 'LOGIN_FAILURE' });
-      toast.error(error.response?.data?.message || 'Login failed');
-      return { success: false, error: error.response?.data?.message };
+      toast.error(apiError(error) || 'Login failed');
+      return { success: false, error: apiError(error) };
     }
   };
 
@@ -116,8 +119,8 @@ export const AuthProvider = ({ children }) => {
       return { success: true };
     } catch (error) {
       dispatch({ type: 'LOGIN_FAILURE' });
-      toast.error(error.response?.data?.message || 'Registration failed');
-      return { success: false, error: error.response?.data?.message };
+      toast.error(apiError(error) || 'Registration failed');
+      return { success: false, error: apiError(error) };
     }
   };
 
@@ -136,8 +139,8 @@ export const AuthProvider = ({ children }) => {
       toast.success('Profile updated successfully!');
       return { success: true };
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Profile update failed');
-      return { success: false, error: error.response?.data?.message };
+      toast.error(apiError(error) || 'Profile update failed');
+      return { success: false, error: apiError(error) };
     }
   };
 
@@ -105,8 +105,9 @@ export const CartProvider = ({ children }) => {
       name: product.name,
       price: product.price,
       image: product.image,
-      shopId: product.shop,
-      shopName: product.shopName,
+      // product.shop is either an id or a populated { _id, name }
+      shopId: product.shop?._id || product.shop,
+      shopName: product.shopName || product.shop?.name,
       quantity,
     };
 
@@ -130,9 +131,11 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const clearCart = () => {
+  const clearCart = ({ silent = false } = {}) => {
     dispatch({ type: 'CLEAR_CART' });
-    toast.success('Cart cleared');
+    if (!silent) {
+      toast.success('Cart cleared');
+    }
   };
 
   const getItemQuantity = (productId) => {
@@ -144,8 +147,22 @@ export const CartProvider = ({ children }) => {
     return state.items.some(item => item._id === productId);
   };
 
+  // Items grouped per shop; checkout places one order for each group
+  const shopGroups = Object.values(
+    state.items.reduce((groups, item) => {
+      const key = item.shopId || 'unknown';
+      if (!groups[key]) {
+        groups[key] = { shopId: item.shopId, shopName: item.shopName, items: [], subtotal: 0 };
+      }
+      groups[key].items.push(item);
+      groups[key].subtotal += item.price * item.quantity;
+      return groups;
+    }, {})
+  );
+
   const value = {
     ...state,
+    shopGroups,
     addToCart,
     updateQuantity,
     removeFromCart,
@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+import { useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+
+// Subscribes to the user's notification stream (Server-Sent Events). Keeps
+// the 'unreadCount' query current and refreshes notification lists when a
+// new notification arrives.
+const useNotificationStream = ({ enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const token = localStorage.getItem('token');
+    const source = new EventSource(
+      `${api.defaults.baseURL}/api/notifications/stream?token=${encodeURIComponent(token)}`
+    );
+
+    source.onopen = () => setConnected(true);
+
+    source.onerror = () => {
+      // EventSource reconnects on its own and is sent the count again
+      setConnected(false);
+    };
+
+    source.addEventListener('unread-count', (event) => {
+      const { unreadCount } = JSON.parse(event.data);
+      queryClient.setQueryData('unreadCount', unreadCount);
+    });
+
+    source.addEventListener('notification', (event) => {
+      const notification = JSON.parse(event.data);
+      queryClient.invalidateQueries('notifications');
+      toast.info(notification.title);
+    });
+
+    return () => {
+      source.close();
+      setConnected(false);
+    };
+  }, [enabled, queryClient]);
+
+  return { connected };
+};
+
+export default useNotificationStream;
@@ -0,0 +1,83 @@
+import { useEffect, useRef, useState } from 'react';
+import api from '../utils/api';
+
+// The server closes the stream once an order reaches one of these
+const FINAL_STATUSES = ['delivered', 'cancelled', 'refunded'];
+
+const initialState = {
+  status: null,
+  rider: null,
+  shopLocation: null,
+  destination: null,
+  riderLocation: null,
+  trail: [],
+  eta: null,
+  distanceKm: null,
+  connected: false,
+};
+
+// Subscribes to the order tracking stream (Server-Sent Events)
+const useOrderTracking = (orderId, { enabled = true, onStatusChange } = {}) => {
+  const [tracking, setTracking] = useState(initialState);
+  const onStatusChangeRef = useRef(onStatusChange);
+
+  useEffect(() => {
+    onStatusChangeRef.current = onStatusChange;
+  }, [onStatusChange]);
+
+  useEffect(() => {
+    if (!orderId || !enabled) return undefined;
+
+    const token = localStorage.getItem('token');
+    const source = new EventSource(
+      `${api.defaults.baseURL}/api/orders/${orderId}/tracking/stream?token=${encodeURIComponent(token)}`
+    );
+
+    source.onopen = () => {
+      setTracking((prev) => ({ ...prev, connected: true }));
+    };
+
+    source.onerror = () => {
+      // EventSource reconnects on its own and replays the snapshot
+      setTracking((prev) => ({ ...prev, connected: false }));
+    };
+
+    source.addEventListener('snapshot', (event) => {
+      const snapshot = JSON.parse(event.data);
+      setTracking((prev) => ({ ...prev, ...snapshot }));
+      if (FINAL_STATUSES.includes(snapshot.status)) {
+        source.close();
+      }
+    });
+
+    source.addEventListener('location', (event) => {
+      const point = JSON.parse(event.data);
+      setTracking((prev) => ({
+        ...prev,
+        riderLocation: point,
+        trail: [...prev.trail, point],
+        eta: point.eta || prev.eta,
+        distanceKm: point.distanceKm,
+      }));
+    });
+
+    source.addEventListener('status', (event) => {
+      const { status } = JSON.parse(event.data);
+      setTracking((prev) => ({ ...prev, status }));
+      if (onStatusChangeRef.current) {
+        onStatusChangeRef.current(status);
+      }
+      if (FINAL_STATUSES.includes(status)) {
+        source.close();
+      }
+    });
+
+    return () => {
+      source.close();
+    };
+  }, [orderId, enabled]);
+
+  return tracking;
+};
+
+export default useOrderTracking;
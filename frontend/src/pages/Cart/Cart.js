@@ -10,7 +10,7 @@ import {
 } from 'lucide-react';
 
 const Cart = () => {
-  const { items, total, itemCount, updateQuantity, removeFromCart, clearCart } = useCart();
+  const { shopGroups, total, itemCount, updateQuantity, removeFromCart, clearCart } = useCart();
 
   if (itemCount === 0) {
     return (
@@ -57,7 +57,7 @@ const Cart = () => {
                     Cart Items
                   </h2>
                   <button
-                    onClick={clearCart}
+                    onClick={() => clearCart()}
                     className="text-sm text-red-600 hover:text-red-700 font-medium"
                   >
                     Clear Cart
@@ -65,68 +65,80 @@ const Cart = () => {
                 </div>
               </div>
 
-              <div className="divide-y divide-gray-200">
-                {items.map((item) => (
-                  <div key={item._id} className="p-6">
-                    <div className="flex items-center space-x-4">
-                      {/* Product Image */}
-                      <div className="flex-shrink-0">
-                        {item.image ? (
-                          <img
-                            src={item.image}
-                            alt={item.name}
-                            className="w-20 h-20 object-cover rounded-lg"
-                          />
-                        ) : (
-                          <div className="w-20 h-20 bg-gray-200 rounded-lg flex items-center justify-center">
-                            <ShoppingBag className="h-8 w-8 text-gray-400" />
+              {shopGroups.map((group) => (
+                <div key={group.shopId || 'unknown'} className="border-b border-gray-200 last:border-b-0">
+                  <div className="px-6 py-3 bg-gray-50 flex justify-between items-center">
+                    <h3 className="text-sm font-semibold text-gray-700">
+                      {group.shopName || 'Shop'}
+                    </h3>
+                    <span className="text-sm text-gray-500">
+                      ₹{group.subtotal.toFixed(2)}
+                    </span>
+                  </div>
+                  <div className="divide-y divide-gray-200">
+                    {group.items.map((item) => (
+                      <div key={item._id} className="p-6">
+                        <div className="flex items-center space-x-4">
+                          {/* Product Image */}
+                          <div className="flex-shrink-0">
+                            {item.image ? (
+                              <img
+                                src={item.image}
+                                alt={item.name}
+                                className="w-20 h-20 object-cover rounded-lg"
+                              />
+                            ) : (
+                              <div className="w-20 h-20 bg-gray-200 rounded-lg flex items-center justify-center">
+                                <ShoppingBag className="h-8 w-8 text-gray-400" />
+                              </div>
+                            )}
                           </div>
-                        )}
-                      </div>
 
-                      {/* Product Details */}
-                      <div className="flex-1 min-w-0">
-                        <h3 className="text-lg font-medium text-gray-900 mb-1">
-                          {item.name}
-                        </h3>
-                        <p className="text-sm text-gray-500 mb-2">
-                          {item.shopName}
-                        </p>
-                        <p className="text-lg font-semibold text-gray-900">
-                          ₹{item.price.toFixed(2)}
-                        </p>
-                      </div>
+                          {/* Product Details */}
+                          <div className="flex-1 min-w-0">
+                            <h3 className="text-lg font-medium text-gray-900 mb-1">
+                              {item.name}
+                            </h3>
+                            <p className="text-sm text-gray-500 mb-2">
+                              {item.shopName}
+                            </p>
+                            <p className="text-lg font-semibold text-gray-900">
+                              ₹{item.price.toFixed(2)}
+                            </p>
+                          </div>
 
-                      {/* Quantity Controls */}
-                      <div className="flex items-center space-x-2">
-                        <button
-                          onClick={() => updateQuantity(item._id, item.quantity - 1)}
-                          className="w-8 h-8 rounded-full border border-gray-300 flex items-center justify-center hover:bg-gray-50 transition-colors"
-                        >
-                          <Minus className="h-4 w-4 text-gray-600" />
-                        </button>
-                        <span className="w-12 text-center text-gray-900 font-medium">
-                          {item.quantity}
-                        </span>
-                        <button
-                          onClick={() => updateQuantity(item._id, item.quantity + 1)}
-                          className="w-8 h-8 rounded-full border border-gray-300 flex items-center justify-center hover:bg-gray-50 transition-colors"
-                        >
-                          <Plus className="h-4 w-4 text-gray-600" />
-                        </button>
-                      </div>
+                          {/* Quantity Controls */}
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => updateQuantity(item._id, item.quantity - 1)}
+                              className="w-8 h-8 rounded-full border border-gray-300 flex items-center justify-center hover:bg-gray-50 transition-colors"
+                            >
+                              <Minus className="h-4 w-4 text-gray-600" />
+                            </button>
+                            <span className="w-12 text-center text-gray-900 font-medium">
+                              {item.quantity}
+                            </span>
+                            <button
+                              onClick={() => updateQuantity(item._id, item.quantity + 1)}
+                              className="w-8 h-8 rounded-full border border-gray-300 flex items-center justify-center hover:bg-gray-50 transition-colors"
+                            >
+                              <Plus className="h-4 w-4 text-gray-600" />
+                            </button>
+                          </div>
 
-                      {/* Remove Button */}
-                      <button
-                        onClick={() => removeFromCart(item._id)}
-                        className="text-red-600 hover:text-red-700 transition-colors"
-                      >
-                        <Trash2 className="h-5 w-5" />
-                      </button>
-                    </div>
+                          {/* Remove Button */}
+                          <button
+                            onClick={() => removeFromCart(item._id)}
+                            className="text-red-600 hover:text-red-700 transition-colors"
+                          >
+                            <Trash2 className="h-5 w-5" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
                   </div>
-                ))}
-              </div>
+                </div>
+              ))}
             </div>
           </div>
 
@@ -144,16 +156,14 @@ const Cart = () => {
                 </div>
                 <div className="flex justify-between text-sm">
                   <span className="text-gray-600">Delivery Fee</span>
-                  <span className="text-gray-900">₹{total > 500 ? '0.00' : '50.00'}</span>
-                </div>
-                <div className="border-t border-gray-200 pt-3">
-                  <div className="flex justify-between font-semibold">
-                    <span className="text-gray-900">Total</span>
-                    <span className="text-gray-900">
-                      ₹{(total + (total > 500 ? 0 : 50)).toFixed(2)}
-                    </span>
-                  </div>
+                  <span className="text-gray-500">Calculated at checkout</span>
                 </div>
+                {shopGroups.length > 1 && (
+                  <p className="text-xs text-gray-500">
+                    Your cart has items from {shopGroups.length} shops. Each shop sends its own
+                    order and may charge its own delivery fee, but you pay once.
+                  </p>
+                )}
               </div>
 
               <Link
@@ -1,16 +1,770 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useQueries, useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import {
+  ArrowLeft,
+  ArrowRight,
+  Banknote,
+  Check,
+  CheckCircle,
+  CreditCard,
+  MapPin,
+  Package,
+  Plus,
+  ShoppingBag,
+  Store,
+  Truck,
+} from 'lucide-react';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { useCart } from '../../contexts/CartContext';
+
+const STEPS = ['Delivery', 'Payment', 'Review'];
+
+const PAYMENT_LABELS = {
+  cod: 'Cash on Delivery',
+  online: 'Online Payment',
+};
+
+const emptyAddress = { street: '', landmark: '', city: '', state: '', pincode: '' };
+
+// Address choice that means "type a new address" rather than a saved one
+const NEW_ADDRESS = 'new';
+
+const formatAddress = (address) =>
+  [address.street, address.landmark, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(', ');
+
+const formatPrice = (amount) => `₹${(amount || 0).toFixed(2)}`;
+
+const formatSlot = (slot) => {
+  const start = new Date(slot.start);
+  const end = new Date(slot.end);
+  const time = { hour: 'numeric', minute: '2-digit' };
+  return `${start.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}, ${start.toLocaleTimeString(undefined, time)} – ${end.toLocaleTimeString(undefined, time)}`;
+};
+
+// The whole cart is paid and delivered one way, so an option is only
+// offered when every shop in the cart supports it
+const commonOptions = (shops) => {
+  const loaded = shops.filter(Boolean);
+  const every = (predicate) => loaded.length > 0 && loaded.every(predicate);
+
+  return {
+    deliveryTypes: [
+      every((shop) => shop.deliveryOptions?.homeDelivery) && 'home_delivery',
+      every((shop) => shop.deliveryOptions?.pickup) && 'pickup',
+    ].filter(Boolean),
+    paymentMethods: Object.keys(PAYMENT_LABELS).filter((method) =>
+      every((shop) => shop.paymentMethods?.[method])
+    ),
+  };
+};
+
+const StepIndicator = ({ current }) => (
+  <ol className="flex items-center mb-8">
+    {STEPS.map((label, index) => (
+      <li key={label} className="flex items-center flex-1 last:flex-none">
+        <span
+          className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-semibold ${
+            index < current
+              ? 'bg-primary-600 text-white'
+              : index === current
+              ? 'border-2 border-primary-600 text-primary-600'
+              : 'border-2 border-gray-300 text-gray-400'
+          }`}
+        >
+          {index < current ? <Check className="h-4 w-4" /> : index + 1}
+        </span>
+        <span className={`ml-2 text-sm font-medium ${index <= current ? 'text-gray-900' : 'text-gray-400'}`}>
+          {label}
+        </span>
+        {index < STEPS.length - 1 && <span className="flex-1 h-px bg-gray-300 mx-4" />}
+      </li>
+    ))}
+  </ol>
+);
+
+const OptionCard = ({ selected, onSelect, icon: Icon, title, description }) => (
+  <button
+    type="button"
+    onClick={onSelect}
+    className={`w-full text-left p-4 rounded-lg border-2 flex items-start transition-colors ${
+      selected ? 'border-primary-600 bg-primary-50' : 'border-gray-200 hover:border-gray-300'
+    }`}
+  >
+    <Icon className={`h-5 w-5 mr-3 mt-0.5 ${selected ? 'text-primary-600' : 'text-gray-400'}`} />
+    <span>
+      <span className="block font-medium text-gray-900">{title}</span>
+      {description && <span className="block text-sm text-gray-500">{description}</span>}
+    </span>
+  </button>
+);
+
+const PriceBreakdown = ({ quote, isLoading }) => {
+  if (!quote) {
+    return (
+      <p className="text-sm text-gray-500">
+        {isLoading ? 'Calculating prices...' : 'Prices are unavailable right now.'}
+      </p>
+    );
+  }
 
-const Checkout = () => {
   return (
-    <div className="min-h-screen bg-gray-50 py-8">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+    <div className="space-y-4">
+      {quote.shops.map((shopQuote) => (
+        <div key={shopQuote.shop._id} className="space-y-1 text-sm">
+          <p className="font-medium text-gray-900">{shopQuote.shop.name}</p>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Items</span>
+            <span className="text-gray-900">{formatPrice(shopQuote.subtotal)}</span>
+          </div>
+          {quote.deliveryType === 'home_delivery' && (
+            <div className="flex justify-between">
+              <span className="text-gray-600">
+                Delivery
+                {shopQuote.delivery.distanceKm != null && ` (${shopQuote.delivery.distanceKm} km)`}
+              </span>
+              <span className="text-gray-900">{formatPrice(shopQuote.deliveryCharge)}</span>
+            </div>
+          )}
+          <div className="flex justify-between">
+            <span className="text-gray-600">Tax</span>
+            <span className="text-gray-900">{formatPrice(shopQuote.tax)}</span>
+          </div>
+        </div>
+      ))}
+
+      <div className="border-t border-gray-200 pt-3 space-y-1 text-sm">
+        {quote.discount > 0 && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">
+              Discount{quote.coupon && ` (${quote.coupon.code})`}
+            </span>
+            <span className="text-green-600">-{formatPrice(quote.discount)}</span>
+          </div>
+        )}
+        <div className="flex justify-between font-semibold text-base">
+          <span className="text-gray-900">Total</span>
+          <span className="text-gray-900">{formatPrice(quote.total)}</span>
+        </div>
+      </div>
+
+      {quote.issues.length > 0 && (
+        <ul className="rounded-lg bg-red-50 p-3 text-sm text-red-700 space-y-1">
+          {quote.issues.map((issue) => (
+            <li key={issue}>{issue}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const OrderConfirmation = ({ checkout, orders }) => (
+  <div className="min-h-screen bg-gray-50 py-12">
+    <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+      <div className="bg-white rounded-lg shadow-sm p-8 text-center">
+        <CheckCircle className="h-16 w-16 text-green-500 mx-auto mb-4" />
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">
+          Order placed!
+        </h1>
+        <p className="text-gray-600 mb-6">
+          {orders.length > 1
+            ? `Your cart was split into ${orders.length} orders, one for each shop.`
+            : 'The shop has been notified and will confirm your order shortly.'}
+        </p>
+
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg text-left mb-6">
+          {orders.map((order) => (
+            <Link
+              key={order._id}
+              to={`/orders/${order._id}`}
+              className="p-4 flex items-center justify-between hover:bg-gray-50"
+            >
+              <span>
+                <span className="block font-medium text-gray-900">{order.orderNumber}</span>
+                <span className="block text-sm text-gray-500">{order.shop?.name}</span>
+              </span>
+              <span className="flex items-center font-semibold text-gray-900">
+                {formatPrice(order.total)}
+                <ArrowRight className="h-4 w-4 ml-2 text-gray-400" />
+              </span>
+            </Link>
+          ))}
+        </div>
+
+        <p className="text-lg font-semibold text-gray-900 mb-1">
+          Total {formatPrice(checkout.total)}
+        </p>
+        <p className="text-sm text-gray-500 mb-8">
+          {PAYMENT_LABELS[checkout.paymentMethod]}
+        </p>
+
+        <div className="flex flex-col sm:flex-row justify-center gap-3">
+          <Link
+            to="/orders"
+            className="bg-primary-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-primary-700 transition-colors"
+          >
+            View my orders
+          </Link>
+          <Link
+            to="/shops"
+            className="px-6 py-3 rounded-lg font-semibold text-primary-600 hover:text-primary-700"
+          >
+            Continue shopping
+          </Link>
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+const Checkout = () => {
+  const { user } = useAuth();
+  const { items, itemCount, shopGroups, clearCart } = useCart();
+  const queryClient = useQueryClient();
+
+  const [step, setStep] = useState(0);
+  const [deliveryType, setDeliveryType] = useState(null);
+  const [addressChoice, setAddressChoice] = useState(null);
+  const [address, setAddress] = useState(() => ({ ...emptyAddress, ...user?.address }));
+  const [saveAddress, setSaveAddress] = useState(false);
+  const [addressLabel, setAddressLabel] = useState('');
+  const [deliveryInstructions, setDeliveryInstructions] = useState('');
+  // Chosen slot start per shop id; shops without an entry deliver ASAP
+  const [slotChoices, setSlotChoices] = useState({});
+  const [paymentMethod, setPaymentMethod] = useState(null);
+  const [isPlacing, setIsPlacing] = useState(false);
+  const [placed, setPlaced] = useState(null);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+
+  const shopQueries = useQueries(
+    shopGroups.map((group) => ({
+      queryKey: ['shop', group.shopId],
+      queryFn: async () => {
+        const response = await api.get(`/api/shops/${group.shopId}`);
+        return response.data.data;
+      },
+      enabled: Boolean(group.shopId),
+    }))
+  );
+
+  const shopsLoading = shopQueries.some((query) => query.isLoading);
+  const slotShops = shopQueries
+    .map((query) => query.data)
+    .filter((shop) => shop?.deliverySlots?.enabled);
+
+  const slotQueries = useQueries(
+    slotShops.map((shop) => ({
+      queryKey: ['deliverySlots', shop._id],
+      queryFn: async () => {
+        const response = await api.get(`/api/shops/${shop._id}/delivery-slots`);
+        return response.data.data;
+      },
+    }))
+  );
+  const options = commonOptions(shopQueries.map((query) => query.data));
+
+  const { data: savedAddresses = [] } = useQuery('addresses', async () => {
+    const response = await api.get('/api/auth/addresses');
+    return response.data.data;
+  });
+
+  // Use the default saved address until the customer picks another one
+  const selectedAddressId =
+    addressChoice === NEW_ADDRESS || savedAddresses.some((saved) => saved._id === addressChoice)
+      ? addressChoice
+      : (savedAddresses.find((saved) => saved.isDefault) || savedAddresses[0])?._id || NEW_ADDRESS;
+  const savedAddress = savedAddresses.find((saved) => saved._id === selectedAddressId);
+
+  // Fall back to the first option every shop supports until the customer picks one
+  const selectedDeliveryType = options.deliveryTypes.includes(deliveryType)
+    ? deliveryType
+    : options.deliveryTypes[0];
+  const selectedPaymentMethod = options.paymentMethods.includes(paymentMethod)
+    ? paymentMethod
+    : options.paymentMethods[0];
+
+  const cartLines = items.map((item) => ({ product: item._id, quantity: item.quantity }));
+  // A saved address is sent by id so the server uses its stored coordinates
+  const destination =
+    selectedDeliveryType !== 'home_delivery'
+      ? {}
+      : savedAddress
+      ? { addressId: savedAddress._id }
+      : { deliveryAddress: address };
+
+  const { data: quote, isLoading: quoteLoading } = useQuery(
+    ['quote', cartLines, selectedDeliveryType, selectedPaymentMethod, destination, couponCode],
+    async () => {
+      const response = await api.post('/api/orders/quote', {
+        items: cartLines,
+        deliveryType: selectedDeliveryType,
+        paymentMethod: selectedPaymentMethod,
+        ...destination,
+        couponCode: couponCode || undefined,
+      });
+      return response.data.data;
+    },
+    {
+      enabled: cartLines.length > 0 && Boolean(selectedDeliveryType),
+      keepPreviousData: true,
+    }
+  );
+
+  if (placed) {
+    return <OrderConfirmation checkout={placed.checkout} orders={placed.orders} />;
+  }
+
+  if (itemCount === 0) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
-          <h1 className="text-3xl font-bold text-gray-900 mb-4">
-            Checkout
-          </h1>
-          <p className="text-gray-600">
-            This page will handle the checkout process. Coming soon!
-          </p>
+          <ShoppingBag className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+          <h2 className="text-2xl font-semibold text-gray-900 mb-2">
+            Your cart is empty
+          </h2>
+          <Link to="/shops" className="text-primary-600 hover:text-primary-700 font-medium">
+            Start Shopping
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const updateAddress = (field) => (event) => {
+    // Saved coordinates no longer match once the address is edited
+    const { coordinates, ...rest } = address;
+    setAddress({ ...rest, [field]: event.target.value });
+  };
+
+  const addressComplete =
+    Boolean(savedAddress) ||
+    Boolean(address.street && address.city && address.pincode && (!saveAddress || addressLabel.trim()));
+
+  const canContinue = [
+    Boolean(selectedDeliveryType) && (selectedDeliveryType === 'pickup' || addressComplete),
+    Boolean(selectedPaymentMethod),
+    Boolean(quote) && quote.issues.length === 0,
+  ][step];
+
+  const placeOrder = async () => {
+    setIsPlacing(true);
+    try {
+      let orderDestination = destination;
+
+      if (selectedDeliveryType === 'home_delivery' && !savedAddress && saveAddress) {
+        const saved = await api.post('/api/auth/addresses', { ...address, label: addressLabel.trim() });
+        orderDestination = { addressId: saved.data.data._id };
+        setAddressChoice(saved.data.data._id);
+        queryClient.invalidateQueries('addresses');
+      }
+
+      const response = await api.post('/api/orders', {
+        items: cartLines,
+        deliveryType: selectedDeliveryType,
+        ...orderDestination,
+        deliveryInstructions: deliveryInstructions.trim() || undefined,
+        deliverySlots: slotChoices,
+        paymentMethod: selectedPaymentMethod,
+        couponCode: couponCode || undefined,
+      });
+      setPlaced(response.data.data);
+      clearCart({ silent: true });
+      queryClient.invalidateQueries('orders');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not place your order');
+      queryClient.invalidateQueries('quote');
+      queryClient.invalidateQueries('deliverySlots');
+    } finally {
+      setIsPlacing(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Link
+          to="/cart"
+          className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700 font-medium mb-6"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back to cart
+        </Link>
+
+        <h1 className="text-3xl font-bold text-gray-900 mb-8">
+          Checkout
+        </h1>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <StepIndicator current={step} />
+
+              {shopsLoading ? (
+                <div className="flex justify-center py-12">
+                  <div className="loading-spinner"></div>
+                </div>
+              ) : (
+                <>
+                  {step === 0 && (
+                    <div className="space-y-6">
+                      <div>
+                        <h2 className="text-lg font-semibold text-gray-900 mb-3">
+                          How would you like to receive your order?
+                        </h2>
+                        {options.deliveryTypes.length === 0 ? (
+                          <p className="text-sm text-red-600">
+                            The shops in your cart don't share a delivery option. Please place
+                            separate orders for them.
+                          </p>
+                        ) : (
+                          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            {options.deliveryTypes.includes('home_delivery') && (
+                              <OptionCard
+                                selected={selectedDeliveryType === 'home_delivery'}
+                                onSelect={() => setDeliveryType('home_delivery')}
+                                icon={Truck}
+                                title="Home delivery"
+                                description="Delivered to your address"
+                              />
+                            )}
+                            {options.deliveryTypes.includes('pickup') && (
+                              <OptionCard
+                                selected={selectedDeliveryType === 'pickup'}
+                                onSelect={() => setDeliveryType('pickup')}
+                                icon={Store}
+                                title="Pickup"
+                                description="Collect it from the shop"
+                              />
+                            )}
+                          </div>
+                        )}
+                      </div>
+
+                      {selectedDeliveryType === 'home_delivery' && (
+                        <div>
+                          <h2 className="text-lg font-semibold text-gray-900 mb-3">
+                            Delivery address
+                          </h2>
+                          {savedAddresses.length > 0 && (
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+                              {savedAddresses.map((saved) => (
+                                <OptionCard
+                                  key={saved._id}
+                                  selected={selectedAddressId === saved._id}
+                                  onSelect={() => setAddressChoice(saved._id)}
+                                  icon={MapPin}
+                                  title={saved.isDefault ? `${saved.label} (default)` : saved.label}
+                                  description={formatAddress(saved)}
+                                />
+                              ))}
+                              <OptionCard
+                                selected={selectedAddressId === NEW_ADDRESS}
+                                onSelect={() => setAddressChoice(NEW_ADDRESS)}
+                                icon={Plus}
+                                title="Deliver somewhere else"
+                                description="Enter a new address"
+                              />
+                            </div>
+                          )}
+                          {!savedAddress && (
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                              <div className="sm:col-span-2">
+                                <label htmlFor="street" className="block text-sm font-medium text-gray-700">
+                                  Street
+                                </label>
+                                <input
+                                  id="street"
+                                  type="text"
+                                  value={address.street}
+                                  onChange={updateAddress('street')}
+                                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                                />
+                              </div>
+                              <div className="sm:col-span-2">
+                                <label htmlFor="landmark" className="block text-sm font-medium text-gray-700">
+                                  Landmark
+                                  <span className="text-gray-400 font-normal"> (optional)</span>
+                                </label>
+                                <input
+                                  id="landmark"
+                                  type="text"
+                                  value={address.landmark}
+                                  onChange={updateAddress('landmark')}
+                                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                                />
+                              </div>
+                              <div>
+                                <label htmlFor="city" className="block text-sm font-medium text-gray-700">
+                                  City
+                                </label>
+                                <input
+                                  id="city"
+                                  type="text"
+                                  value={address.city}
+                                  onChange={updateAddress('city')}
+                                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                                />
+                              </div>
+                              <div>
+                                <label htmlFor="state" className="block text-sm font-medium text-gray-700">
+                                  State
+                                </label>
+                                <input
+                                  id="state"
+                                  type="text"
+                                  value={address.state}
+                                  onChange={updateAddress('state')}
+                                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                                />
+                              </div>
+                              <div>
+                                <label htmlFor="pincode" className="block text-sm font-medium text-gray-700">
+                                  Pincode
+                                </label>
+                                <input
+                                  id="pincode"
+                                  type="text"
+                                  inputMode="numeric"
+                                  value={address.pincode}
+                                  onChange={updateAddress('pincode')}
+                                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                                />
+                              </div>
+                              <div className="sm:col-span-2">
+                                <label className="inline-flex items-center text-sm text-gray-700">
+                                  <input
+                                    type="checkbox"
+                                    checked={saveAddress}
+                                    onChange={(event) => setSaveAddress(event.target.checked)}
+                                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                                  />
+                                  Save to my address book
+                                </label>
+                                {saveAddress && (
+                                  <input
+                                    type="text"
+                                    aria-label="Address label"
+                                    maxLength={30}
+                                    value={addressLabel}
+                                    onChange={(event) => setAddressLabel(event.target.value)}
+                                    placeholder="Label, e.g. Home or Office"
+                                    className="mt-2 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                                  />
+                                )}
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {slotShops.length > 0 && (
+                        <div>
+                          <h2 className="text-lg font-semibold text-gray-900 mb-3">
+                            {selectedDeliveryType === 'pickup' ? 'Pickup time' : 'Delivery time'}
+                          </h2>
+                          <div className="space-y-4">
+                            {slotShops.map((shop, index) => (
+                              <div key={shop._id}>
+                                <label htmlFor={`slot-${shop._id}`} className="block text-sm font-medium text-gray-700">
+                                  {shop.name}
+                                </label>
+                                <select
+                                  id={`slot-${shop._id}`}
+                                  value={slotChoices[shop._id] || ''}
+                                  onChange={(event) =>
+                                    setSlotChoices({ ...slotChoices, [shop._id]: event.target.value || undefined })
+                                  }
+                                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                                >
+                                  <option value="">As soon as possible</option>
+                                  {(slotQueries[index]?.data || []).map((slot) => (
+                                    <option key={slot.start} value={slot.start}>
+                                      {formatSlot(slot)}
+                                    </option>
+                                  ))}
+                                </select>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+
+                      <div>
+                        <label htmlFor="deliveryInstructions" className="block text-sm font-medium text-gray-700">
+                          {selectedDeliveryType === 'pickup' ? 'Note for the shop' : 'Delivery instructions'}
+                          <span className="text-gray-400 font-normal"> (optional)</span>
+                        </label>
+                        <textarea
+                          id="deliveryInstructions"
+                          rows={3}
+                          maxLength={300}
+                          value={deliveryInstructions}
+                          onChange={(event) => setDeliveryInstructions(event.target.value)}
+                          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                          placeholder={savedAddress?.deliveryInstructions || 'e.g. Ring the bell twice'}
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  {step === 1 && (
+                    <div>
+                      <h2 className="text-lg font-semibold text-gray-900 mb-3">
+                        Payment method
+                      </h2>
+                      {options.paymentMethods.length === 0 ? (
+                        <p className="text-sm text-red-600">
+                          The shops in your cart don't share a payment method. Please place
+                          separate orders for them.
+                        </p>
+                      ) : (
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                          {options.paymentMethods.map((method) => (
+                            <OptionCard
+                              key={method}
+                              selected={selectedPaymentMethod === method}
+                              onSelect={() => setPaymentMethod(method)}
+                              icon={method === 'cod' ? Banknote : CreditCard}
+                              title={PAYMENT_LABELS[method]}
+                            />
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {step === 2 && (
+                    <div className="space-y-6">
+                      <div className="flex items-start text-sm text-gray-600">
+                        {selectedDeliveryType === 'pickup' ? (
+                          <>
+                            <Package className="h-4 w-4 mr-2 mt-0.5 text-gray-400" />
+                            <span>Pickup from {shopGroups.map((group) => group.shopName).join(', ')}</span>
+                          </>
+                        ) : (
+                          <>
+                            <MapPin className="h-4 w-4 mr-2 mt-0.5 text-gray-400" />
+                            <span>
+                              {savedAddress && <span className="font-medium text-gray-900">{savedAddress.label}: </span>}
+                              {formatAddress(savedAddress || address)}
+                            </span>
+                          </>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-600">
+                        Paying with {PAYMENT_LABELS[selectedPaymentMethod]}
+                      </p>
+
+                      {shopGroups.map((group) => (
+                        <div key={group.shopId || 'unknown'}>
+                          <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                            {group.shopName || 'Shop'}
+                          </h3>
+                          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                            {group.items.map((item) => (
+                              <li key={item._id} className="px-4 py-3 flex justify-between text-sm">
+                                <span className="text-gray-900">
+                                  {item.quantity} × {item.name}
+                                </span>
+                                <span className="text-gray-900">
+                                  {formatPrice(item.price * item.quantity)}
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="flex justify-between mt-8">
+                    {step > 0 ? (
+                      <button
+                        type="button"
+                        onClick={() => setStep(step - 1)}
+                        className="px-4 py-2 rounded-lg font-medium text-gray-700 hover:bg-gray-100"
+                      >
+                        Back
+                      </button>
+                    ) : (
+                      <span />
+                    )}
+                    {step < STEPS.length - 1 ? (
+                      <button
+                        type="button"
+                        onClick={() => setStep(step + 1)}
+                        disabled={!canContinue}
+                        className="bg-primary-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Continue
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={placeOrder}
+                        disabled={!canContinue || isPlacing}
+                        className="bg-primary-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isPlacing ? 'Placing order...' : `Place order · ${formatPrice(quote?.total)}`}
+                      </button>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+
+          {/* Price Breakdown */}
+          <div className="lg:col-span-1">
+            <div className="bg-white rounded-lg shadow-sm p-6 sticky top-8">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                Price Details
+              </h2>
+              <PriceBreakdown quote={quote} isLoading={quoteLoading} />
+
+              <form
+                className="mt-6 flex gap-2"
+                onSubmit={(event) => {
+                  event.preventDefault();
+                  setCouponCode(couponInput.trim().toUpperCase());
+                }}
+              >
+                <input
+                  type="text"
+                  value={couponInput}
+                  onChange={(event) => setCouponInput(event.target.value)}
+                  placeholder="Coupon code"
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md uppercase focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                />
+                {couponCode ? (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setCouponCode('');
+                      setCouponInput('');
+                    }}
+                    className="px-4 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100"
+                  >
+                    Remove
+                  </button>
+                ) : (
+                  <button
+                    type="submit"
+                    disabled={!couponInput.trim()}
+                    className="px-4 py-2 rounded-md text-sm font-medium text-primary-600 border border-primary-600 hover:bg-primary-50 disabled:opacity-50"
+                  >
+                    Apply
+                  </button>
+                )}
+              </form>
+            </div>
+          </div>
         </div>
       </div>
     </div>
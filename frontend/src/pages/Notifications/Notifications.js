@@ -1,16 +1,262 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useInfiniteQuery, useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import { Bell, Check, CheckCheck, Trash2 } from 'lucide-react';
+import api from '../../utils/api';
+
+const PAGE_SIZE = 20;
+
+const TYPE_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'order_status,delivery_update', label: 'Orders' },
+  { value: 'stock_alert,low_stock', label: 'Stock' },
+  { value: 'price_drop', label: 'Price drops' },
+  { value: 'promotion,new_product', label: 'Offers' },
+  { value: 'system_alert', label: 'Account' },
+];
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString(undefined, { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
+
+// Where a notification leads, if anywhere
+const linkFor = (notification) => {
+  const { data = {} } = notification;
+  if (data.url) return data.url;
+  if (data.orderId) return `/orders/${data.orderId._id || data.orderId}`;
+  if (data.productId) return `/products/${data.productId._id || data.productId}`;
+  if (data.shopId) return `/shops/${data.shopId._id || data.shopId}`;
+  return null;
+};
 
 const Notifications = () => {
+  const queryClient = useQueryClient();
+  const [type, setType] = useState('');
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const loadMoreRef = useRef(null);
+
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery(
+    ['notifications', type, unreadOnly],
+    async ({ pageParam = 1 }) => {
+      const params = new URLSearchParams({ page: pageParam, limit: PAGE_SIZE });
+      if (type) params.set('type', type);
+      if (unreadOnly) params.set('unreadOnly', 'true');
+      const response = await api.get(`/api/notifications?${params.toString()}`);
+      return response.data;
+    },
+    {
+      getNextPageParam: (lastPage) =>
+        lastPage.pagination.hasNextPage ? Number(lastPage.pagination.currentPage) + 1 : undefined,
+    }
+  );
+
+  const notifications = data ? data.pages.flatMap((page) => page.data) : [];
+
+  // Load the next page as the end of the list scrolls into view
+  useEffect(() => {
+    const target = loadMoreRef.current;
+    if (!target || !hasNextPage) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !isFetchingNextPage) {
+        fetchNextPage();
+      }
+    });
+    observer.observe(target);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+  // Selections do not carry over to a different filter
+  useEffect(() => {
+    setSelected([]);
+  }, [type, unreadOnly]);
+
+  const refresh = () => {
+    setSelected([]);
+    queryClient.invalidateQueries('notifications');
+  };
+
+  const run = async (request, successMessage) => {
+    try {
+      await request();
+      if (successMessage) toast.success(successMessage);
+      refresh();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Something went wrong. Please try again');
+    }
+  };
+
+  const toggleSelected = (id) =>
+    setSelected((prev) => (prev.includes(id) ? prev.filter((other) => other !== id) : [...prev, id]));
+
+  const allSelected = notifications.length > 0 && selected.length === notifications.length;
+
+  const markRead = (notification) => {
+    if (!notification.isRead) {
+      run(() => api.put(`/api/notifications/${notification._id}/read`));
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="text-center">
-          <h1 className="text-3xl font-bold text-gray-900 mb-4">
-            Notifications
-          </h1>
-          <p className="text-gray-600">
-            This page will display your notifications. Coming soon!
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">Notifications</h1>
+          <button
+            onClick={() => run(() => api.put('/api/notifications/mark-all-read'), 'All notifications marked as read')}
+            className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-700"
+          >
+            <CheckCheck className="h-4 w-4 mr-1" />
+            Mark all as read
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow-sm p-4 mb-4 flex flex-wrap items-center gap-2">
+          {TYPE_FILTERS.map((filter) => (
+            <button
+              key={filter.value}
+              onClick={() => setType(filter.value)}
+              className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                type === filter.value
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+          <label className="ml-auto inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={unreadOnly}
+              onChange={(e) => setUnreadOnly(e.target.checked)}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+            />
+            Unread only
+          </label>
+        </div>
+
+        {/* Bulk actions */}
+        {notifications.length > 0 && (
+          <div className="flex items-center justify-between mb-2 px-1 text-sm">
+            <label className="inline-flex items-center text-gray-700">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={() => setSelected(allSelected ? [] : notifications.map((n) => n._id))}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+              />
+              {selected.length > 0 ? `${selected.length} selected` : 'Select all'}
+            </label>
+            {selected.length > 0 && (
+              <div className="flex items-center space-x-4">
+                <button
+                  onClick={() => run(() => api.put('/api/notifications/mark-read', { ids: selected }))}
+                  className="inline-flex items-center text-gray-700 hover:text-primary-600"
+                >
+                  <Check className="h-4 w-4 mr-1" />
+                  Mark as read
+                </button>
+                <button
+                  onClick={() =>
+                    run(
+                      () => api.delete('/api/notifications', { data: { ids: selected } }),
+                      `${selected.length} notifications deleted`
+                    )
+                  }
+                  className="inline-flex items-center text-red-600 hover:text-red-700"
+                >
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  Delete
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* List */}
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <div className="loading-spinner"></div>
+          </div>
+        ) : error ? (
+          <p className="text-center text-gray-600 py-12">
+            Unable to load notifications. Please try again later.
           </p>
+        ) : notifications.length === 0 ? (
+          <div className="text-center py-12">
+            <Bell className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No notifications</h3>
+            <p className="text-gray-600">We'll let you know when something happens.</p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm divide-y divide-gray-100">
+            {notifications.map((notification) => {
+              const link = linkFor(notification);
+              const content = (
+                <>
+                  <p className={`text-sm ${notification.isRead ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                    {notification.title}
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1">{notification.message}</p>
+                  <p className="text-xs text-gray-400 mt-1">{formatTime(notification.createdAt)}</p>
+                </>
+              );
+              return (
+                <div
+                  key={notification._id}
+                  className={`p-4 flex items-start space-x-3 ${notification.isRead ? '' : 'bg-primary-50'}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(notification._id)}
+                    onChange={() => toggleSelected(notification._id)}
+                    className="mt-1 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                  />
+                  <div className="flex-1 min-w-0">
+                    {link ? (
+                      <Link to={link} onClick={() => markRead(notification)} className="block">
+                        {content}
+                      </Link>
+                    ) : (
+                      content
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {!notification.isRead && (
+                      <button
+                        onClick={() => markRead(notification)}
+                        className="p-1 text-gray-400 hover:text-primary-600"
+                        aria-label="Mark as read"
+                      >
+                        <Check className="h-4 w-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => run(() => api.delete(`/api/notifications/${notification._id}`))}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      aria-label="Delete"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <div ref={loadMoreRef} className="py-6 flex justify-center">
+          {isFetchingNextPage && <div className="loading-spinner"></div>}
         </div>
       </div>
     </div>
@@ -1,24 +1,201 @@
 import React from 'react';
-import { useParams } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import { ArrowLeft, MapPin, Package, ShoppingBag } from 'lucide-react';
+import api from '../../utils/api';
+import useOrderTracking from '../../hooks/useOrderTracking';
+import LiveTrackingMap from '../../components/Orders/LiveTrackingMap';
+
+// Statuses during which a home delivery shows the live map
+const TRACKABLE_STATUSES = ['confirmed', 'preparing', 'ready_for_pickup', 'out_for_delivery'];
+
+const formatStatus = (status) =>
+  status ? status.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase()) : '';
 
 const OrderDetail = () => {
   const { id } = useParams();
+  const queryClient = useQueryClient();
 
-  return (
-    <div className="min-h-screen bg-gray-50 py-8">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+  const { data: order, isLoading, error } = useQuery(['order', id], async () => {
+    const response = await api.get(`/api/orders/${id}`);
+    return response.data.data;
+  });
+
+  const trackingEnabled = Boolean(
+    order && order.deliveryType === 'home_delivery' && TRACKABLE_STATUSES.includes(order.status)
+  );
+
+  const tracking = useOrderTracking(id, {
+    enabled: trackingEnabled,
+    onStatusChange: () => queryClient.invalidateQueries(['order', id]),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
-          <h1 className="text-3xl font-bold text-gray-900 mb-4">
-            Order Details
-          </h1>
+          <h2 className="text-2xl font-semibold text-gray-900 mb-2">
+            Order not found
+          </h2>
           <p className="text-gray-600">
-            Order ID: {id}
-          </p>
-          <p className="text-gray-600 mt-4">
-            This page will display detailed order information. Coming soon!
+            We couldn't load this order. Please try again later.
           </p>
         </div>
       </div>
+    );
+  }
+
+  const status = tracking.status || order.status;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Link
+          to="/orders"
+          className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700 font-medium mb-6"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back to orders
+        </Link>
+
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-1">
+              Order {order.orderNumber}
+            </h1>
+            <p className="text-gray-600">
+              Placed on {new Date(order.createdAt).toLocaleString()}
+            </p>
+          </div>
+          <span className="mt-4 sm:mt-0 inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-primary-100 text-primary-800">
+            {formatStatus(status)}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2 space-y-8">
+            {trackingEnabled && <LiveTrackingMap tracking={tracking} />}
+
+            {/* Items */}
+            <div className="bg-white rounded-lg shadow-sm">
+              <div className="p-6 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Items from {order.shop?.name}
+                </h2>
+              </div>
+              <div className="divide-y divide-gray-200">
+                {order.items.map((item) => (
+                  <div key={item._id} className="p-6 flex items-center space-x-4">
+                    {item.product?.mainImage ? (
+                      <img
+                        src={item.product.mainImage}
+                        alt={item.product.name}
+                        className="w-16 h-16 object-cover rounded-lg"
+                      />
+                    ) : (
+                      <div className="w-16 h-16 bg-gray-200 rounded-lg flex items-center justify-center">
+                        <ShoppingBag className="h-6 w-6 text-gray-400" />
+                      </div>
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <h3 className="font-medium text-gray-900">
+                        {item.product?.name || 'Product unavailable'}
+                      </h3>
+                      <p className="text-sm text-gray-500">
+                        {item.quantity} × ₹{item.price.toFixed(2)}
+                      </p>
+                    </div>
+                    <p className="font-semibold text-gray-900">₹{item.total.toFixed(2)}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="lg:col-span-1 space-y-8">
+            {/* Summary */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                Payment Summary
+              </h2>
+              <div className="space-y-3">
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Subtotal</span>
+                  <span className="text-gray-900">₹{(order.subtotal || 0).toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Delivery Charge</span>
+                  <span className="text-gray-900">₹{(order.deliveryCharge || 0).toFixed(2)}</span>
+                </div>
+                {order.tax > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Tax</span>
+                    <span className="text-gray-900">₹{order.tax.toFixed(2)}</span>
+                  </div>
+                )}
+                {order.discount > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Discount</span>
+                    <span className="text-green-600">-₹{order.discount.toFixed(2)}</span>
+                  </div>
+                )}
+                <div className="border-t border-gray-200 pt-3 flex justify-between font-semibold">
+                  <span className="text-gray-900">Total</span>
+                  <span className="text-gray-900">₹{order.total.toFixed(2)}</span>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Paid via {order.paymentMethod === 'cod' ? 'Cash on Delivery' : 'Online Payment'}
+                  {' · '}{formatStatus(order.paymentStatus)}
+                </p>
+              </div>
+            </div>
+
+            {/* Delivery */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                {order.deliveryType === 'pickup' ? 'Pickup' : 'Delivery'}
+              </h2>
+              {order.deliveryType === 'pickup' ? (
+                <div className="flex items-start text-sm text-gray-600">
+                  <Package className="h-4 w-4 mr-2 mt-0.5 text-gray-400" />
+                  <span>Collect your order from {order.shop?.name}</span>
+                </div>
+              ) : (
+                <div className="flex items-start text-sm text-gray-600">
+                  <MapPin className="h-4 w-4 mr-2 mt-0.5 text-gray-400" />
+                  <span>
+                    {[
+                      order.deliveryAddress?.street,
+                      order.deliveryAddress?.city,
+                      order.deliveryAddress?.state,
+                      order.deliveryAddress?.pincode,
+                    ].filter(Boolean).join(', ')}
+                  </span>
+                </div>
+              )}
+              {order.deliverySlot?.start && (
+                <p className="text-sm text-gray-600 mt-3">
+                  Scheduled for {new Date(order.deliverySlot.start).toLocaleString()}
+                  {' – '}{new Date(order.deliverySlot.end).toLocaleTimeString()}
+                </p>
+              )}
+              {order.deliveryInstructions && (
+                <p className="text-sm text-gray-500 mt-3">
+                  Note: {order.deliveryInstructions}
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
     </div>
   );
 };
@@ -1,24 +1,152 @@
 import React from 'react';
-import { useParams } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import { Heart, ShoppingBag, ShoppingCart, Store } from 'lucide-react';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { useCart } from '../../contexts/CartContext';
+import PriceHistoryChart from '../../components/Products/PriceHistoryChart';
 
 const ProductDetail = () => {
   const { id } = useParams();
+  const { user } = useAuth();
+  const { addToCart } = useCart();
+  const queryClient = useQueryClient();
 
-  return (
-    <div className="min-h-screen bg-gray-50 py-8">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+  const { data: product, isLoading, error } = useQuery(['product', id], async () => {
+    const response = await api.get(`/api/products/${id}`);
+    return response.data.data;
+  });
+
+  const { data: priceHistory } = useQuery(['priceHistory', id], async () => {
+    const response = await api.get(`/api/products/${id}/price-history`);
+    return response.data;
+  });
+
+  // Only customers keep a wishlist
+  const isCustomer = user?.role === 'customer';
+
+  const { data: wishlist } = useQuery(
+    'wishlist',
+    async () => {
+      const response = await api.get('/api/wishlist');
+      return response.data.data;
+    },
+    { enabled: isCustomer }
+  );
+
+  const wishlisted = Boolean(wishlist?.some((item) => item.product._id === id));
+
+  const toggleWishlist = async () => {
+    try {
+      if (wishlisted) {
+        await api.delete(`/api/wishlist/${id}`);
+        toast.success('Removed from your wishlist');
+      } else {
+        await api.post('/api/wishlist', { product: id });
+        toast.success("Added to your wishlist. We'll tell you when the price drops");
+      }
+      queryClient.invalidateQueries('wishlist');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not update your wishlist');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  if (error || !product) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
-          <h1 className="text-3xl font-bold text-gray-900 mb-4">
-            Product Details
-          </h1>
+          <h2 className="text-2xl font-semibold text-gray-900 mb-2">
+            Product not found
+          </h2>
           <p className="text-gray-600">
-            Product ID: {id}
-          </p>
-          <p className="text-gray-600 mt-4">
-            This page will display product information and allow adding to cart. Coming soon!
+            We couldn't load this product. Please try again later.
           </p>
         </div>
       </div>
+    );
+  }
+
+  const image = product.mainImage || product.images?.[0];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+            {image ? (
+              <img src={image} alt={product.name} className="w-full h-96 object-cover" />
+            ) : (
+              <div className="w-full h-96 bg-gray-200 flex items-center justify-center">
+                <ShoppingBag className="h-16 w-16 text-gray-400" />
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-start justify-between">
+                <div>
+                  <h1 className="text-3xl font-bold text-gray-900 mb-1">{product.name}</h1>
+                  {product.shop && (
+                    <Link
+                      to={`/shops/${product.shop._id}`}
+                      className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700 font-medium"
+                    >
+                      <Store className="h-4 w-4 mr-1" />
+                      {product.shop.name}
+                    </Link>
+                  )}
+                </div>
+                {isCustomer && (
+                  <button
+                    onClick={toggleWishlist}
+                    className="p-2 rounded-full hover:bg-gray-100"
+                    aria-label={wishlisted ? 'Remove from wishlist' : 'Add to wishlist'}
+                  >
+                    <Heart className={`h-6 w-6 ${wishlisted ? 'text-red-500 fill-current' : 'text-gray-400'}`} />
+                  </button>
+                )}
+              </div>
+
+              <div className="mt-4 flex items-baseline space-x-2">
+                <span className="text-2xl font-semibold text-gray-900">₹{product.price.toFixed(2)}</span>
+                <span className="text-sm text-gray-500">/ {product.unit}</span>
+                {product.originalPrice > product.price && (
+                  <>
+                    <span className="text-sm text-gray-400 line-through">₹{product.originalPrice.toFixed(2)}</span>
+                    <span className="text-sm font-medium text-green-600">{product.discountPercentage}% off</span>
+                  </>
+                )}
+              </div>
+
+              {product.description && (
+                <p className="mt-4 text-gray-600">{product.description}</p>
+              )}
+
+              <button
+                onClick={() => addToCart(product)}
+                disabled={!product.isAvailable}
+                className="mt-6 w-full inline-flex items-center justify-center px-4 py-3 rounded-lg bg-primary-600 text-white font-medium hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ShoppingCart className="h-5 w-5 mr-2" />
+                {product.isAvailable ? 'Add to cart' : 'Out of stock'}
+              </button>
+            </div>
+
+            {priceHistory && <PriceHistoryChart history={priceHistory} />}
+          </div>
+        </div>
+      </div>
     </div>
   );
 };
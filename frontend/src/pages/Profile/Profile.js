@@ -1,17 +1,23 @@
 import React from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import NotificationSettings from '../../components/Profile/NotificationSettings';
 
 const Profile = () => {
+  const { user } = useAuth();
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="text-center">
-          <h1 className="text-3xl font-bold text-gray-900 mb-4">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 space-y-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-1">
             My Profile
           </h1>
           <p className="text-gray-600">
-            This page will allow you to manage your profile settings. Coming soon!
+            {user?.name} · {user?.email}
           </p>
         </div>
+
+        <NotificationSettings />
       </div>
     </div>
   );
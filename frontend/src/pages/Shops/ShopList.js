@@ -7,9 +7,11 @@ import {
   Star, 
   Filter,
   ShoppingBag,
-  Clock
+  Clock,
+  Truck
 } from 'lucide-react';
 import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
 
 const ShopList = () => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -24,6 +26,28 @@ const ShopList = () => {
     }
   );
 
+  // Shops that deliver to the user's saved address, nearest first
+  const { user } = useAuth();
+  const savedAddress = user?.address;
+  const hasSavedLocation = Boolean(savedAddress?.coordinates?.lat != null || savedAddress?.pincode);
+
+  const { data: serviceableShops } = useQuery(
+    ['serviceableShops', savedAddress],
+    async () => {
+      const response = await api.get('/api/shops/serviceable');
+      return response.data.data;
+    },
+    { enabled: hasSavedLocation }
+  );
+
+  const serviceability = (shop) => {
+    if (!serviceableShops) {
+      return null;
+    }
+    const match = serviceableShops.find((s) => s._id === shop._id);
+    return match ? { serviceable: true, distanceKm: match.distanceKm } : { serviceable: false };
+  };
+
   const handleSearch = (e) => {
     e.preventDefault();
     const params = new URLSearchParams(searchParams);
@@ -46,6 +70,21 @@ const ShopList = () => {
     setSelectedCategory(category);
   };
 
+  const openNow = searchParams.get('openNow') === 'true';
+
+  const handleOpenNowChange = (event) => {
+    const params = new URLSearchParams(searchParams);
+    if (event.target.checked) {
+      params.set('openNow', 'true');
+    } else {
+      params.delete('openNow');
+    }
+    setSearchParams(params);
+  };
+
+  const formatOpening = (date) =>
+    new Date(date).toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+
   const categories = [
     'Grocery',
     'Restaurant',
@@ -133,6 +172,16 @@ const ShopList = () => {
               ))}
             </div>
           </div>
+
+          <label className="mt-4 inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={openNow}
+              onChange={handleOpenNowChange}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+            />
+            Open now
+          </label>
         </div>
 
         {/* Shops Grid */}
@@ -151,60 +200,82 @@ const ShopList = () => {
           </div>
         ) : shops && shops.length > 0 ? (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {shops.map((shop) => (
-              <Link
-                key={shop._id}
-                to={`/shops/${shop._id}`}
-                className="bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow duration-300 overflow-hidden"
-              >
-                <div className="aspect-w-16 aspect-h-9 bg-gray-200">
-                  {shop.image ? (
-                    <img
-                      src={shop.image}
-                      alt={shop.name}
-                      className="w-full h-48 object-cover"
-                    />
-                  ) : (
-                    <div className="w-full h-48 bg-gray-200 flex items-center justify-center">
-                      <ShoppingBag className="h-12 w-12 text-gray-400" />
-                    </div>
-                  )}
-                </div>
-                <div className="p-6">
-                  <h3 className="text-xl font-semibold text-gray-900 mb-2">
-                    {shop.name}
-                  </h3>
-                  <p className="text-gray-600 mb-3 line-clamp-2">
-                    {shop.description}
-                  </p>
-                  
-                  <div className="space-y-2">
-                    <div className="flex items-center space-x-1">
-                      <MapPin className="h-4 w-4 text-gray-400" />
-                      <span className="text-sm text-gray-500">
-                        {shop.location}
-                      </span>
-                    </div>
+            {shops.map((shop) => {
+              const delivery = serviceability(shop);
+              return (
+                <Link
+                  key={shop._id}
+                  to={`/shops/${shop._id}`}
+                  className={`bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow duration-300 overflow-hidden ${
+                    delivery && !delivery.serviceable ? 'opacity-50 grayscale' : ''
+                  }`}
+                >
+                  <div className="aspect-w-16 aspect-h-9 bg-gray-200">
+                    {shop.image ? (
+                      <img
+                        src={shop.image}
+                        alt={shop.name}
+                        className="w-full h-48 object-cover"
+                      />
+                    ) : (
+                      <div className="w-full h-48 bg-gray-200 flex items-center justify-center">
+                        <ShoppingBag className="h-12 w-12 text-gray-400" />
+                      </div>
+                    )}
+                  </div>
+                  <div className="p-6">
+                    <h3 className="text-xl font-semibold text-gray-900 mb-2">
+                      {shop.name}
+                    </h3>
+                    <p className="text-gray-600 mb-3 line-clamp-2">
+                      {shop.description}
+                    </p>
                     
-                    <div className="flex items-center justify-between">
+                    <div className="space-y-2">
                       <div className="flex items-center space-x-1">
-                        <Star className="h-4 w-4 text-yellow-400 fill-current" />
-                        <span className="text-sm text-gray-600">
-                          {shop.rating?.toFixed(1) || 'New'}
+                        <MapPin className="h-4 w-4 text-gray-400" />
+                        <span className="text-sm text-gray-500">
+                          {shop.location}
                         </span>
                       </div>
                       
-                      <div className="flex items-center space-x-1">
-                        <Clock className="h-4 w-4 text-gray-400" />
-                        <span className="text-sm text-gray-500">
-                          {shop.isOpen ? 'Open' : 'Closed'}
-                        </span>
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-1">
+                          <Star className="h-4 w-4 text-yellow-400 fill-current" />
+                          <span className="text-sm text-gray-600">
+                            {shop.rating?.toFixed(1) || 'New'}
+                          </span>
+                        </div>
+                        
+                        <div className="flex items-center space-x-1">
+                          <Clock className="h-4 w-4 text-gray-400" />
+                          <span className={`text-sm ${shop.isOpenNow ? 'text-green-600' : 'text-gray-500'}`}>
+                            {shop.isOpenNow
+                              ? 'Open'
+                              : shop.nextOpensAt
+                              ? `Opens ${formatOpening(shop.nextOpensAt)}`
+                              : 'Closed'}
+                          </span>
+                        </div>
                       </div>
+
+                      {delivery && (
+                        <div className="flex items-center space-x-1">
+                          <Truck className="h-4 w-4 text-gray-400" />
+                          <span className={`text-sm ${delivery.serviceable ? 'text-green-600' : 'text-gray-500'}`}>
+                            {!delivery.serviceable
+                              ? "Doesn't deliver to your address"
+                              : delivery.distanceKm != null
+                              ? `Delivers to you · ${delivery.distanceKm} km away`
+                              : 'Delivers to your area'}
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </div>
-                </div>
-              </Link>
-            ))}
+                </Link>
+              );
+            })}
           </div>
         ) : (
           <div className="text-center py-12">
@@ -0,0 +1,48 @@
+import api from './api';
+
+const WORKER_URL = '/push-worker.js';
+
+// PushManager wants the VAPID key as bytes, not base64url
+const keyToBytes = (key) => {
+  const base64 = (key + '='.repeat((4 - (key.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// This browser's push subscription, if it has one
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+
+  const registration = await navigator.serviceWorker.getRegistration(WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+// Ask to show notifications here and register this browser with the API
+export const enablePush = async () => {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site in your browser settings');
+  }
+
+  const { data } = await api.get('/api/notifications/push/key');
+  const registration = await navigator.serviceWorker.register(WORKER_URL);
+  await navigator.serviceWorker.ready;
+
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: keyToBytes(data.data.publicKey),
+  });
+
+  await api.post('/api/notifications/push/subscriptions', subscription.toJSON());
+  return subscription;
+};
+
+export const disablePush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await api.delete('/api/notifications/push/subscriptions', { data: { endpoint: subscription.endpoint } });
+  await subscription.unsubscribe();
+};